@@ -14,6 +14,17 @@ public abstract record AbstractObject3D
     /// <summary>Unique identifier for this mesh instance.</summary>
     public required string Id { get; init; }
 
+    /// <summary>
+    /// Optional id of the group (added with <c>AddGroupAsync</c> on the viewer) this object belongs to.
+    /// Groups are shown, hidden, recolored and removed as a whole.
+    /// </summary>
+    public string? GroupId { get; init; }
+
+    /// <summary>
+    /// When false, picking (double-clicks, hover, <c>PickAsync</c> and measurements) sees through the object.
+    /// </summary>
+    public bool Pickable { get; init; } = true;
+
     /// <summary>
     /// Per-triangle colors (RGBA, 0-1 range).
     /// Array length should equal Indices.Length / 3 (one color per triangle).
@@ -38,5 +49,15 @@ public abstract record AbstractObject3D
         yield return c.A / 255f;
     }
 
+    /// <summary>
+    /// Flattens a matrix for JavaScript interop. Row-major System.Numerics order read as
+    /// column-major in WGSL gives the matrix that transforms column vectors.
+    /// </summary>
+    internal static float[] MatrixToJavaScript(Matrix4x4 m) =>
+        [ m.M11, m.M12, m.M13, m.M14,
+          m.M21, m.M22, m.M23, m.M24,
+          m.M31, m.M32, m.M33, m.M34,
+          m.M41, m.M42, m.M43, m.M44 ];
+
     internal abstract object CreateJavascriptData();
 }
\ No newline at end of file
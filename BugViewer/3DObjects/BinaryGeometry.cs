@@ -0,0 +1,48 @@
+namespace BugViewer;
+
+/// <summary>
+/// Packs the data of <see cref="AbstractObject3D.CreateJavascriptData"/> for the binary entry points
+/// of webgpu-canvas.js. The number arrays go into one byte array, which interop transfers as a
+/// Uint8Array that JavaScript reads in place; everything else stays in a small JSON header.
+/// </summary>
+internal static class BinaryGeometry
+{
+    /// <summary>Payloads larger than this are sent in chunks of this size, yielding to the browser in between.</summary>
+    internal const int ChunkSize = 4 * 1024 * 1024;
+
+    /// <summary>
+    /// Splits <paramref name="javascriptData"/> into a header and a payload. The header keeps every property
+    /// that is not a float[] or int[] and adds "sections", giving the byte offset, element count and
+    /// type of each packed array. Arrays are packed little-endian, 4-byte aligned.
+    /// </summary>
+    internal static (Dictionary<string, object?> Header, byte[] Payload) Pack(object javascriptData)
+    {
+        var header = new Dictionary<string, object?>();
+        var sections = new Dictionary<string, object>();
+        var arrays = new List<(Array Array, int Offset)>();
+        var length = 0;
+        foreach (var property in javascriptData.GetType().GetProperties())
+        {
+            var value = property.GetValue(javascriptData);
+            if (value is float[] or int[])
+            {
+                var array = (Array)value;
+                sections[property.Name] = new
+                {
+                    offset = length,
+                    count = array.Length,
+                    type = value is float[] ? "float32" : "uint32"
+                };
+                arrays.Add((array, length));
+                length += Buffer.ByteLength(array);
+            }
+            else header[property.Name] = value;
+        }
+        header["sections"] = sections;
+
+        var payload = new byte[length];
+        foreach (var (array, offset) in arrays)
+            Buffer.BlockCopy(array, 0, payload, offset, Buffer.ByteLength(array));
+        return (header, payload);
+    }
+}
@@ -5,52 +5,114 @@ namespace BugViewer;
 
 /// <summary>
 /// Represents 3D lines with variable thickness and color for WebGPU rendering.
+/// Consecutive segments are drawn as one polyline, joined at their shared vertices without overlapping,
+/// so translucent paths blend evenly; a zero-thickness segment ends one polyline and starts the next.
 /// </summary>
 public record LineData : AbstractObject3D
 {
+    /// <summary>Thickness of each segment, in <see cref="ThicknessUnit"/>s. Zero-thickness segments are not drawn.</summary>
     public required IEnumerable<double> Thicknesses { get; init; }
 
     /// <summary>
     /// A number from 0.0 to 1.0 representing the fade factor for each path.
     /// When 0.0, the path is fully opaque and no gradient is applied. Values between 0 and 1.0,
-    /// mean that the the path fades from the centerline to transparency at this fraction of the 
+    /// mean that the the path fades from the centerline to transparency at this fraction of the
     /// half-thickness.
     /// </summary>
     public required IEnumerable<double> FadeFactors { get; init; }
 
+    /// <summary>
+    /// Whether the <see cref="Thicknesses"/> are in world units or in CSS pixels. Pixel widths keep
+    /// toolpaths readable at any zoom.
+    /// </summary>
+    public LineThicknessUnit ThicknessUnit { get; init; } = LineThicknessUnit.World;
+
+    /// <summary>How segments meet at their shared vertices.</summary>
+    public LineJoin Join { get; init; } = LineJoin.Round;
+
+    /// <summary>
+    /// Longest sharp corner of <see cref="LineJoin.Miter"/> joins, as a multiple of the thickness;
+    /// sharper corners are beveled. The default of 4 bevels corners where the segments meet at under about 29°.
+    /// </summary>
+    public double MiterLimit { get; init; } = 4;
+
+    public LineDashPattern DashPattern { get; init; } = LineDashPattern.Solid;
+
+    /// <summary>Stretches the <see cref="DashPattern"/>: 2 makes dashes and gaps twice as long.</summary>
+    public double DashScale { get; init; } = 1;
+
+    /// <summary>
+    /// Ends each polyline with an arrowhead pointing along its last segment, to show the direction of the path.
+    /// </summary>
+    public bool Arrowheads { get; init; }
+
+    /// <summary>Length of the <see cref="Arrowheads"/> as a multiple of the thickness; they are 3/4 as wide.</summary>
+    public double ArrowheadSize { get; init; } = 4;
 
     internal override object CreateJavascriptData()
     {
-        // Generate stadium geometry in C# instead of JavaScript
-        var (positions, colors, thickness, uvs, endPositions, fades, indices) = 
-            GenerateStadiumGeometry(
-                Vertices, 
-                Thicknesses, 
-                Colors.Cast<Color>(), 
-                FadeFactors);
+        // Generate polyline geometry in C# instead of JavaScript
+        var (positions, colors, thickness, uvs, endPositions, fades, neighbors, indices) =
+            GeneratePolylineGeometry(
+                Vertices,
+                Thicknesses,
+                Colors.Cast<Color>(),
+                FadeFactors,
+                Join,
+                Arrowheads ? ArrowheadSize : 0);
 
         return new
         {
             id = Id,
+            groupId = GroupId,
+            pickable = Pickable,
             vertices = positions,
             colors,
             thickness,
             uvs,
             endPositions,
             fades,
-            indices
+            neighbors,
+            indices,
+            style = new
+            {
+                thicknessUnit = ThicknessUnit.ToString().ToLowerInvariant(),
+                miterLimit = (float)MiterLimit,
+                dashPattern = DashPatternLengths(DashPattern).Select(length => length * DashScale).ToArray()
+            }
         };
     }
 
-
+    // Dash, gap, dash, gap, in thicknesses. Dashes get round ends half a thickness long, so a zero-length
+    // dash is a dot and the gaps look one thickness shorter than they are.
+    private static double[] DashPatternLengths(LineDashPattern pattern) => pattern switch
+    {
+        LineDashPattern.Dash => [4, 4, 0, 0],
+        LineDashPattern.Dot => [0, 2, 0, 0],
+        LineDashPattern.DashDot => [4, 3, 0, 3],
+        _ => [0, 0, 0, 0]
+    };
 
     private const float HalfRadius = 0.5f;
     private const float AngleStep = MathF.PI / 6f; // 30 degrees
+    private const int RoundJoinSteps = 6; // up to a half turn in 30 degree steps
+
+    // Vertex kinds, read by expandPolyline in webgpu-canvas.js. Join vertices belong to the segment
+    // after the joint; which side of it is outer is only known on screen, so the shader places them.
+    private const float BodyVertex = 0f;    // at the start or end of the segment, offset by uv
+    private const float JoinArcVertex = 1f; // on the outer side, 1 + t from the previous segment's edge (t = 0) to this one's (t = 1)
+    private const float MiterTipVertex = 3f;
+    private const float JoinCenterVertex = 4f; // the inner corner both segments end at
+    private const float ArrowBodyVertex = 5f; // an end corner pulled back by uv.x <= 0 for the arrowhead
+    private const float ArrowheadVertex = 6f; // offset by uv from the end, with uv.x <= 0
 
     /// <summary>
-    /// Generates billboard stadium geometry for line segments with rounded end caps.
-    /// Returns arrays ready for GPU buffer creation.
+    /// Generates the geometry of the polylines: a camera-facing quad per segment, join triangles at the
+    /// vertices segments share, and round caps or arrowheads at the ends. Each vertex holds its segment's
+    /// start and end, the points before and after them, and a uv in thicknesses, from which the shader
+    /// lays out the joins on screen. Returns arrays ready for GPU buffer creation.
     /// </summary>
+    /// <param name="arrowheadSize">Arrowhead length in thicknesses, or 0 for round caps at the ends.</param>
     public static (
         float[] positions,
         float[] colors,
@@ -58,12 +120,15 @@ public record LineData : AbstractObject3D
         float[] uvs,
         float[] endPositions,
         float[] fades,
-        ushort[] indices
-    ) GenerateStadiumGeometry(
+        float[] neighbors,
+        int[] indices
+    ) GeneratePolylineGeometry(
         IEnumerable<Vector3> vertices,
         IEnumerable<double> thicknesses,
         IEnumerable<System.Drawing.Color> colors,
-        IEnumerable<double> fadeFactors)
+        IEnumerable<double> fadeFactors,
+        LineJoin join = LineJoin.Round,
+        double arrowheadSize = 0)
     {
         var vertexList = vertices.ToList();
         var thicknessList = thicknesses.ToList();
@@ -78,23 +143,26 @@ public record LineData : AbstractObject3D
             throw new InvalidOperationException("Need at least 2 vertices for line rendering");
         }
 
-        var quadPositions = new List<float>();
-        var quadColors = new List<float>();
-        var quadThickness = new List<float>();
-        var quadUVs = new List<float>();
-        var quadEndPositions = new List<float>();
-        var quadFades = new List<float>();
-        var indices = new List<ushort>();
+        bool IsDrawn(int segment) => segment >= 0 && segment < numSegments && thicknessList[segment] > 0;
+
+        var buffers = new PolylineBuffers();
+        var distance = 0f; // from the start of the polyline, where its dash pattern starts, to the start of the segment
 
         for (int i = 0; i < numSegments; i++)
         {
             var t = (float)thicknessList[i];
             var fade = fadeList.Count > i ? Math.Clamp((float)fadeList[i], 0f, 1f) : 0f;
 
-            if (t <= 0) continue; // Skip zero-thickness segments
+            if (t <= 0) // Skip zero-thickness segments
+            {
+                distance = 0f;
+                continue;
+            }
 
             var v0 = vertexList[i];
             var v1 = vertexList[i + 1];
+            var isFirst = !IsDrawn(i - 1);
+            var isLast = !IsDrawn(i + 1);
 
             var color = colorList.Count > i
                 ? new float[] {
@@ -105,129 +173,189 @@ public record LineData : AbstractObject3D
                 }
                 : new float[] { 1f, 1f, 1f, 1f };
 
-            var baseIdxBody = quadPositions.Count / 3;
+            var segment = new Segment(v0, v1, isFirst ? v0 : vertexList[i - 1], isLast ? v1 : vertexList[i + 2],
+                color, t, fade, distance);
+            var arrowLength = isLast ? (float)arrowheadSize : 0f;
 
-            // Body quad (4 vertices, 2 triangles)
-            AddVertex(quadPositions, quadColors, quadThickness, quadUVs, quadEndPositions, quadFades,
-                v0, color, t, 0f, -0.5f, v1, fade); // start-left
-            AddVertex(quadPositions, quadColors, quadThickness, quadUVs, quadEndPositions, quadFades,
-                v0, color, t, 0f, 0.5f, v1, fade); // start-right
-            AddVertex(quadPositions, quadColors, quadThickness, quadUVs, quadEndPositions, quadFades,
-                v0, color, t, 1f, -0.5f, v1, fade); // end-left
-            AddVertex(quadPositions, quadColors, quadThickness, quadUVs, quadEndPositions, quadFades,
-                v0, color, t, 1f, 0.5f, v1, fade); // end-right
+            // Body quad (4 vertices, 2 triangles), shortened for an arrowhead
+            var baseIdxBody = buffers.VertexCount;
+            buffers.Add(segment, 0f, -0.5f, BodyVertex); // start-left
+            buffers.Add(segment, 0f, 0.5f, BodyVertex); // start-right
+            if (arrowLength > 0)
+            {
+                buffers.Add(segment, -arrowLength, -0.5f, ArrowBodyVertex); // end-left
+                buffers.Add(segment, -arrowLength, 0.5f, ArrowBodyVertex); // end-right
+            }
+            else
+            {
+                buffers.Add(segment, 1f, -0.5f, BodyVertex); // end-left
+                buffers.Add(segment, 1f, 0.5f, BodyVertex); // end-right
+            }
 
             // Body indices
-            indices.AddRange(new ushort[] {
-                (ushort)baseIdxBody,
-                (ushort)(baseIdxBody + 1),
-                (ushort)(baseIdxBody + 2),
-                (ushort)(baseIdxBody + 1),
-                (ushort)(baseIdxBody + 3),
-                (ushort)(baseIdxBody + 2)
+            buffers.Indices.AddRange(new int[] {
+                baseIdxBody,
+                baseIdxBody + 1,
+                baseIdxBody + 2,
+                baseIdxBody + 1,
+                baseIdxBody + 3,
+                baseIdxBody + 2
             });
 
-            // Start cap (semicircle behind start point)
-            var startCenterIdx = quadPositions.Count / 3;
-            AddVertex(quadPositions, quadColors, quadThickness, quadUVs, quadEndPositions, quadFades,
-                v0, color, t, 0f, 0f, v1, fade); // center
-
-            var startAngles = GenerateAngles(MathF.PI / 2f, 3f * MathF.PI / 2f);
-            var startPerimBase = quadPositions.Count / 3;
-
-            foreach (var angle in startAngles)
+            if (isFirst)
             {
-                var u = MathF.Cos(angle) * HalfRadius; // negative or zero
-                var v = MathF.Sin(angle) * HalfRadius; // -0.5..0.5
-                AddVertex(quadPositions, quadColors, quadThickness, quadUVs, quadEndPositions, quadFades,
-                    v0, color, t, u, v, v1, fade);
-            }
+                // Start cap (semicircle behind start point)
+                var startCenterIdx = buffers.VertexCount;
+                buffers.Add(segment, 0f, 0f, BodyVertex); // center
+
+                var startAngles = GenerateAngles(MathF.PI / 2f, 3f * MathF.PI / 2f);
+                var startPerimBase = buffers.VertexCount;
+
+                foreach (var angle in startAngles)
+                {
+                    var u = MathF.Cos(angle) * HalfRadius; // negative or zero
+                    var v = MathF.Sin(angle) * HalfRadius; // -0.5..0.5
+                    buffers.Add(segment, u, v, BodyVertex);
+                }
 
-            // Start cap fan indices
-            for (int ai = 0; ai < startAngles.Count - 1; ai++)
-            {
-                indices.AddRange(new ushort[] {
-                    (ushort)startCenterIdx,
-                    (ushort)(startPerimBase + ai),
-                    (ushort)(startPerimBase + ai + 1)
-                });
+                buffers.AddFan(startCenterIdx, startPerimBase, startAngles.Count);
             }
+            else
+            {
+                // Join with the previous segment: a fan from the inner corner over the outer wedge
+                var joinCenterIdx = buffers.VertexCount;
+                buffers.Add(segment, 0f, 0f, JoinCenterVertex);
+
+                var joinPerimBase = buffers.VertexCount;
+                buffers.Add(segment, 0f, 0f, JoinArcVertex);
+                if (join == LineJoin.Miter)
+                    buffers.Add(segment, 0f, 0f, MiterTipVertex);
+                else if (join == LineJoin.Round)
+                {
+                    for (int step = 1; step < RoundJoinSteps; step++)
+                        buffers.Add(segment, 0f, 0f, JoinArcVertex + step / (float)RoundJoinSteps);
+                }
+                buffers.Add(segment, 0f, 0f, JoinArcVertex + 1f);
 
-            // End cap (semicircle forward beyond end point)
-            var endCenterIdx = quadPositions.Count / 3;
-            AddVertex(quadPositions, quadColors, quadThickness, quadUVs, quadEndPositions, quadFades,
-                v0, color, t, 1f, 0f, v1, fade); // center at segment end
-
-            var endAngles = GenerateAngles(-MathF.PI / 2f, MathF.PI / 2f);
-            var endPerimBase = quadPositions.Count / 3;
+                buffers.AddFan(joinCenterIdx, joinPerimBase, buffers.VertexCount - joinPerimBase);
+            }
 
-            foreach (var angle in endAngles)
+            if (arrowLength > 0)
             {
-                var u = 1f + MathF.Cos(angle) * HalfRadius; // 1..1.5
-                var v = MathF.Sin(angle) * HalfRadius;     // -0.5..0.5
-                AddVertex(quadPositions, quadColors, quadThickness, quadUVs, quadEndPositions, quadFades,
-                    v0, color, t, u, v, v1, fade);
+                // Arrowhead with its tip at the end point
+                var arrowHalfWidth = 0.375f * arrowLength;
+                var arrowBase = buffers.VertexCount;
+                buffers.Add(segment, -arrowLength, -arrowHalfWidth, ArrowheadVertex);
+                buffers.Add(segment, -arrowLength, arrowHalfWidth, ArrowheadVertex);
+                buffers.Add(segment, 0f, 0f, ArrowheadVertex);
+                buffers.Indices.AddRange(new int[] { arrowBase, arrowBase + 1, arrowBase + 2 });
             }
-
-            // End cap fan indices
-            for (int ai = 0; ai < endAngles.Count - 1; ai++)
+            else if (isLast)
             {
-                indices.AddRange(new ushort[] {
-                    (ushort)endCenterIdx,
-                    (ushort)(endPerimBase + ai),
-                    (ushort)(endPerimBase + ai + 1)
-                });
+                // End cap (semicircle forward beyond end point)
+                var endCenterIdx = buffers.VertexCount;
+                buffers.Add(segment, 1f, 0f, BodyVertex); // center at segment end
+
+                var endAngles = GenerateAngles(-MathF.PI / 2f, MathF.PI / 2f);
+                var endPerimBase = buffers.VertexCount;
+
+                foreach (var angle in endAngles)
+                {
+                    var u = 1f + MathF.Cos(angle) * HalfRadius; // 1..1.5
+                    var v = MathF.Sin(angle) * HalfRadius;     // -0.5..0.5
+                    buffers.Add(segment, u, v, BodyVertex);
+                }
+
+                buffers.AddFan(endCenterIdx, endPerimBase, endAngles.Count);
             }
+
+            distance += Vector3.Distance(v0, v1);
         }
 
         return (
-            quadPositions.ToArray(),
-            quadColors.ToArray(),
-            quadThickness.ToArray(),
-            quadUVs.ToArray(),
-            quadEndPositions.ToArray(),
-            quadFades.ToArray(),
-            indices.ToArray()
+            buffers.Positions.ToArray(),
+            buffers.Colors.ToArray(),
+            buffers.Thickness.ToArray(),
+            buffers.UVs.ToArray(),
+            buffers.EndPositions.ToArray(),
+            buffers.Fades.ToArray(),
+            buffers.Neighbors.ToArray(),
+            buffers.Indices.ToArray()
         );
     }
 
-    private static void AddVertex(
-        List<float> positions,
-        List<float> colors,
-        List<float> thickness,
-        List<float> uvs,
-        List<float> endPositions,
-        List<float> fades,
-        Vector3 startPos,
-        float[] color,
-        float thick,
-        float u,
-        float v,
-        Vector3 endPos,
-        float fade)
+    // What every vertex of a segment shares
+    private readonly record struct Segment(
+        Vector3 Start,
+        Vector3 End,
+        Vector3 Previous, // the start when the polyline starts here
+        Vector3 Next,     // the end when the polyline ends here
+        float[] Color,
+        float Thickness,
+        float Fade,
+        float Distance);
+
+    private sealed class PolylineBuffers
     {
-        // Position (vec3)
-        positions.Add(startPos.X);
-        positions.Add(startPos.Y);
-        positions.Add(startPos.Z);
-
-        // Color (vec4)
-        colors.AddRange(color);
-
-        // Thickness (float)
-        thickness.Add(thick);
-
-        // UV (vec2)
-        uvs.Add(u);
-        uvs.Add(v);
-
-        // End Center (vec3)
-        endPositions.Add(endPos.X);
-        endPositions.Add(endPos.Y);
-        endPositions.Add(endPos.Z);
+        public readonly List<float> Positions = new();
+        public readonly List<float> Colors = new();
+        public readonly List<float> Thickness = new();
+        public readonly List<float> UVs = new();
+        public readonly List<float> EndPositions = new();
+        public readonly List<float> Fades = new();
+        public readonly List<float> Neighbors = new();
+        public readonly List<int> Indices = new();
+
+        public int VertexCount => Thickness.Count;
+
+        public void Add(Segment segment, float u, float v, float kind)
+        {
+            // Position (vec3)
+            Positions.Add(segment.Start.X);
+            Positions.Add(segment.Start.Y);
+            Positions.Add(segment.Start.Z);
+
+            // Color (vec4)
+            Colors.AddRange(segment.Color);
+
+            // Thickness (float)
+            Thickness.Add(segment.Thickness);
+
+            // UV (vec2)
+            UVs.Add(u);
+            UVs.Add(v);
+
+            // End Center (vec3)
+            EndPositions.Add(segment.End.X);
+            EndPositions.Add(segment.End.Y);
+            EndPositions.Add(segment.End.Z);
+
+            // Fade factor (float)
+            Fades.Add(segment.Fade);
+
+            // Previous point and distance, next point and kind (2 x vec4)
+            Neighbors.Add(segment.Previous.X);
+            Neighbors.Add(segment.Previous.Y);
+            Neighbors.Add(segment.Previous.Z);
+            Neighbors.Add(segment.Distance);
+            Neighbors.Add(segment.Next.X);
+            Neighbors.Add(segment.Next.Y);
+            Neighbors.Add(segment.Next.Z);
+            Neighbors.Add(kind);
+        }
 
-        // Fade factor (float)
-        fades.Add(fade);
+        // Triangles from center to each pair of consecutive perimeter vertices
+        public void AddFan(int center, int perimeterStart, int perimeterCount)
+        {
+            for (int i = 0; i < perimeterCount - 1; i++)
+            {
+                Indices.AddRange(new int[] {
+                    center,
+                    perimeterStart + i,
+                    perimeterStart + i + 1
+                });
+            }
+        }
     }
 
     private static List<float> GenerateAngles(float startAngle, float endAngle)
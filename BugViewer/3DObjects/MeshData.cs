@@ -12,39 +12,159 @@ public record MeshData : AbstractObject3D
     public required IEnumerable<(int a, int b, int c)> Indices { get; init; }
 
     public required MeshColoring ColorMode { get; init; }
-    
+
+    /// <summary>
+    /// Optional per-vertex normals (one per entry in Vertices). When omitted and
+    /// <see cref="Shading"/> is not <see cref="ShadingMode.Flat"/>, normals are computed from the triangles.
+    /// </summary>
+    public IEnumerable<Vector3>? Normals { get; init; }
+
+    /// <summary>How the surface is shaded. Defaults to <see cref="ShadingMode.Auto"/>.</summary>
+    public ShadingMode Shading { get; init; } = ShadingMode.Auto;
+
+    /// <summary>
+    /// Crease angle in degrees used by <see cref="ShadingMode.Auto"/>. Adjacent faces that meet
+    /// at a sharper angle than this keep a hard edge between them.
+    /// </summary>
+    public double CreaseAngle { get; init; } = 30.0;
+
+    /// <summary>
+    /// How this mesh is drawn. When null (the default) it follows <see cref="BugViewerOptions.MeshDisplayMode"/>.
+    /// </summary>
+    public MeshDisplayMode? DisplayMode { get; init; }
+
+    /// <summary>
+    /// Which faces of this mesh are culled. When null (the default) it follows <see cref="BugViewerOptions.CullMode"/>.
+    /// </summary>
+    public CullMode? CullMode { get; init; }
+
+    /// <summary>
+    /// Optional metallic/roughness material. When null (the default) the mesh uses the cheaper Blinn-Phong shading.
+    /// </summary>
+    public MeshMaterial? Material { get; init; }
+
+    /// <summary>
+    /// Optional per-vertex texture coordinates (one per entry in Vertices), where (0, 0) is the bottom-left
+    /// and (1, 1) the top-right corner of the image. Only used together with <see cref="Texture"/>.
+    /// </summary>
+    public IEnumerable<Vector2>? TextureCoordinates { get; init; }
+
+    /// <summary>
+    /// Optional image mapped onto the mesh through <see cref="TextureCoordinates"/>, which are required with it.
+    /// </summary>
+    public MeshTexture? Texture { get; init; }
 
     internal override object CreateJavascriptData()
     {
+        var vertexList = Vertices as IList<Vector3> ?? Vertices.ToList();
+        var faceList = Indices as IList<(int a, int b, int c)> ?? Indices.ToList();
+        var normalList = Normals is null ? null : Normals as IList<Vector3> ?? Normals.ToList();
+        if (Shading != ShadingMode.Flat && normalList != null && normalList.Count != vertexList.Count)
+        {
+            throw new InvalidOperationException($"Normal count {normalList.Count} does not match vertex count {vertexList.Count}.");
+        }
+        var uvList = Texture is null || TextureCoordinates is null ? null : TextureCoordinates as IList<Vector2> ?? TextureCoordinates.ToList();
+        if (Texture != null && uvList?.Count != vertexList.Count)
+        {
+            throw new InvalidOperationException($"Texture coordinate count {uvList?.Count ?? 0} does not match vertex count {vertexList.Count}.");
+        }
+
         if (ColorMode == MeshColoring.PerTriangle)
         {
-            int expectedColors = Indices.Count();
+            int expectedColors = faceList.Count;
             if (Colors.Count() != expectedColors)
             {
                 throw new InvalidOperationException($"Color count {Colors.Count()} does not match expected per-triangle color count {expectedColors}.");
             }
-            var vertexList = Vertices as IList<Vector3> ?? Vertices.ToList();
+
+            // Every corner becomes its own vertex, so normals are simply given per corner
+            IEnumerable<Vector3>? cornerNormals = null;
+            if (Shading != ShadingMode.Flat)
+                cornerNormals = normalList != null
+                    ? faceList.SelectMany(face => TriangleIndices(face)).Select(ind => normalList[ind])
+                    : VertexNormals.ComputeCornerNormals(vertexList, faceList, ShadingCreaseAngle);
 
             return new
             {
                 id = Id,
-                vertices = Indices.SelectMany(face => TriangleIndices(face)).SelectMany(ind => Coordinates(vertexList[ind])).ToArray(),
-                indices = Enumerable.Range(0, 3 * Indices.Count()).ToArray(),
+                groupId = GroupId,
+                pickable = Pickable,
+                displayMode = DisplayModeToJavaScript(DisplayMode),
+                cullMode = CullModeToJavaScript(CullMode),
+                material = Material?.ToJavascript(),
+                texture = Texture?.ToJavascript(),
+                vertices = faceList.SelectMany(face => TriangleIndices(face)).SelectMany(ind => Coordinates(vertexList[ind])).ToArray(),
+                indices = Enumerable.Range(0, 3 * faceList.Count).ToArray(),
                 colors = Colors.SelectMany(c =>
                       ColorToJavaScript(c).Concat(ColorToJavaScript(c)).Concat(ColorToJavaScript(c))).ToArray(),
+                normals = cornerNormals?.SelectMany(n => Coordinates(n)).ToArray(),
+                uvs = uvList is null ? null : faceList.SelectMany(face => TriangleIndices(face)).SelectMany(ind => UvToJavaScript(uvList[ind])).ToArray(),
                 singleColor = false
             };
         }
+        else if (Shading != ShadingMode.Flat && normalList == null)
+        {
+            // Computed normals can differ between the corners of one vertex (along creases),
+            // so those vertices are split and the per-vertex data is remapped to the new vertices
+            var cornerNormals = VertexNormals.ComputeCornerNormals(vertexList, faceList, ShadingCreaseAngle);
+            var (vertexMap, normals, indices) = VertexNormals.SplitVertices(faceList, cornerNormals);
+            var colorList = Colors as IList<Color> ?? Colors.ToList();
+            var singleColor = ColorMode == MeshColoring.UniformColor;
+
+            return new
+            {
+                id = Id,
+                groupId = GroupId,
+                pickable = Pickable,
+                displayMode = DisplayModeToJavaScript(DisplayMode),
+                cullMode = CullModeToJavaScript(CullMode),
+                material = Material?.ToJavascript(),
+                texture = Texture?.ToJavascript(),
+                vertices = vertexMap.SelectMany(ind => Coordinates(vertexList[ind])).ToArray(),
+                indices,
+                colors = singleColor
+                    ? colorList.SelectMany(c => ColorToJavaScript(c)).ToArray()
+                    : vertexMap.SelectMany(ind => ColorToJavaScript(colorList[ind])).ToArray(),
+                normals = normals.SelectMany(n => Coordinates(n)).ToArray(),
+                uvs = uvList is null ? null : vertexMap.SelectMany(ind => UvToJavaScript(uvList[ind])).ToArray(),
+                singleColor
+            };
+        }
         else
         {
             return new
             {
                 id = Id,
-                vertices = Vertices.SelectMany(v => Coordinates(v)).ToArray(),
-                indices = Indices.SelectMany(face => TriangleIndices(face)).ToArray(),
+                groupId = GroupId,
+                pickable = Pickable,
+                displayMode = DisplayModeToJavaScript(DisplayMode),
+                cullMode = CullModeToJavaScript(CullMode),
+                material = Material?.ToJavascript(),
+                texture = Texture?.ToJavascript(),
+                vertices = vertexList.SelectMany(v => Coordinates(v)).ToArray(),
+                indices = faceList.SelectMany(face => TriangleIndices(face)).ToArray(),
                 colors = Colors.SelectMany(c => ColorToJavaScript(c)).ToArray(),
+                normals = Shading == ShadingMode.Flat ? null : normalList!.SelectMany(n => Coordinates(n)).ToArray(),
+                uvs = uvList?.SelectMany(uv => UvToJavaScript(uv)).ToArray(),
                 singleColor = ColorMode == MeshColoring.UniformColor
             };
         }
     }
+
+    private static IEnumerable<float> UvToJavaScript(Vector2 uv)
+    { yield return uv.X; yield return uv.Y; }
+
+    internal static string? DisplayModeToJavaScript(MeshDisplayMode? mode) => mode switch
+    {
+        MeshDisplayMode.Shaded => "shaded",
+        MeshDisplayMode.Wireframe => "wireframe",
+        MeshDisplayMode.ShadedWithEdges => "shadedWithEdges",
+        MeshDisplayMode.FeatureEdges => "featureEdges",
+        _ => null
+    };
+
+    internal static string? CullModeToJavaScript(CullMode? mode) => mode?.ToString().ToLowerInvariant();
+
+    /// <summary>The crease angle in radians for the current shading mode (smooth shading never creases).</summary>
+    private double ShadingCreaseAngle => Shading == ShadingMode.Smooth ? Math.PI : Math.PI * CreaseAngle / 180;
 }
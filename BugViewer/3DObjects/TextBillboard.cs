@@ -4,24 +4,115 @@ using System.Numerics;
 namespace BugViewer;
 
 /// <summary>
-/// Represents 3D lines with variable thickness and color for WebGPU rendering.
+/// A text label that always faces the camera, drawn at the first entry of <see cref="AbstractObject3D.Vertices"/>.
 /// </summary>
 public record TextBillboard : AbstractObject3D
 {
+    /// <summary>The text; line breaks ("\n") start new lines.</summary>
     public required string Text { get; init; }
     public required Color BackgroundColor { get; init; }
     public required Color TextColor { get; init; }
-    public Vector3 Center  => ((List<Vector3>)Vertices)[0];
-    
+    public Vector3 Center => Vertices.First();
+
+    /// <summary>A CSS font family, e.g. "Arial" or "monospace".</summary>
+    public string FontFamily { get; init; } = "sans-serif";
+
+    /// <summary>Font size in CSS pixels or, for <see cref="LabelSizing.World"/>, in world units.</summary>
+    public double FontSize { get; init; } = 14;
+
+    /// <summary>CSS font weight, from 100 (thin) through 400 (normal) to 900 (black).</summary>
+    public int FontWeight { get; init; } = 700;
+
+    public bool Italic { get; init; }
+
+    /// <summary>How the lines of multi-line text are aligned with each other.</summary>
+    public TextAlignment TextAlignment { get; init; } = TextAlignment.Center;
+
+    /// <summary>Space between the text and the edge of the background, in the units of <see cref="FontSize"/>.</summary>
+    public double Padding { get; init; } = 4;
+
+    /// <summary>Corner radius of the background, in the units of <see cref="FontSize"/>. 0 for square corners.</summary>
+    public double CornerRadius { get; init; }
+
+    /// <summary>Whether the label keeps its size on screen or scales with the scene.</summary>
+    public LabelSizing Sizing { get; init; } = LabelSizing.Screen;
+
+    /// <summary>The point of the label placed at its position plus <see cref="Offset"/>.</summary>
+    public LabelAnchor Anchor { get; init; } = LabelAnchor.Center;
+
+    /// <summary>Moves the label away from its position, in CSS pixels (X right, Y up).</summary>
+    public Vector2 Offset { get; init; }
+
+    /// <summary>When true, a line connects the position to the label moved by <see cref="Offset"/>.</summary>
+    public bool LeaderLine { get; init; }
+
+    /// <summary>Color of the leader line; null uses the <see cref="TextColor"/>.</summary>
+    public Color? LeaderLineColor { get; init; }
+
+    /// <summary>Width of the leader line in CSS pixels.</summary>
+    public double LeaderLineWidth { get; init; } = 1;
+
+    /// <summary>How the label shows when its position is behind other objects.</summary>
+    public LabelOcclusion Occlusion { get; init; } = LabelOcclusion.Hide;
+
+    /// <summary>Opacity, from 0 to 1, of the label behind other objects with <see cref="LabelOcclusion.Dim"/>.</summary>
+    public double OccludedOpacity { get; init; } = 0.3;
+
+    /// <summary>What the label does when it overlaps other labels that avoid collisions.</summary>
+    public LabelCollision Collision { get; init; } = LabelCollision.Overlap;
+
+    /// <summary>Labels of higher priority keep their place when labels collide.</summary>
+    public double Priority { get; init; }
+
     internal override object CreateJavascriptData()
     {
         return new
         {
             id = Id,
+            groupId = GroupId,
+            pickable = Pickable,
             text = Text,
             position = new[] { Center.X, Center.Y, Center.Z },
             backgroundColor = ColorToJavaScript(BackgroundColor).ToArray(),
-            textColor = ColorToJavaScript(TextColor).ToArray()
+            textColor = ColorToJavaScript(TextColor).ToArray(),
+            fontFamily = FontFamily,
+            fontSize = (float)FontSize,
+            fontWeight = FontWeight,
+            italic = Italic,
+            textAlign = TextAlignment.ToString().ToLowerInvariant(),
+            padding = (float)Padding,
+            cornerRadius = (float)CornerRadius,
+            sizing = Sizing.ToString().ToLowerInvariant(),
+            anchor = AnchorToJavaScript(Anchor),
+            offset = new[] { Offset.X, Offset.Y },
+            leaderLine = LeaderLine
+                ? new { color = ColorToJavaScript(LeaderLineColor ?? TextColor).ToArray(), width = (float)LeaderLineWidth }
+                : null,
+            occludedOpacity = OccludedOpacityToJavaScript(Occlusion, OccludedOpacity),
+            collision = Collision.ToString().ToLowerInvariant(),
+            priority = (float)Priority
         };
     }
+
+    // The opacity behind other objects: 0 hides the label, 1 keeps it on top
+    internal static float OccludedOpacityToJavaScript(LabelOcclusion occlusion, double opacity) => occlusion switch
+    {
+        LabelOcclusion.Dim => Math.Clamp((float)opacity, 0, 1),
+        LabelOcclusion.AlwaysOnTop => 1,
+        _ => 0
+    };
+
+    // The anchor as fractions of the label's width and height, from its bottom-left corner
+    internal static float[] AnchorToJavaScript(LabelAnchor anchor) => anchor switch
+    {
+        LabelAnchor.Top => [0.5f, 1],
+        LabelAnchor.Bottom => [0.5f, 0],
+        LabelAnchor.Left => [0, 0.5f],
+        LabelAnchor.Right => [1, 0.5f],
+        LabelAnchor.TopLeft => [0, 1],
+        LabelAnchor.TopRight => [1, 1],
+        LabelAnchor.BottomLeft => [0, 0],
+        LabelAnchor.BottomRight => [1, 0],
+        _ => [0.5f, 0.5f]
+    };
 }
@@ -0,0 +1,104 @@
+using System.Numerics;
+
+namespace BugViewer;
+
+/// <summary>
+/// Computes per-vertex normals for smooth shading of triangle meshes.
+/// </summary>
+internal static class VertexNormals
+{
+    /// <summary>
+    /// Computes a normal for every triangle corner (3 per face, in face order). Each corner averages the
+    /// area-weighted normals of the faces around its vertex that are within the crease angle of its own face,
+    /// so edges sharper than the crease angle stay hard. Coincident vertices are welded first so that meshes
+    /// with unshared corners (e.g. per-triangle colors) still smooth across faces.
+    /// </summary>
+    /// <param name="vertices">The vertex positions.</param>
+    /// <param name="faces">The triangles as indices into <paramref name="vertices"/>.</param>
+    /// <param name="creaseAngle">Crease angle in radians. Use π (or more) to smooth across every edge.</param>
+    /// <returns>Unit normals per corner; a corner of a degenerate face gets <see cref="Vector3.Zero"/>.</returns>
+    internal static Vector3[] ComputeCornerNormals(IList<Vector3> vertices, IList<(int a, int b, int c)> faces, double creaseAngle)
+    {
+        var weldIds = new int[vertices.Count];
+        var weldLookup = new Dictionary<Vector3, int>();
+        for (int i = 0; i < vertices.Count; i++)
+        {
+            if (!weldLookup.TryGetValue(vertices[i], out var id))
+            {
+                id = weldLookup.Count;
+                weldLookup.Add(vertices[i], id);
+            }
+            weldIds[i] = id;
+        }
+
+        var weightedNormals = new Vector3[faces.Count];
+        var unitNormals = new Vector3[faces.Count];
+        var facesAtVertex = new List<int>[weldLookup.Count];
+        for (int f = 0; f < faces.Count; f++)
+        {
+            var (a, b, c) = faces[f];
+            // cross product length is twice the triangle area, so this weights larger faces more
+            var normal = Vector3.Cross(vertices[b] - vertices[a], vertices[c] - vertices[a]);
+            weightedNormals[f] = normal;
+            var length = normal.Length();
+            unitNormals[f] = length > 0 ? normal / length : Vector3.Zero;
+            foreach (var v in new[] { a, b, c })
+                (facesAtVertex[weldIds[v]] ??= new List<int>()).Add(f);
+        }
+
+        // a small tolerance keeps creaseAngle = π from rejecting exactly opposite faces due to round-off
+        var minDot = Math.Cos(Math.Min(creaseAngle, Math.PI)) - 1e-6;
+        var cornerNormals = new Vector3[3 * faces.Count];
+        for (int f = 0; f < faces.Count; f++)
+        {
+            var (a, b, c) = faces[f];
+            var corner = 3 * f;
+            foreach (var v in new[] { a, b, c })
+            {
+                var sum = Vector3.Zero;
+                foreach (var g in facesAtVertex[weldIds[v]])
+                    if (g == f || Vector3.Dot(unitNormals[f], unitNormals[g]) >= minDot)
+                        sum += weightedNormals[g];
+                cornerNormals[corner++] = sum.LengthSquared() > 0 ? Vector3.Normalize(sum) : Vector3.Zero;
+            }
+        }
+        return cornerNormals;
+    }
+
+    /// <summary>
+    /// Shares corners that have the same vertex and the same normal, and splits vertices whose corners
+    /// have different normals (along creases).
+    /// </summary>
+    /// <param name="faces">The triangles as indices into the original vertex list.</param>
+    /// <param name="cornerNormals">The normals from <see cref="ComputeCornerNormals"/>.</param>
+    /// <returns>
+    /// For each new vertex, the index of the original vertex it came from and its normal; and the
+    /// new triangle indices (3 per face).
+    /// </returns>
+    internal static (int[] vertexMap, Vector3[] normals, int[] indices) SplitVertices(
+        IList<(int a, int b, int c)> faces, Vector3[] cornerNormals)
+    {
+        var lookup = new Dictionary<(int, Vector3), int>();
+        var vertexMap = new List<int>();
+        var normals = new List<Vector3>();
+        var indices = new int[3 * faces.Count];
+        for (int f = 0; f < faces.Count; f++)
+        {
+            var (a, b, c) = faces[f];
+            var corner = 3 * f;
+            foreach (var v in new[] { a, b, c })
+            {
+                var key = (v, cornerNormals[corner]);
+                if (!lookup.TryGetValue(key, out var newIndex))
+                {
+                    newIndex = vertexMap.Count;
+                    lookup.Add(key, newIndex);
+                    vertexMap.Add(v);
+                    normals.Add(cornerNormals[corner]);
+                }
+                indices[corner++] = newIndex;
+            }
+        }
+        return (vertexMap.ToArray(), normals.ToArray(), indices);
+    }
+}
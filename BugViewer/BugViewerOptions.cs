@@ -39,6 +39,7 @@ public class BugViewerOptions : INotifyPropertyChanged
         LineWidthX = 0.1,
         LineWidthY = 0.1,
         SampleCount = 4,
+        RenderMode = RenderMode.Continuous,
         IsProjectionCamera = true,
         Fov = 20,
         OrthoSize = 5.0,
@@ -60,7 +61,22 @@ public class BugViewerOptions : INotifyPropertyChanged
         ZoomSensitivity = 0.005,
         PanSensitivity = 0.005,
         PanSpeedMultiplier = 3.0,
-        CoordinateThickness = 1
+        CoordinateThickness = 1,
+        ClippingPlanes = [],
+        CapColor = "rgb(200, 60, 60)",
+        ShowCaps = true,
+        MeshDisplayMode = MeshDisplayMode.Shaded,
+        FeatureEdgeAngle = 30,
+        EdgeColor = "rgb(25, 25, 25)",
+        EdgeWidth = 1,
+        CullMode = CullMode.Back,
+        TransparencyMode = TransparencyMode.Sorted,
+        BackFaceColor = "rgb(255, 0, 255)",
+        ShowBackFaceColor = false,
+        LightingPreset = LightingPreset.Fixed,
+        Lights = [],
+        Shadows = EffectQuality.Off,
+        AmbientOcclusion = EffectQuality.Off
     };
     public void ResetToDefault()
     {
@@ -76,6 +92,7 @@ public class BugViewerOptions : INotifyPropertyChanged
         LineWidthX = Default.LineWidthX;
         LineWidthY = Default.LineWidthY;
         SampleCount = Default.SampleCount;
+        RenderMode = Default.RenderMode;
         IsProjectionCamera = Default.IsProjectionCamera;
         Fov = Default.Fov;
         OrthoSize = Default.OrthoSize;
@@ -97,6 +114,21 @@ public class BugViewerOptions : INotifyPropertyChanged
         GridSize = Default.GridSize;
         GridSpacing = Default.GridSpacing;
         CoordinateThickness = Default.CoordinateThickness;
+        ClippingPlanes = Default.ClippingPlanes;
+        CapColor = Default.CapColor;
+        ShowCaps = Default.ShowCaps;
+        MeshDisplayMode = Default.MeshDisplayMode;
+        FeatureEdgeAngle = Default.FeatureEdgeAngle;
+        EdgeColor = Default.EdgeColor;
+        EdgeWidth = Default.EdgeWidth;
+        CullMode = Default.CullMode;
+        TransparencyMode = Default.TransparencyMode;
+        BackFaceColor = Default.BackFaceColor;
+        ShowBackFaceColor = Default.ShowBackFaceColor;
+        LightingPreset = Default.LightingPreset;
+        Lights = Default.Lights;
+        Shadows = Default.Shadows;
+        AmbientOcclusion = Default.AmbientOcclusion;
     }
 
     private UpdateTypes _autoResetCamera;
@@ -317,6 +349,21 @@ public class BugViewerOptions : INotifyPropertyChanged
         }
     }
 
+    private RenderMode _renderMode;
+    /// <summary>Whether the viewer draws every animation frame or only after something changes.</summary>
+    public RenderMode RenderMode
+    {
+        get => _renderMode;
+        set
+        {
+            if (_renderMode != value)
+            {
+                _renderMode = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
     private bool _isProjectionCamera;
     /// <summary>Camera projection type (Perspective or Orthographic).</summary>
     public bool IsProjectionCamera
@@ -612,15 +659,68 @@ public class BugViewerOptions : INotifyPropertyChanged
             }
         }
     }
-    private float[] GetLightDirection()
+    private Vector3 GetLightDirection()
     {
         var x = (float)(-Math.Sin(LightPolarAngle) * Math.Cos(LightAzimuthAngle));
         var y = (float)(-Math.Sin(LightPolarAngle) * Math.Sin(LightAzimuthAngle));
         var z = (float)(-Math.Cos(LightPolarAngle));
 
         if (ZIsUp)
-            return [x, y, z];
-        else return [z, x, y];
+            return new Vector3(x, y, z);
+        else return new Vector3(z, x, y);
+    }
+
+    /// <summary>The most lights the renderer supports at once, counting those of the preset.</summary>
+    public const int MaxLights = 8;
+
+    private LightingPreset _lightingPreset;
+    /// <summary>
+    /// The built-in lights. The default <see cref="LightingPreset.Fixed"/> light stays put in the world, so the
+    /// back of a part goes dark when orbiting around it; <see cref="LightingPreset.Headlight"/> and
+    /// <see cref="LightingPreset.ThreePoint"/> follow the camera instead.
+    /// </summary>
+    public LightingPreset LightingPreset
+    {
+        get => _lightingPreset;
+        set
+        {
+            if (_lightingPreset != value)
+            {
+                _lightingPreset = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private LightSource[] _lights = [];
+    /// <summary>
+    /// Directional and point lights added to those of the <see cref="LightingPreset"/>. Only the first
+    /// <see cref="MaxLights"/> lights in total are used.
+    /// </summary>
+    public LightSource[] Lights
+    {
+        get => _lights;
+        set
+        {
+            value ??= [];
+            if (!_lights.SequenceEqual(value))
+            {
+                _lights = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private IEnumerable<LightSource> GetLights()
+    {
+        IEnumerable<LightSource> preset = LightingPreset switch
+        {
+            LightingPreset.Fixed => [new LightSource { Vector = GetLightDirection() }],
+            LightingPreset.Headlight => [LightSource.Headlight],
+            LightingPreset.ThreePoint => LightSource.ThreePoint,
+            _ => []
+        };
+        return preset.Concat(Lights).Take(MaxLights);
     }
 
     private double _ambientLight;
@@ -654,6 +754,42 @@ public class BugViewerOptions : INotifyPropertyChanged
         }
     }
 
+    private EffectQuality _shadows;
+    /// <summary>
+    /// Shadows cast by opaque meshes from the first directional light, onto each other and onto the grid.
+    /// Higher qualities use a larger shadow map with softer, filtered edges.
+    /// </summary>
+    public EffectQuality Shadows
+    {
+        get => _shadows;
+        set
+        {
+            if (_shadows != value)
+            {
+                _shadows = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private EffectQuality _ambientOcclusion;
+    /// <summary>
+    /// Screen-space ambient occlusion: darkens the ambient light in creases and where parts meet.
+    /// Higher qualities take more samples per pixel.
+    /// </summary>
+    public EffectQuality AmbientOcclusion
+    {
+        get => _ambientOcclusion;
+        set
+        {
+            if (_ambientOcclusion != value)
+            {
+                _ambientOcclusion = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
 
     private double _coordThick;
     /// <summary>Whether to show coordinate axes (X=red, Y=green, Z=blue).</summary>
@@ -670,6 +806,190 @@ public class BugViewerOptions : INotifyPropertyChanged
         }
     }
 
+    /// <summary>The most clipping planes the renderer supports at once.</summary>
+    public const int MaxClippingPlanes = 6;
+
+    private ClippingPlane[] _clippingPlanes = [];
+    /// <summary>
+    /// Section planes cutting the meshes, lines and grid. Only the first
+    /// <see cref="MaxClippingPlanes"/> enabled planes are used.
+    /// </summary>
+    public ClippingPlane[] ClippingPlanes
+    {
+        get => _clippingPlanes;
+        set
+        {
+            value ??= [];
+            if (!_clippingPlanes.SequenceEqual(value))
+            {
+                _clippingPlanes = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private string _capColor;
+    /// <summary>Solid color filling the faces of opaque meshes cut open by a clipping plane.</summary>
+    public string CapColor
+    {
+        get => _capColor;
+        set
+        {
+            if (_capColor != value)
+            {
+                _capColor = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private bool _showCaps;
+    /// <summary>Whether cut meshes are capped with <see cref="CapColor"/> instead of showing their inside.</summary>
+    public bool ShowCaps
+    {
+        get => _showCaps;
+        set
+        {
+            if (_showCaps != value)
+            {
+                _showCaps = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private MeshDisplayMode _meshDisplayMode;
+    /// <summary>How meshes are drawn unless they set their own <see cref="MeshData.DisplayMode"/>.</summary>
+    public MeshDisplayMode MeshDisplayMode
+    {
+        get => _meshDisplayMode;
+        set
+        {
+            if (_meshDisplayMode != value)
+            {
+                _meshDisplayMode = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private double _featureEdgeAngle;
+    /// <summary>
+    /// Angle in degrees between the normals of adjacent faces above which their shared edge is drawn
+    /// by <see cref="MeshDisplayMode.FeatureEdges"/>.
+    /// </summary>
+    public double FeatureEdgeAngle
+    {
+        get => _featureEdgeAngle;
+        set
+        {
+            if (ChangeOccurred(_featureEdgeAngle, value))
+            {
+                _featureEdgeAngle = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private string _edgeColor;
+    /// <summary>Color of the mesh edges drawn by the wireframe and edge display modes.</summary>
+    public string EdgeColor
+    {
+        get => _edgeColor;
+        set
+        {
+            if (_edgeColor != value)
+            {
+                _edgeColor = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private double _edgeWidth;
+    /// <summary>Width of the mesh edges in CSS pixels, the same at any distance.</summary>
+    public double EdgeWidth
+    {
+        get => _edgeWidth;
+        set
+        {
+            if (ChangeOccurred(_edgeWidth, value))
+            {
+                _edgeWidth = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private CullMode _cullMode;
+    /// <summary>
+    /// Which faces of meshes are culled unless they set their own <see cref="MeshData.CullMode"/>.
+    /// Use <see cref="CullMode.None"/> for open shells or meshes with inconsistent winding.
+    /// </summary>
+    public CullMode CullMode
+    {
+        get => _cullMode;
+        set
+        {
+            if (_cullMode != value)
+            {
+                _cullMode = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private TransparencyMode _transparencyMode;
+    /// <summary>
+    /// How transparent meshes are blended. Use <see cref="TransparencyMode.WeightedBlended"/> for
+    /// intersecting or nested transparent parts, such as a housing around its internals.
+    /// </summary>
+    public TransparencyMode TransparencyMode
+    {
+        get => _transparencyMode;
+        set
+        {
+            if (_transparencyMode != value)
+            {
+                _transparencyMode = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private string _backFaceColor;
+    /// <summary>Color of visible back faces when <see cref="ShowBackFaceColor"/> is on.</summary>
+    public string BackFaceColor
+    {
+        get => _backFaceColor;
+        set
+        {
+            if (_backFaceColor != value)
+            {
+                _backFaceColor = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
+    private bool _showBackFaceColor;
+    /// <summary>
+    /// Whether visible back faces are drawn in <see cref="BackFaceColor"/> instead of the mesh color,
+    /// which makes inverted faces easy to spot. Back faces are lit like front faces either way.
+    /// </summary>
+    public bool ShowBackFaceColor
+    {
+        get => _showBackFaceColor;
+        set
+        {
+            if (_showBackFaceColor != value)
+            {
+                _showBackFaceColor = value;
+                OnPropertyChanged();
+            }
+        }
+    }
+
     private bool ChangeOccurred(double v1, double v2)
     {
         return Math.Abs(v1 - v2) > 1e-9;
@@ -685,13 +1005,26 @@ public class BugViewerOptions : INotifyPropertyChanged
         lineWidthX = (float)LineWidthX,
         lineWidthY = (float)LineWidthY,
         sampleCount = SampleCount,
+        renderMode = RenderMode == RenderMode.OnDemand ? "onDemand" : "continuous",
         gridSize = (float)GridSize,
         gridSpacing = (float)GridSpacing,
         zIsUp = ZIsUp,
         coordinateThickness = CoordinateThickness,
-        lightDir = GetLightDirection(),
+        lights = GetLights().Select(l => l.ToJavascript()).ToArray(),
         ambient = (float)AmbientLight,
         specularPower = (float)SpecularPower,
+        clipPlanes = ClippingPlanes.Where(p => p.Enabled).Take(MaxClippingPlanes).Select(p => p.ToJavascript()).ToArray(),
+        capColor = ColorToJavaScript(CapColor, 1).ToArray(),
+        showCaps = ShowCaps,
+        meshDisplayMode = MeshData.DisplayModeToJavaScript(MeshDisplayMode),
+        featureEdgeAngle = (float)FeatureEdgeAngle,
+        edgeColor = ColorToJavaScript(EdgeColor, 1).ToArray(),
+        edgeWidth = (float)EdgeWidth,
+        cullMode = MeshData.CullModeToJavaScript(CullMode),
+        transparencyMode = TransparencyMode == TransparencyMode.WeightedBlended ? "weightedBlended" : "sorted",
+        backFaceColor = ColorToJavaScript(BackFaceColor, ShowBackFaceColor ? 1 : 0).ToArray(),
+        shadows = Shadows.ToString().ToLowerInvariant(),
+        ambientOcclusion = AmbientOcclusion.ToString().ToLowerInvariant(),
     };
     internal static IEnumerable<float> ColorToJavaScript(string c, double transparency)
     {
@@ -0,0 +1,25 @@
+using System.Numerics;
+
+namespace BugViewer;
+
+/// <summary>
+/// A section plane that cuts away part of the scene. Everything on the side the
+/// <see cref="Normal"/> points to (where dot(Normal, p) &gt; <see cref="Offset"/>) is hidden.
+/// </summary>
+public record ClippingPlane
+{
+    /// <summary>Direction pointing into the removed half-space. Does not need to be unit length.</summary>
+    public Vector3 Normal { get; init; } = Vector3.UnitX;
+
+    /// <summary>Signed distance of the plane from the origin along the (normalized) normal.</summary>
+    public double Offset { get; init; }
+
+    /// <summary>Disabled planes are kept in the options but cut nothing.</summary>
+    public bool Enabled { get; init; } = true;
+
+    internal float[] ToJavascript()
+    {
+        var n = Vector3.Normalize(Normal);
+        return [n.X, n.Y, n.Z, (float)Offset];
+    }
+}
@@ -24,10 +24,318 @@ namespace BugViewer
         PerVertex,
         PerTriangle
     }
+
+    /// <summary>
+    /// How a mesh surface is shaded.
+    /// </summary>
+    public enum ShadingMode
+    {
+        /// <summary>One normal per triangle; every facet is visible.</summary>
+        Flat,
+        /// <summary>Normals are averaged across every edge.</summary>
+        Smooth,
+        /// <summary>Normals are averaged across edges flatter than the mesh's crease angle.</summary>
+        Auto
+    }
     public enum UpdateTypes
     {
         Never = 0,
         OnDataChange = 1,
         SphereChange = 2,
     }
+
+    /// <summary>
+    /// Index buffer format chosen by the viewer when an object is uploaded to the GPU.
+    /// 32-bit indices are used automatically once an object has more than 65,535 vertices.
+    /// </summary>
+    public enum IndexFormat
+    {
+        Uint16,
+        Uint32
+    }
+
+    /// <summary>
+    /// The type of object reported by a pick.
+    /// </summary>
+    public enum PickedObjectKind
+    {
+        Mesh,
+        Lines,
+        TextBillboard
+    }
+
+    /// <summary>
+    /// When the viewer draws a new frame.
+    /// </summary>
+    public enum RenderMode
+    {
+        /// <summary>Every animation frame, whether or not anything changed.</summary>
+        Continuous,
+        /// <summary>
+        /// Only after the camera, options or scene change (or <see cref="BugViewer.RequestRedrawAsync"/> is called),
+        /// which saves power while the view is static.
+        /// </summary>
+        OnDemand
+    }
+
+    /// <summary>
+    /// How a mesh's triangles and edges are drawn.
+    /// </summary>
+    public enum MeshDisplayMode
+    {
+        /// <summary>Lit faces only.</summary>
+        Shaded,
+        /// <summary>Every triangle edge and no faces, for checking tessellation.</summary>
+        Wireframe,
+        /// <summary>Lit faces with every triangle edge drawn over them.</summary>
+        ShadedWithEdges,
+        /// <summary>
+        /// Lit faces with only the sharp edges drawn over them: those between faces meeting at more than
+        /// <see cref="BugViewerOptions.FeatureEdgeAngle"/>, plus open boundaries.
+        /// </summary>
+        FeatureEdges
+    }
+
+    /// <summary>
+    /// Which faces of a mesh are not drawn. Front faces are those whose vertices run counter-clockwise on screen.
+    /// </summary>
+    public enum CullMode
+    {
+        /// <summary>Skip back faces; the fastest choice for closed meshes with consistent winding.</summary>
+        Back,
+        /// <summary>Skip front faces, showing the inside of closed meshes.</summary>
+        Front,
+        /// <summary>Draw both sides, for open shells and meshes with inconsistent winding.</summary>
+        None
+    }
+
+    /// <summary>
+    /// The built-in lights of the scene. <see cref="BugViewerOptions.Lights"/> are added to them.
+    /// </summary>
+    public enum LightingPreset
+    {
+        /// <summary>
+        /// One directional light fixed in world space, aimed by <see cref="BugViewerOptions.LightPolarAngle"/>
+        /// and <see cref="BugViewerOptions.LightAzimuthAngle"/>.
+        /// </summary>
+        Fixed,
+        /// <summary>One light shining from the camera, so whatever faces the viewer is lit.</summary>
+        Headlight,
+        /// <summary>Key, fill and rim lights that follow the camera (see <see cref="LightSource.ThreePoint"/>).</summary>
+        ThreePoint,
+        /// <summary>No built-in lights; only <see cref="BugViewerOptions.Lights"/>.</summary>
+        Custom
+    }
+
+    /// <summary>
+    /// Whether a <see cref="LightSource"/> shines in one direction or from a point.
+    /// </summary>
+    public enum LightKind
+    {
+        /// <summary>Parallel rays, like sunlight.</summary>
+        Directional,
+        /// <summary>Rays from a position, fading with distance when a range is set.</summary>
+        Point
+    }
+
+    /// <summary>
+    /// Quality level of an optional rendering effect (<see cref="BugViewerOptions.Shadows"/> and
+    /// <see cref="BugViewerOptions.AmbientOcclusion"/>). Higher levels look smoother but cost more per frame.
+    /// </summary>
+    public enum EffectQuality
+    {
+        /// <summary>The effect is not rendered.</summary>
+        Off,
+        Low,
+        Medium,
+        High
+    }
+
+    /// <summary>
+    /// How transparent meshes are blended with each other.
+    /// </summary>
+    public enum TransparencyMode
+    {
+        /// <summary>
+        /// Drawn back to front by their centers. Exact for separate parts, but intersecting or nested
+        /// transparent parts can blend in the wrong order and flicker as the camera moves.
+        /// </summary>
+        Sorted,
+        /// <summary>
+        /// Weighted blended order-independent transparency: stable for any overlap, at the cost of
+        /// approximating which transparent surface is in front.
+        /// </summary>
+        WeightedBlended
+    }
+
+    /// <summary>
+    /// How the size of a <see cref="TextBillboard"/> is given.
+    /// </summary>
+    public enum LabelSizing
+    {
+        /// <summary>Sizes are in CSS pixels; the label keeps its size on screen as the camera zooms.</summary>
+        Screen,
+        /// <summary>Sizes are in world units; the label grows and shrinks with the scene like the geometry.</summary>
+        World
+    }
+
+    /// <summary>
+    /// The point of a <see cref="TextBillboard"/> that is placed at its position (plus its offset).
+    /// </summary>
+    public enum LabelAnchor
+    {
+        Center,
+        Top,
+        Bottom,
+        Left,
+        Right,
+        TopLeft,
+        TopRight,
+        BottomLeft,
+        BottomRight
+    }
+
+    /// <summary>
+    /// How the lines of multi-line text are aligned with each other.
+    /// </summary>
+    public enum TextAlignment
+    {
+        Left,
+        Center,
+        Right
+    }
+
+    /// <summary>
+    /// How a <see cref="TextBillboard"/> or label shows when its position is behind other objects.
+    /// </summary>
+    public enum LabelOcclusion
+    {
+        /// <summary>The label fades out as its position passes behind an object.</summary>
+        Hide,
+        /// <summary>The label stays visible, but faded to its occluded opacity.</summary>
+        Dim,
+        /// <summary>The label is drawn over everything.</summary>
+        AlwaysOnTop
+    }
+
+    /// <summary>
+    /// What a <see cref="TextBillboard"/> or label does when it overlaps another on screen.
+    /// </summary>
+    public enum LabelCollision
+    {
+        /// <summary>The label is always drawn and takes no part in de-cluttering.</summary>
+        Overlap,
+        /// <summary>The label is hidden while a label of higher priority is in its place.</summary>
+        Hide,
+        /// <summary>
+        /// The label moves next to its place (above, below, beside or diagonally) while a label of higher
+        /// priority is in it, and is hidden when those places are taken too.
+        /// </summary>
+        Offset
+    }
+
+    /// <summary>
+    /// How a <see cref="MeshTexture"/> is filtered between its pixels and mip levels.
+    /// </summary>
+    public enum TextureFilter
+    {
+        /// <summary>Smoothly blends neighboring pixels; suits photos and materials.</summary>
+        Linear,
+        /// <summary>Keeps hard pixel edges; suits pixel art and lookup tables such as color bars.</summary>
+        Nearest
+    }
+
+    /// <summary>
+    /// What a <see cref="MeshTexture"/> shows for texture coordinates outside 0 to 1.
+    /// </summary>
+    public enum TextureWrap
+    {
+        /// <summary>The image tiles.</summary>
+        Repeat,
+        /// <summary>The image tiles, mirrored every other time so the tiles meet seamlessly.</summary>
+        MirrorRepeat,
+        /// <summary>The pixels at the image border are stretched outward.</summary>
+        ClampToEdge
+    }
+
+    /// <summary>
+    /// How the segments of a <see cref="LineData"/> meet at their shared vertices.
+    /// </summary>
+    public enum LineJoin
+    {
+        /// <summary>The outer corner is rounded off, like the ends of the lines.</summary>
+        Round,
+        /// <summary>
+        /// The outer edges are extended until they meet in a sharp corner, or cut off like <see cref="Bevel"/>
+        /// where that corner would be longer than the miter limit.
+        /// </summary>
+        Miter,
+        /// <summary>The outer corner is cut off straight.</summary>
+        Bevel
+    }
+
+    /// <summary>
+    /// The units of the <see cref="LineData.Thicknesses"/>.
+    /// </summary>
+    public enum LineThicknessUnit
+    {
+        /// <summary>World units: the lines grow and shrink on screen as the camera zooms.</summary>
+        World,
+        /// <summary>CSS pixels: the lines keep their width on screen at any zoom.</summary>
+        Pixels
+    }
+
+    /// <summary>
+    /// The dashes of a <see cref="LineData"/>. Dashes and dots have round ends and follow the path
+    /// around its corners; their lengths are multiples of the thickness.
+    /// </summary>
+    public enum LineDashPattern
+    {
+        Solid,
+        /// <summary>Dashes 5 thicknesses long with gaps of 3.</summary>
+        Dash,
+        /// <summary>Round dots with gaps of one thickness.</summary>
+        Dot,
+        /// <summary>Dashes and dots in turn.</summary>
+        DashDot
+    }
+
+    /// <summary>
+    /// What double-clicks on the canvas measure. With <see cref="None"/> they select objects.
+    /// </summary>
+    public enum MeasurementMode
+    {
+        None,
+        /// <summary>The distance between two points.</summary>
+        Distance,
+        /// <summary>The angle at the second of three points, between the directions to the other two.</summary>
+        Angle,
+        /// <summary>The angle between the normals of two picked faces: 0° for parallel faces, 90° for perpendicular ones.</summary>
+        FaceAngle,
+        /// <summary>The radius of the arc through three points on it.</summary>
+        Radius
+    }
+
+    /// <summary>
+    /// The feature a <see cref="MeasurementPoint"/> snapped to.
+    /// </summary>
+    public enum MeasurementSnap
+    {
+        /// <summary>A corner of the picked triangle, or a point of the picked lines.</summary>
+        Vertex,
+        /// <summary>The closest point on an edge of the picked triangle, or on the picked lines.</summary>
+        Edge,
+        /// <summary>The picked point on a face.</summary>
+        Face
+    }
+
+    /// <summary>
+    /// Encoding of images returned by <see cref="BugViewer.CaptureImageAsync"/>.
+    /// </summary>
+    public enum CaptureFormat
+    {
+        Png,
+        /// <summary>Smaller files, but without transparency.</summary>
+        Jpeg
+    }
 }
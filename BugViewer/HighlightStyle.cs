@@ -0,0 +1,40 @@
+using System.Drawing;
+
+namespace BugViewer;
+
+/// <summary>
+/// How highlighted (selected or hovered) meshes and lines are drawn.
+/// </summary>
+public record HighlightStyle
+{
+    /// <summary>Color of the screen-space outline drawn around the object's silhouette.</summary>
+    public Color OutlineColor { get; init; } = Color.Orange;
+
+    /// <summary>Outline width in CSS pixels. 0 draws no outline; widths are capped at 8 device pixels.</summary>
+    public double OutlineWidth { get; init; } = 2;
+
+    /// <summary>
+    /// Color blended over the object's own color. The alpha channel sets how strongly it is blended,
+    /// so the default (transparent) leaves the object untinted.
+    /// </summary>
+    public Color TintColor { get; init; } = Color.Transparent;
+
+    /// <summary>The default style for selected objects: an orange outline.</summary>
+    public static HighlightStyle DefaultSelection => new();
+
+    /// <summary>The default style for the object under the pointer: a thin light-blue outline.</summary>
+    public static HighlightStyle DefaultHover => new()
+    {
+        OutlineColor = Color.FromArgb(120, 200, 255),
+        OutlineWidth = 1
+    };
+
+    internal object ToJavascript() => new
+    {
+        outlineColor = ColorToJavaScript(OutlineColor),
+        outlineWidth = (float)OutlineWidth,
+        tintColor = ColorToJavaScript(TintColor)
+    };
+
+    private static float[] ColorToJavaScript(Color c) => [c.R / 255f, c.G / 255f, c.B / 255f, c.A / 255f];
+}
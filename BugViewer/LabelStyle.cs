@@ -0,0 +1,79 @@
+using System.Drawing;
+using System.Numerics;
+
+namespace BugViewer;
+
+/// <summary>
+/// The look shared by a batch of labels added with <c>AddLabelsAsync</c>. Unlike text billboards, labels
+/// have no background; an outline keeps them readable over any geometry.
+/// </summary>
+public record LabelStyle
+{
+    /// <summary>A CSS font family, e.g. "Arial" or "monospace".</summary>
+    public string FontFamily { get; init; } = "sans-serif";
+
+    /// <summary>Font size in CSS pixels or, for <see cref="LabelSizing.World"/>, in world units.</summary>
+    public double FontSize { get; init; } = 12;
+
+    /// <summary>CSS font weight, from 100 (thin) through 400 (normal) to 900 (black).</summary>
+    public int FontWeight { get; init; } = 400;
+
+    public Color Color { get; init; } = Color.White;
+
+    public Color OutlineColor { get; init; } = Color.Black;
+
+    /// <summary>
+    /// Width of the outline around the glyphs, in the units of <see cref="FontSize"/>. 0 (the default) draws
+    /// none; it can be at most a quarter of the font size.
+    /// </summary>
+    public double OutlineWidth { get; init; }
+
+    /// <summary>Whether the labels keep their size on screen or scale with the scene.</summary>
+    public LabelSizing Sizing { get; init; } = LabelSizing.Screen;
+
+    /// <summary>The point of each label placed at its position plus <see cref="Offset"/>.</summary>
+    public LabelAnchor Anchor { get; init; } = LabelAnchor.Center;
+
+    /// <summary>Moves the labels away from their positions, in CSS pixels (X right, Y up).</summary>
+    public Vector2 Offset { get; init; }
+
+    /// <summary>How the lines of multi-line labels are aligned with each other.</summary>
+    public TextAlignment TextAlignment { get; init; } = TextAlignment.Center;
+
+    /// <summary>How each label shows when its position is behind other objects.</summary>
+    public LabelOcclusion Occlusion { get; init; } = LabelOcclusion.Hide;
+
+    /// <summary>Opacity, from 0 to 1, of the labels behind other objects with <see cref="LabelOcclusion.Dim"/>.</summary>
+    public double OccludedOpacity { get; init; } = 0.3;
+
+    /// <summary>
+    /// What each label does when it overlaps other labels that avoid collisions, including those of the
+    /// same batch.
+    /// </summary>
+    public LabelCollision Collision { get; init; } = LabelCollision.Overlap;
+
+    /// <summary>
+    /// Labels of higher priority keep their place when labels collide. Within the batch, ties go to the
+    /// label earlier in the list.
+    /// </summary>
+    public double Priority { get; init; }
+
+    internal object ToJavascript() => new
+    {
+        fontFamily = FontFamily,
+        fontSize = (float)FontSize,
+        fontWeight = FontWeight,
+        color = ColorToJavaScript(Color),
+        outlineColor = ColorToJavaScript(OutlineColor),
+        outlineWidth = (float)OutlineWidth,
+        sizing = Sizing.ToString().ToLowerInvariant(),
+        anchor = TextBillboard.AnchorToJavaScript(Anchor),
+        offset = new[] { Offset.X, Offset.Y },
+        textAlign = TextAlignment.ToString().ToLowerInvariant(),
+        occludedOpacity = TextBillboard.OccludedOpacityToJavaScript(Occlusion, OccludedOpacity),
+        collision = Collision.ToString().ToLowerInvariant(),
+        priority = (float)Priority
+    };
+
+    private static float[] ColorToJavaScript(Color c) => [c.R / 255f, c.G / 255f, c.B / 255f, c.A / 255f];
+}
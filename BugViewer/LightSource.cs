@@ -0,0 +1,62 @@
+using System.Drawing;
+using System.Numerics;
+
+namespace BugViewer;
+
+/// <summary>
+/// A directional or point light added to the scene through <see cref="BugViewerOptions.Lights"/>.
+/// </summary>
+public record LightSource
+{
+    /// <summary>Whether the light shines in one direction everywhere or from a position.</summary>
+    public LightKind Kind { get; init; } = LightKind.Directional;
+
+    /// <summary>
+    /// For directional lights the direction the light travels in (does not need to be unit length);
+    /// for point lights its position.
+    /// </summary>
+    public Vector3 Vector { get; init; } = -Vector3.UnitZ;
+
+    /// <summary>
+    /// When true, <see cref="Vector"/> is relative to the camera (X right, Y up, Z toward the viewer)
+    /// and the light moves with it as the view orbits; otherwise it is in world coordinates.
+    /// </summary>
+    public bool FollowsCamera { get; init; }
+
+    /// <summary>Color of the light.</summary>
+    public Color Color { get; init; } = Color.White;
+
+    /// <summary>Brightness multiplier; 1 lights a surface facing the light at full color.</summary>
+    public double Intensity { get; init; } = 1.0;
+
+    /// <summary>For point lights, the distance at which the intensity has fallen to half. 0 means no falloff.</summary>
+    public double Range { get; init; }
+
+    /// <summary>A light shining from the camera onto whatever it looks at.</summary>
+    public static LightSource Headlight => new() { FollowsCamera = true };
+
+    /// <summary>
+    /// A studio setup that follows the camera: a key light from the upper left, a softer fill light
+    /// from the right and a rim light from behind that separates the part from the background.
+    /// </summary>
+    public static LightSource[] ThreePoint =>
+    [
+        new() { FollowsCamera = true, Vector = new Vector3(1, -1, -1), Intensity = 0.8 },
+        new() { FollowsCamera = true, Vector = new Vector3(-1, -0.2f, -1), Intensity = 0.35 },
+        new() { FollowsCamera = true, Vector = new Vector3(0, -1, 1.5f), Intensity = 0.6 }
+    ];
+
+    internal object ToJavascript()
+    {
+        var v = Kind == LightKind.Directional ? Vector3.Normalize(Vector) : Vector;
+        return new
+        {
+            vector = new[] { v.X, v.Y, v.Z },
+            isPoint = Kind == LightKind.Point,
+            color = new[] { Color.R / 255f, Color.G / 255f, Color.B / 255f },
+            intensity = (float)Intensity,
+            range = (float)Range,
+            followsCamera = FollowsCamera
+        };
+    }
+}
@@ -0,0 +1,192 @@
+using System.Numerics;
+
+namespace BugViewer;
+
+/// <summary>
+/// A point picked for a measurement, snapped to a feature of the object under the pointer.
+/// </summary>
+public record MeasurementPoint
+{
+    /// <summary>World position of the point.</summary>
+    public required Vector3 Position { get; init; }
+
+    /// <summary>The feature the point snapped to.</summary>
+    public MeasurementSnap Snap { get; init; } = MeasurementSnap.Face;
+
+    /// <summary>Id of the mesh or lines the point is on, or null for points given in code.</summary>
+    public string? ObjectId { get; init; }
+
+    /// <summary>
+    /// World-space normal of the picked triangle (following its winding), which face angles are measured
+    /// between. Null for points on lines.
+    /// </summary>
+    public Vector3? Normal { get; init; }
+}
+
+/// <summary>
+/// A measurement made with <see cref="BugViewer.MeasurementMode"/> or <c>AddMeasurementAsync</c>. It is
+/// drawn as dimension lines with a label in the group <see cref="Id"/> until it is removed.
+/// </summary>
+public record Measurement
+{
+    public required string Id { get; init; }
+
+    /// <summary>What was measured; never <see cref="MeasurementMode.None"/>.</summary>
+    public required MeasurementMode Kind { get; init; }
+
+    /// <summary>The picked points, in the order they were picked.</summary>
+    public required IReadOnlyList<MeasurementPoint> Points { get; init; }
+
+    /// <summary>The distance or radius in world units, or the angle in degrees.</summary>
+    public required double Value { get; init; }
+
+    /// <summary>Center of the arc of a <see cref="MeasurementMode.Radius"/> measurement.</summary>
+    public Vector3? Center { get; init; }
+
+    /// <summary>The label, formatted with the <see cref="MeasurementStyle"/> it was made with.</summary>
+    public required string Text { get; init; }
+
+    /// <summary>Number of points a measurement of this kind takes.</summary>
+    public static int PointCount(MeasurementMode kind) => kind switch
+    {
+        MeasurementMode.Distance or MeasurementMode.FaceAngle => 2,
+        MeasurementMode.Angle or MeasurementMode.Radius => 3,
+        _ => 0
+    };
+
+    /// <exception cref="ArgumentException">
+    /// The points don't fit the kind: the wrong number of them, face angles without normals, or the
+    /// three points of a radius on one line.
+    /// </exception>
+    internal static Measurement Create(string id, MeasurementMode kind, IReadOnlyList<MeasurementPoint> points, MeasurementStyle style)
+    {
+        if (kind == MeasurementMode.None)
+            throw new ArgumentException("A measurement needs a kind.", nameof(kind));
+        if (points.Count != PointCount(kind))
+            throw new ArgumentException($"{kind} measurements take {PointCount(kind)} points, not {points.Count}.", nameof(points));
+        var p = points.Select(point => point.Position).ToArray();
+        switch (kind)
+        {
+            case MeasurementMode.Distance:
+                var distance = Vector3.Distance(p[0], p[1]);
+                return new() { Id = id, Kind = kind, Points = points, Value = distance, Text = style.FormatLength(distance) };
+
+            case MeasurementMode.Angle:
+                var angle = AngleBetween(p[0] - p[1], p[2] - p[1]);
+                return new() { Id = id, Kind = kind, Points = points, Value = angle, Text = style.FormatAngle(angle) };
+
+            case MeasurementMode.FaceAngle:
+                if (points[0].Normal is not { } n0 || points[1].Normal is not { } n1)
+                    throw new ArgumentException("Face angles are measured between two points on mesh faces.", nameof(points));
+                var faceAngle = AngleBetween(n0, n1);
+                return new() { Id = id, Kind = kind, Points = points, Value = faceAngle, Text = style.FormatAngle(faceAngle) };
+
+            default:
+                var center = Circumcenter(p[0], p[1], p[2])
+                    ?? throw new ArgumentException("The three points of a radius lie on one line.", nameof(points));
+                var radius = Vector3.Distance(center, p[1]);
+                return new() { Id = id, Kind = kind, Points = points, Value = radius, Center = center, Text = $"R {style.FormatLength(radius)}" };
+        }
+    }
+
+    /// <summary>
+    /// The polylines of the dimension and the position of its label: the line between the points of a
+    /// distance, the legs and an arc between them for an angle, the normals and the line between the
+    /// points of a face angle, and the arc through the points and the radius to the second one for a radius.
+    /// </summary>
+    internal (List<List<Vector3>> Polylines, Vector3 LabelPosition) CreateDimension()
+    {
+        var p = Points.Select(point => point.Position).ToArray();
+        switch (Kind)
+        {
+            case MeasurementMode.Angle:
+                var leg0 = p[0] - p[1];
+                var leg2 = p[2] - p[1];
+                var arcRadius = 0.3f * MathF.Min(leg0.Length(), leg2.Length());
+                var arc = Arc(p[1], leg0, leg2, arcRadius);
+                return ([[p[0], p[1], p[2]], arc], arc[arc.Count / 2]);
+
+            case MeasurementMode.FaceAngle:
+                var length = 0.25f * Vector3.Distance(p[0], p[1]);
+                var normal0 = p[0] + Vector3.Normalize(Points[0].Normal!.Value) * length;
+                var normal1 = p[1] + Vector3.Normalize(Points[1].Normal!.Value) * length;
+                return ([[normal0, p[0], p[1], normal1]], (p[0] + p[1]) / 2);
+
+            case MeasurementMode.Radius:
+                var center = Center!.Value;
+                return ([Arc(center, p[0] - center, p[2] - center, Value, p[1] - center), [center, p[1]]], (center + p[1]) / 2);
+
+            default:
+                return ([[p[0], p[1]]], (p[0] + p[1]) / 2);
+        }
+    }
+
+    internal object ToExportData() => new
+    {
+        id = Id,
+        kind = Kind.ToString(),
+        value = Value,
+        text = Text,
+        center = Center is { } c ? new[] { c.X, c.Y, c.Z } : null,
+        points = Points.Select(point => new
+        {
+            position = new[] { point.Position.X, point.Position.Y, point.Position.Z },
+            snap = point.Snap.ToString(),
+            objectId = point.ObjectId,
+            normal = point.Normal is { } n ? new[] { n.X, n.Y, n.Z } : null
+        })
+    };
+
+    internal static Vector3 ClosestPointOnSegment(Vector3 point, Vector3 start, Vector3 end)
+    {
+        var direction = end - start;
+        var lengthSquared = direction.LengthSquared();
+        if (lengthSquared == 0) return start;
+        var t = Math.Clamp(Vector3.Dot(point - start, direction) / lengthSquared, 0, 1);
+        return start + direction * t;
+    }
+
+    // Degrees, from 0 to 180
+    private static double AngleBetween(Vector3 a, Vector3 b)
+    {
+        var cos = Vector3.Dot(Vector3.Normalize(a), Vector3.Normalize(b));
+        return Math.Acos(Math.Clamp(cos, -1, 1)) * 180 / Math.PI;
+    }
+
+    // Center of the circle through three points, or null when they are on one line
+    private static Vector3? Circumcenter(Vector3 p0, Vector3 p1, Vector3 p2)
+    {
+        var a = p0 - p2;
+        var b = p1 - p2;
+        var axb = Vector3.Cross(a, b);
+        var denominator = 2 * axb.LengthSquared();
+        if (denominator <= 1e-12f * a.LengthSquared() * b.LengthSquared()) return null;
+        return p2 + Vector3.Cross(a.LengthSquared() * b - b.LengthSquared() * a, axb) / denominator;
+    }
+
+    // Points on the circle of this radius around center, from direction start to direction end. Arcs
+    // go the short way round, or through direction via when it is given.
+    private static List<Vector3> Arc(Vector3 center, Vector3 start, Vector3 end, double radius, Vector3? via = null)
+    {
+        var u = Vector3.Normalize(start);
+        var normal = Vector3.Cross(start, via ?? end);
+        if (normal.LengthSquared() < 1e-12f * start.LengthSquared() * end.LengthSquared())
+        {
+            // Opposite directions: any half circle will do
+            normal = Vector3.Cross(u, MathF.Abs(u.X) < 0.9f ? Vector3.UnitX : Vector3.UnitY);
+        }
+        var v = Vector3.Normalize(Vector3.Cross(normal, u));
+        var sweep = Math.Atan2(Vector3.Dot(end, v), Vector3.Dot(end, u));
+        if (via is not null && sweep < 0) sweep += 2 * Math.PI;
+        else if (via is null) sweep = Math.Abs(sweep);
+
+        var segments = Math.Max(8, (int)Math.Ceiling(sweep / (Math.PI / 36))); // at most 5° each
+        var points = new List<Vector3>(segments + 1);
+        for (var i = 0; i <= segments; i++)
+        {
+            var angle = sweep * i / segments;
+            points.Add(center + (float)radius * ((float)Math.Cos(angle) * u + (float)Math.Sin(angle) * v));
+        }
+        return points;
+    }
+}
@@ -0,0 +1,44 @@
+using System.Drawing;
+using System.Globalization;
+
+namespace BugViewer;
+
+/// <summary>
+/// How measurements are picked, drawn and labeled.
+/// </summary>
+public record MeasurementStyle
+{
+    /// <summary>Color of the dimension lines and of the markers of points being picked.</summary>
+    public Color LineColor { get; init; } = Color.Gold;
+
+    /// <summary>Width of the dimension lines in CSS pixels.</summary>
+    public double LineWidth { get; init; } = 2;
+
+    public Color LabelBackgroundColor { get; init; } = Color.FromArgb(220, 30, 30, 30);
+
+    public Color LabelTextColor { get; init; } = Color.White;
+
+    /// <summary>Font size of the labels in CSS pixels.</summary>
+    public double FontSize { get; init; } = 13;
+
+    /// <summary>Digits after the decimal point of distances and radii.</summary>
+    public int Decimals { get; init; } = 3;
+
+    /// <summary>Digits after the decimal point of angles.</summary>
+    public int AngleDecimals { get; init; } = 1;
+
+    /// <summary>Unit written after distances and radii, e.g. "mm". Empty for none.</summary>
+    public string Unit { get; init; } = "";
+
+    /// <summary>
+    /// How close (in CSS pixels) the pointer must be to a vertex or edge of the picked object for the
+    /// point to snap to it.
+    /// </summary>
+    public double SnapRadius { get; init; } = 8;
+
+    internal string FormatLength(double length) =>
+        $"{length.ToString($"F{Decimals}", CultureInfo.InvariantCulture)} {Unit}".TrimEnd();
+
+    internal string FormatAngle(double degrees) =>
+        $"{degrees.ToString($"F{AngleDecimals}", CultureInfo.InvariantCulture)}°";
+}
@@ -0,0 +1,43 @@
+using System.Drawing;
+
+namespace BugViewer;
+
+/// <summary>
+/// A physically based (metallic/roughness) material for a mesh. Meshes with a material are drawn with the
+/// PBR shader; those without one keep the cheaper default shading. The base color comes from the mesh's
+/// <see cref="AbstractObject3D.Colors"/>.
+/// </summary>
+public record MeshMaterial
+{
+    /// <summary>0 for dielectrics (plastic, paint), 1 for bare metal.</summary>
+    public double Metallic { get; init; }
+
+    /// <summary>Microsurface roughness from 0 (mirror polish) to 1 (fully matte).</summary>
+    public double Roughness { get; init; } = 0.5;
+
+    /// <summary>Light the surface gives off itself, added regardless of the lights. Black for none.</summary>
+    public Color EmissiveColor { get; init; } = Color.Black;
+
+    /// <summary>
+    /// Strength of the reflected surroundings (a bright sky over a darker ground). Metals get most of
+    /// their look from it, so lower it only for dim scenes.
+    /// </summary>
+    public double EnvironmentIntensity { get; init; } = 1.0;
+
+    /// <summary>Bead-blasted or machined aluminum.</summary>
+    public static MeshMaterial MachinedAluminum => new() { Metallic = 1, Roughness = 0.35 };
+
+    /// <summary>Polished steel with sharp reflections.</summary>
+    public static MeshMaterial PolishedSteel => new() { Metallic = 1, Roughness = 0.15 };
+
+    /// <summary>Injection-molded plastic with a soft sheen.</summary>
+    public static MeshMaterial Plastic => new() { Metallic = 0, Roughness = 0.45 };
+
+    internal object ToJavascript() => new
+    {
+        metallic = (float)Metallic,
+        roughness = (float)Roughness,
+        emissive = new[] { EmissiveColor.R / 255f, EmissiveColor.G / 255f, EmissiveColor.B / 255f },
+        environment = (float)EnvironmentIntensity
+    };
+}
@@ -0,0 +1,40 @@
+namespace BugViewer;
+
+/// <summary>
+/// Maps an image uploaded with <c>UploadTextureAsync</c> onto a mesh through its
+/// <see cref="MeshData.TextureCoordinates"/>. The image is multiplied with the mesh's colors (and with the
+/// base color of its <see cref="MeshData.Material"/>), so give the mesh white to show the image as it is.
+/// </summary>
+public record MeshTexture
+{
+    /// <summary>
+    /// Id the image was uploaded with. The mesh can be added before the upload; it is drawn in its
+    /// plain colors until the image arrives.
+    /// </summary>
+    public required string TextureId { get; init; }
+
+    /// <summary>How the image is filtered when magnified or minified.</summary>
+    public TextureFilter Filter { get; init; } = TextureFilter.Linear;
+
+    /// <summary>What the mesh shows for texture coordinates outside 0 to 1.</summary>
+    public TextureWrap Wrap { get; init; } = TextureWrap.Repeat;
+
+    /// <summary>
+    /// Maximum anisotropic filtering, from 1 (off) to 16. Higher values keep textures on surfaces seen
+    /// at a grazing angle sharp. Only used with <see cref="TextureFilter.Linear"/>.
+    /// </summary>
+    public int Anisotropy { get; init; } = 1;
+
+    internal object ToJavascript() => new
+    {
+        id = TextureId,
+        filter = Filter == TextureFilter.Nearest ? "nearest" : "linear",
+        wrap = Wrap switch
+        {
+            TextureWrap.MirrorRepeat => "mirror-repeat",
+            TextureWrap.ClampToEdge => "clamp-to-edge",
+            _ => "repeat"
+        },
+        anisotropy = Math.Clamp(Anisotropy, 1, 16)
+    };
+}
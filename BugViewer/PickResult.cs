@@ -0,0 +1,29 @@
+using System.Numerics;
+
+namespace BugViewer;
+
+/// <summary>
+/// The object found under a point on the canvas by the viewer's GPU picking pass.
+/// </summary>
+public record PickResult
+{
+    /// <summary>Id of the mesh, lines or text billboard that was hit.</summary>
+    public required string ObjectId { get; init; }
+
+    /// <summary>What type of object was hit.</summary>
+    public required PickedObjectKind Kind { get; init; }
+
+    /// <summary>
+    /// Index of the triangle that was hit. For meshes this is the position in <see cref="MeshData.Indices"/>;
+    /// for lines it counts the triangles of the generated polyline geometry. Text billboards report -1.
+    /// </summary>
+    public required int TriangleIndex { get; init; }
+
+    /// <summary>
+    /// World position of the hit. For lines the point is on the centerline of the segment.
+    /// </summary>
+    public required Vector3 WorldPosition { get; init; }
+
+    /// <summary>Depth buffer value of the hit, from 0 at the near plane to 1 at the far plane.</summary>
+    public required float Depth { get; init; }
+}
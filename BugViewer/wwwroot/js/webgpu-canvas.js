@@ -5,10 +5,87 @@
 // Constants & Shaders
 // ============================================================================
 
-const FRAME_BUFFER_SIZE = Float32Array.BYTES_PER_ELEMENT * 32; // projection + view matrices
+const MAX_CLIP_PLANES = 6;
+const MAX_LIGHTS = 8;
+// lights (position + color vec4 each), light count, ambient, specular power + padding, back-face color, up
+const LIGHT_BUFFER_SIZE = Float32Array.BYTES_PER_ELEMENT * (8 * MAX_LIGHTS + 4 + 4 + 4);
+// projection + view matrices, clip planes (vec4 each), clip plane count + padding, viewport size
+const FRAME_BUFFER_SIZE = Float32Array.BYTES_PER_ELEMENT * (32 + 4 * MAX_CLIP_PLANES + 4);
+// Shading in SHADOW_AO_WGSL: light view-projection, shadow settings, ambient occlusion strength + padding
+const SHADING_BUFFER_SIZE = Float32Array.BYTES_PER_ELEMENT * (16 + 4 + 4);
+// AoUniforms in SSAO_SHADER: projection, radius, sample count + padding
+const AO_BUFFER_SIZE = Float32Array.BYTES_PER_ELEMENT * (16 + 4);
+const IDENTITY_MATRIX = new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+const WHITE = [1, 1, 1, 1];
 
 // WGSL Shaders (moved to top for clarity)
-const GRID_SHADER = `
+
+// Frame uniforms for shaders that honour the section (clipping) planes.
+// A plane (n, d) cuts away everything on the side its normal points to: dot(n, p) > d.
+const CLIPPED_CAMERA_WGSL = `
+  struct Camera {
+    projection: mat4x4f,
+    view: mat4x4f,
+    clipPlanes: array<vec4f, ${MAX_CLIP_PLANES}>,
+    clipPlaneCount: u32,
+    viewport: vec2f // size of the render target in CSS pixels
+  }
+  @group(0) @binding(0) var<uniform> camera: Camera;
+  fn isClipped(worldPos: vec3f) -> bool {
+    for (var i = 0u; i < camera.clipPlaneCount; i++) {
+      if (dot(camera.clipPlanes[i].xyz, worldPos) > camera.clipPlanes[i].w) { return true; }
+    }
+    return false;
+  }
+`;
+
+// Shadows and ambient occlusion, read by the mesh shaders and (shadows only) the grid.
+// shadowLight is the index of the light that casts the shadow map, or -1 while shadows are off;
+// aoStrength is 0 while ambient occlusion is off.
+const SHADOW_AO_WGSL = `
+  struct Shading {
+    lightViewProj: mat4x4f,
+    shadowLight: i32,
+    shadowNormalOffset: f32, // world units, against shadow acne
+    shadowTexel: f32, // 1 / shadow map size
+    shadowRadius: f32, // PCF radius in texels
+    aoStrength: f32
+  }
+  @group(3) @binding(0) var<uniform> shading: Shading;
+  @group(3) @binding(1) var shadowMap: texture_depth_2d;
+  @group(3) @binding(2) var shadowSampler: sampler_comparison;
+  @group(3) @binding(3) var aoTexture: texture_2d<f32>;
+
+  // 1 where the shadow-casting light reaches worldPos, 0 in full shadow. normal is any normal on
+  // the side being lit, or zero for surfaces that cast no shadows themselves.
+  fn shadowFactor(worldPos: vec3f, normal: vec3f) -> f32 {
+    if (shading.shadowLight < 0) { return 1.0; }
+    let p = shading.lightViewProj * vec4f(worldPos + normal * shading.shadowNormalOffset, 1.0);
+    let uv = p.xy * vec2f(0.5, -0.5) + 0.5;
+    if (any(uv < vec2f(0.0)) || any(uv > vec2f(1.0))) { return 1.0; }
+    // The map spans the casters only; receivers behind them compare at its far plane,
+    // where the cleared depth keeps them lit unless a caster is in the way
+    let depth = clamp(p.z, 0.0, 1.0);
+    let radius = i32(shading.shadowRadius);
+    var lit = 0.0;
+    for (var y = -radius; y <= radius; y++) {
+      for (var x = -radius; x <= radius; x++) {
+        let offset = vec2f(f32(x), f32(y)) * shading.shadowTexel;
+        lit += textureSampleCompareLevel(shadowMap, shadowSampler, uv + offset, depth);
+      }
+    }
+    let taps = 2 * radius + 1;
+    return lit / f32(taps * taps);
+  }
+
+  // How much of the ambient light reaches the pixel at fragCoord (1 while ambient occlusion is off)
+  fn ambientOcclusion(fragCoord: vec2f) -> f32 {
+    if (shading.aoStrength <= 0.0) { return 1.0; }
+    return mix(1.0, textureLoad(aoTexture, vec2i(fragCoord), 0).r, shading.aoStrength);
+  }
+`;
+
+const GRID_SHADER = CLIPPED_CAMERA_WGSL + SHADOW_AO_WGSL + `
   fn PristineGrid(uv: vec2f, lineWidth: vec2f) -> f32 {
       let uvDDXY = vec4f(dpdx(uv), dpdy(uv));
       let uvDeriv = vec2f(length(uvDDXY.xz), length(uvDDXY.yw));
@@ -25,1086 +102,4756 @@ const GRID_SHADER = `
       return mix(grid2.x, 1.0, grid2.y);
   }
   struct VertexIn { @location(0) pos: vec3f, @location(1) uv: vec2f }
-  struct VertexOut { @builtin(position) pos: vec4f, @location(0) uv: vec2f }
-  struct Camera { projection: mat4x4f, view: mat4x4f }
-  @group(0) @binding(0) var<uniform> camera: Camera;
+  struct VertexOut { @builtin(position) pos: vec4f, @location(0) uv: vec2f, @location(1) worldPos: vec3f }
   struct GridArgs { lineColor: vec4f, baseColor: vec4f, lineWidth: vec2f, spacing: f32 }
   @group(1) @binding(0) var<uniform> gridArgs: GridArgs;
-  @vertex fn vertexMain(in: VertexIn) -> VertexOut { var out: VertexOut; out.pos = camera.projection * camera.view * vec4f(in.pos, 1.0); out.uv = in.uv - vec2f(50.0, 50.0); return out; }
-  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f { var grid = PristineGrid(in.uv * gridArgs.spacing, gridArgs.lineWidth); return mix(gridArgs.baseColor, gridArgs.lineColor, grid); }
+  @vertex fn vertexMain(in: VertexIn) -> VertexOut { var out: VertexOut; out.pos = camera.projection * camera.view * vec4f(in.pos, 1.0); out.uv = in.uv - vec2f(50.0, 50.0); out.worldPos = in.pos; return out; }
+  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f {
+    var grid = PristineGrid(in.uv * gridArgs.spacing, gridArgs.lineWidth);
+    if (isClipped(in.worldPos)) { discard; }
+    let color = mix(gridArgs.baseColor, gridArgs.lineColor, grid);
+    // Shadows are laid over the grid as a dark layer, so they also show on a transparent grid
+    let shadow = (1.0 - shadowFactor(in.worldPos, vec3f(0.0))) * 0.5;
+    let alpha = shadow + color.a * (1.0 - shadow);
+    return vec4f(color.rgb * color.a * (1.0 - shadow) / max(alpha, 1e-4), alpha);
+  }
 `;
 
-const MESH_SHADER = `
-  struct Camera { projection: mat4x4f, view: mat4x4f }
-  @group(0) @binding(0) var<uniform> camera: Camera;
+// Shared by the mesh shaders. Flat-shaded meshes have zero vertex normals and use the face normal
+// from screen-space derivatives. Both point away from the viewer on front faces, which is the
+// convention the lighting below was written for, so outward vertex normals are negated. On back
+// faces (visible when culling is off or culls front faces) the vertex normal is flipped back, so
+// they are lit like front faces; the face normal already follows the viewer.
+const SURFACE_NORMAL_WGSL = `
+  fn surfaceNormal(worldPos: vec3f, vertexNormal: vec3f, frontFacing: bool) -> vec3f {
+    let faceNormal = normalize(cross(dpdx(worldPos), dpdy(worldPos)));
+    let viewerNormal = select(normalize(vertexNormal), -normalize(vertexNormal), frontFacing);
+    return select(faceNormal, viewerNormal, dot(vertexNormal, vertexNormal) > 1e-12);
+  }
+`;
 
+// Shared by the mesh shaders: the lights (up to MAX_LIGHTS) and Blinn-Phong shading in world space,
+// with the shadows and ambient occlusion of SHADOW_AO_WGSL.
+// A light's position.w is 0 for directional lights (xyz is the direction the light travels) and
+// 1 for point lights. color.rgb already includes the intensity; color.a is a point light's range.
+const LIGHTING_WGSL = SHADOW_AO_WGSL + `
+  struct Light { position: vec4f, color: vec4f }
   struct LightUniforms {
-    lightDir: vec3f,
+    lights: array<Light, ${MAX_LIGHTS}>,
+    lightCount: u32,
     ambient: f32,
-    specularPower: f32
+    specularPower: f32,
+    backFaceColor: vec4f, // alpha is how much of it replaces the color of back faces
+    up: vec4f // world up, for the environment of PBR materials
   }
   @group(1) @binding(0) var<uniform> light: LightUniforms;
 
+  struct LightSample { toLight: vec3f, radiance: vec3f }
+  fn sampleLight(i: u32, worldPos: vec3f) -> LightSample {
+    let source = light.lights[i];
+    var sample = LightSample(normalize(-source.position.xyz), source.color.rgb);
+    if (source.position.w > 0.5) {
+      let offset = source.position.xyz - worldPos;
+      sample.toLight = normalize(offset);
+      if (source.color.a > 0.0) { sample.radiance /= 1.0 + dot(offset, offset) / (source.color.a * source.color.a); }
+    }
+    return sample;
+  }
+
+  fn eyePosition() -> vec3f {
+    let view = camera.view;
+    return -(transpose(mat3x3f(view[0].xyz, view[1].xyz, view[2].xyz)) * view[3].xyz);
+  }
+
+  // surfaceNormal is the normal from surfaceNormal(), which points away from the viewer;
+  // fragCoord is the pixel position, for the ambient occlusion
+  fn shade(baseColor: vec3f, worldPos: vec3f, surfaceNormal: vec3f, fragCoord: vec2f) -> vec3f {
+    let normal = -surfaceNormal;
+    let toEye = normalize(eyePosition() - worldPos);
+    var diffuse = vec3f(0.0);
+    var specular = vec3f(0.0);
+    for (var i = 0u; i < light.lightCount; i++) {
+      let sample = sampleLight(i, worldPos);
+      let facing = dot(normal, sample.toLight);
+      if (facing <= 0.0) { continue; }
+      var radiance = sample.radiance;
+      if (i32(i) == shading.shadowLight) { radiance *= shadowFactor(worldPos, normal); }
+      diffuse += radiance * facing;
+      let specAngle = max(dot(normal, normalize(sample.toLight + toEye)), 0.0);
+      specular += radiance * pow(specAngle, light.specularPower);
+    }
+    return baseColor * (light.ambient * ambientOcclusion(fragCoord) + diffuse) + specular;
+  }
+`;
+
+// Fragment entry points of the mesh shaders, which compute their color in meshColor(): the color
+// itself for the blended passes, or the weighted sums of weighted blended order-independent
+// transparency (McGuire and Bavoil), which TRANSPARENCY_COMPOSITE_SHADER resolves
+const MESH_FRAGMENT_WGSL = `
+  @fragment fn fragmentMain(in: VertexOut, @builtin(front_facing) frontFacing: bool) -> @location(0) vec4f {
+    return meshColor(in, frontFacing);
+  }
+  struct Accumulation { @location(0) color: vec4f, @location(1) revealage: f32 }
+  @fragment fn fragmentAccumulate(in: VertexOut, @builtin(front_facing) frontFacing: bool) -> Accumulation {
+    let color = meshColor(in, frontFacing);
+    // Nearer and more opaque surfaces weigh more
+    let weight = clamp(pow(min(1.0, color.a * 10.0) + 0.01, 3.0) * 1e8 * pow(1.0 - in.pos.z * 0.9, 3.0), 1e-2, 3e3);
+    return Accumulation(vec4f(color.rgb * color.a, color.a) * weight, color.a);
+  }
+`;
+
+const MESH_SHADER = SURFACE_NORMAL_WGSL + CLIPPED_CAMERA_WGSL + LIGHTING_WGSL + `
+
   struct MeshUniforms { color: vec4f }
   @group(1) @binding(1) var<uniform> meshUniforms: MeshUniforms;
 
-  struct VertexIn { @location(0) pos: vec3f }
-  struct VertexOut { @builtin(position) pos: vec4f, @location(0) worldPos: vec3f }
+  struct ModelUniforms { model: mat4x4f, normalMatrix: mat4x4f, tint: vec4f, highlight: vec4f }
+  @group(2) @binding(0) var<uniform> modelUniforms: ModelUniforms;
+
+  struct VertexIn { @location(0) pos: vec3f, @location(2) normal: vec3f }
+  struct VertexOut { @builtin(position) pos: vec4f, @location(0) worldPos: vec3f, @location(2) normal: vec3f }
 
   @vertex fn vertexMain(in: VertexIn) -> VertexOut {
     var out: VertexOut;
-    out.pos = camera.projection * camera.view * vec4f(in.pos, 1.0);
-    out.worldPos = in.pos;
+    let worldPos = modelUniforms.model * vec4f(in.pos, 1.0);
+    out.pos = camera.projection * camera.view * worldPos;
+    out.worldPos = worldPos.xyz;
+    out.normal = (modelUniforms.normalMatrix * vec4f(in.normal, 0.0)).xyz;
     return out;
   }
 
-  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f {
-    let normal = normalize(cross(dpdx(in.worldPos), dpdy(in.worldPos)));
-    let lightDir = normalize(light.lightDir);
+  fn meshColor(in: VertexOut, frontFacing: bool) -> vec4f {
+    let normal = surfaceNormal(in.worldPos, in.normal, frontFacing);
+    if (isClipped(in.worldPos)) { discard; }
 
-    // View space position and view direction (camera at origin in view space)
-    let viewPos = (camera.view * vec4f(in.worldPos, 1.0)).xyz;
-    let viewDir = normalize(-viewPos);
-    let halfDir = normalize(lightDir + viewDir);
+    let backColor = mix(meshUniforms.color.rgb, light.backFaceColor.rgb, light.backFaceColor.a);
+    let baseColor = select(backColor, meshUniforms.color.rgb, frontFacing);
+    let finalColor = shade(baseColor, in.worldPos, normal, in.pos.xy);
+    return vec4f(mix(finalColor, modelUniforms.tint.rgb, modelUniforms.tint.a), meshUniforms.color.a);
+  }
+` + MESH_FRAGMENT_WGSL;
 
-    // Diffuse
-    let diffuse = max(dot(normal, lightDir), 0.0);
-    // Specular
-    let specAngle = max(dot(normal, halfDir), 0.0);
-    let specular = pow(specAngle, light.specularPower);
+const MESH_SHADER_VERTEX_COLOR = SURFACE_NORMAL_WGSL + CLIPPED_CAMERA_WGSL + LIGHTING_WGSL + `
 
-    let finalColor = meshUniforms.color.rgb * (light.ambient + diffuse) + vec3f(1.0) * specular;
-    return vec4f(finalColor, meshUniforms.color.a);
-  }
-`;
+  struct ModelUniforms { model: mat4x4f, normalMatrix: mat4x4f, tint: vec4f, highlight: vec4f }
+  @group(2) @binding(0) var<uniform> modelUniforms: ModelUniforms;
 
-const MESH_SHADER_VERTEX_COLOR = `
-  struct Camera { projection: mat4x4f, view: mat4x4f }
-  @group(0) @binding(0) var<uniform> camera: Camera;
+  struct VertexIn {
+    @location(0) pos: vec3f,
+    @location(1) color: vec4f,
+    @location(2) normal: vec3f
+  }
+  struct VertexOut {
+    @builtin(position) pos: vec4f,
+    @location(0) worldPos: vec3f,
+    @location(1) @interpolate(flat) color: vec4f,
+    @location(2) normal: vec3f
+  }
+  @vertex fn vertexMain(in: VertexIn) -> VertexOut {
+    var out: VertexOut;
+    let worldPos = modelUniforms.model * vec4f(in.pos, 1.0);
+    out.pos = camera.projection * camera.view * worldPos;
+    out.worldPos = worldPos.xyz;
+    out.color = in.color;
+    out.normal = (modelUniforms.normalMatrix * vec4f(in.normal, 0.0)).xyz;
+    return out;
+  }
+  fn meshColor(in: VertexOut, frontFacing: bool) -> vec4f {
+    let normal = surfaceNormal(in.worldPos, in.normal, frontFacing);
+    if (isClipped(in.worldPos)) { discard; }
 
-  struct LightUniforms {
-    lightDir: vec3f,
-    ambient: f32,
-    specularPower: f32
+    let baseColor = select(mix(in.color.rgb, light.backFaceColor.rgb, light.backFaceColor.a), in.color.rgb, frontFacing);
+    let finalColor = shade(baseColor, in.worldPos, normal, in.pos.xy);
+    return vec4f(mix(finalColor, modelUniforms.tint.rgb, modelUniforms.tint.a), in.color.a);
   }
-  @group(1) @binding(0) var<uniform> light: LightUniforms;
+` + MESH_FRAGMENT_WGSL;
+
+// Vertex stage of the textured and PBR mesh shaders, which multiply a color uniform, the vertex
+// color and a texture. Single-color meshes bind a white vertex color with stride 0, and meshes
+// without texture coordinates a zero uv with stride 0 (and a white placeholder texture).
+const MESH_TEXTURED_VERTEX_WGSL = `
+  struct ModelUniforms { model: mat4x4f, normalMatrix: mat4x4f, tint: vec4f, highlight: vec4f }
+  @group(2) @binding(0) var<uniform> modelUniforms: ModelUniforms;
+
+  @group(1) @binding(2) var baseColorSampler: sampler;
+  @group(1) @binding(3) var baseColorTexture: texture_2d<f32>;
 
   struct VertexIn {
     @location(0) pos: vec3f,
-    @location(1) color: vec4f
+    @location(1) color: vec4f,
+    @location(2) normal: vec3f,
+    @location(3) uv: vec2f
   }
   struct VertexOut {
     @builtin(position) pos: vec4f,
     @location(0) worldPos: vec3f,
-    @location(1) @interpolate(flat) color: vec4f
+    @location(1) @interpolate(flat) color: vec4f,
+    @location(2) normal: vec3f,
+    @location(3) uv: vec2f
   }
   @vertex fn vertexMain(in: VertexIn) -> VertexOut {
     var out: VertexOut;
-    out.pos = camera.projection * camera.view * vec4f(in.pos, 1.0);
-    out.worldPos = in.pos;
+    let worldPos = modelUniforms.model * vec4f(in.pos, 1.0);
+    out.pos = camera.projection * camera.view * worldPos;
+    out.worldPos = worldPos.xyz;
     out.color = in.color;
+    out.normal = (modelUniforms.normalMatrix * vec4f(in.normal, 0.0)).xyz;
+    out.uv = in.uv;
     return out;
   }
-  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f {
-    let normal = normalize(cross(dpdx(in.worldPos), dpdy(in.worldPos)));
-    let lightDir = normalize(light.lightDir);
+`;
 
-    // View space position and view direction
-    let viewPos = (camera.view * vec4f(in.worldPos, 1.0)).xyz;
-    let viewDir = normalize(-viewPos);
-    let halfDir = normalize(lightDir + viewDir);
+// Blinn-Phong meshes with a texture
+const MESH_TEXTURED_SHADER = SURFACE_NORMAL_WGSL + CLIPPED_CAMERA_WGSL + LIGHTING_WGSL + MESH_TEXTURED_VERTEX_WGSL + `
+  struct MeshUniforms { color: vec4f }
+  @group(1) @binding(1) var<uniform> meshUniforms: MeshUniforms;
+
+  fn meshColor(in: VertexOut, frontFacing: bool) -> vec4f {
+    // Sampled before the discard, which would leave the derivatives for the mip level undefined
+    let color = meshUniforms.color * in.color * textureSample(baseColorTexture, baseColorSampler, in.uv);
+    let normal = surfaceNormal(in.worldPos, in.normal, frontFacing);
+    if (isClipped(in.worldPos)) { discard; }
+
+    let baseColor = select(mix(color.rgb, light.backFaceColor.rgb, light.backFaceColor.a), color.rgb, frontFacing);
+    let finalColor = shade(baseColor, in.worldPos, normal, in.pos.xy);
+    return vec4f(mix(finalColor, modelUniforms.tint.rgb, modelUniforms.tint.a), color.a);
+  }
+` + MESH_FRAGMENT_WGSL;
+
+// Metallic/roughness variant for meshes with a material: Cook-Torrance (GGX) lights plus a simple
+// sky/ground environment and an emissive color. The texture, when the mesh has one, is the base color map.
+const MESH_PBR_SHADER = SURFACE_NORMAL_WGSL + CLIPPED_CAMERA_WGSL + LIGHTING_WGSL + MESH_TEXTURED_VERTEX_WGSL + `
+  const PI = 3.14159265;
+
+  // emissive.a is the strength of the environment
+  struct Material { baseColor: vec4f, emissive: vec4f, metallic: f32, roughness: f32 }
+  @group(1) @binding(1) var<uniform> material: Material;
+
+  // A bright sky over a dark ground, seen in direction dir
+  fn environment(dir: vec3f) -> vec3f {
+    return mix(vec3f(0.25), vec3f(1.0), dot(dir, light.up.xyz) * 0.5 + 0.5);
+  }
+
+  fn meshColor(in: VertexOut, frontFacing: bool) -> vec4f {
+    let color = material.baseColor * in.color * textureSample(baseColorTexture, baseColorSampler, in.uv);
+    let normal = -surfaceNormal(in.worldPos, in.normal, frontFacing);
+    if (isClipped(in.worldPos)) { discard; }
+
+    let albedo = select(mix(color.rgb, light.backFaceColor.rgb, light.backFaceColor.a), color.rgb, frontFacing);
+    let metallic = clamp(material.metallic, 0.0, 1.0);
+    let roughness = clamp(material.roughness, 0.04, 1.0);
+    let alphaSq = pow(roughness, 4.0);
+    let k = (roughness + 1.0) * (roughness + 1.0) / 8.0;
+    let f0 = mix(vec3f(0.04), albedo, metallic);
+
+    let toEye = normalize(eyePosition() - in.worldPos);
+    let nDotV = max(dot(normal, toEye), 1e-4);
+    var lit = vec3f(0.0);
+    for (var i = 0u; i < light.lightCount; i++) {
+      let sample = sampleLight(i, in.worldPos);
+      let nDotL = dot(normal, sample.toLight);
+      if (nDotL <= 0.0) { continue; }
+      var radiance = sample.radiance;
+      if (i32(i) == shading.shadowLight) { radiance *= shadowFactor(in.worldPos, normal); }
+      let halfDir = normalize(sample.toLight + toEye);
+      let nDotH = max(dot(normal, halfDir), 0.0);
+      let denominator = nDotH * nDotH * (alphaSq - 1.0) + 1.0;
+      let distribution = alphaSq / (PI * denominator * denominator);
+      let geometry = nDotV / (nDotV * (1.0 - k) + k) * nDotL / (nDotL * (1.0 - k) + k);
+      let fresnel = f0 + (1.0 - f0) * pow(1.0 - max(dot(toEye, halfDir), 0.0), 5.0);
+      let specular = distribution * geometry * fresnel / (4.0 * nDotV * nDotL);
+      let diffuse = (1.0 - fresnel) * (1.0 - metallic) * albedo / PI;
+      // Scaled by PI so a light of intensity 1 lights a white surface like the Blinn-Phong shaders do
+      lit += (diffuse + specular) * radiance * nDotL * PI;
+    }
+
+    // Rougher surfaces reflect a blurrier environment, approximated by leaning the reflection toward the normal
+    let envFresnel = f0 + (max(vec3f(1.0 - roughness), f0) - f0) * pow(1.0 - nDotV, 5.0);
+    let reflected = normalize(mix(reflect(-toEye, normal), normal, roughness * roughness));
+    let envSpecular = environment(reflected) * envFresnel;
+    let envDiffuse = environment(normal) * albedo * (1.0 - metallic) * (1.0 - envFresnel);
+    let occlusion = ambientOcclusion(in.pos.xy);
+    lit += ((envSpecular + envDiffuse) * material.emissive.a + albedo * light.ambient) * occlusion + material.emissive.rgb;
 
-    let diffuse = max(dot(normal, lightDir), 0.0);
-    let specAngle = max(dot(normal, halfDir), 0.0);
-    let specular = pow(specAngle, light.specularPower);
+    return vec4f(mix(lit, modelUniforms.tint.rgb, modelUniforms.tint.a), color.a);
+  }
+` + MESH_FRAGMENT_WGSL;
+
+// Used by the edge shader: moves a stadium vertex off its segment in view space so the
+// line always faces the camera. uv.x runs 0..1 along the segment (beyond that for the caps).
+const LINE_EXPAND_WGSL = `
+  fn expandLine(viewStart: vec4f, viewEnd: vec4f, thickness: f32, uv: vec2f) -> vec4f {
+    let rawDir = viewEnd.xy - viewStart.xy;
+    let dist = max(length(rawDir), 1e-6);
+    let viewDir = rawDir / dist;
+    let perp = vec2f(-viewDir.y, viewDir.x);
+    let axial = clamp(uv.x, 0.0, 1.0);
+    let capOffset = uv.x - axial;
+    let interpPos = mix(viewStart, viewEnd, vec4f(axial, axial, axial, axial));
+    let offsetPerp = perp * (thickness * uv.y);
+    let offsetTan = viewDir * (thickness * capOffset);
+    let finalXY = interpPos.xy + offsetPerp + offsetTan;
+    return vec4f(finalXY, interpPos.z, interpPos.w);
+  }
+`;
 
-    let finalColor = in.color.rgb * (light.ambient + diffuse) + vec3f(1.0) * specular;
-    return vec4f(finalColor, in.color.a);
+// Model uniforms with the line style, which only the line shaders read (see createModelBinding): lineStyle
+// is (1 for thicknesses in CSS pixels, miter limit, unused, unused) and dashPattern the dash, gap, dash,
+// gap lengths in thicknesses (all 0 for solid lines).
+const LINE_MODEL_WGSL = `
+  struct ModelUniforms {
+    model: mat4x4f,
+    normalMatrix: mat4x4f,
+    tint: vec4f,
+    highlight: vec4f,
+    lineStyle: vec4f,
+    dashPattern: vec4f
   }
 `;
 
-const BILLBOARD_LINE_SHADER = `
-  struct Camera { projection: mat4x4f, view: mat4x4f }
-  @group(0) @binding(0) var<uniform> camera: Camera;
+// Shared by the line shaders (each declares camera and modelUniforms): lays out a vertex of
+// LineData.GeneratePolylineGeometry on screen, in view space so the line always faces the camera.
+// Segments are quads whose corners on the inside of a turn meet the next segment's at one point;
+// the wedge left on the outside is filled by the join vertices of the next segment, placed here
+// because which side is outside depends on the view. Offsets are in thicknesses (widths).
+// local is the offset from the path (x along, y across, z = 1 on arrowheads) and phase the
+// distance along the path to the anchor, which the fragment shaders turn into dashes.
+const POLYLINE_WGSL = `
+  struct PolylineIn {
+    pos: vec3f,      // segment start
+    endPos: vec3f,   // segment end
+    thickness: f32,
+    uv: vec2f,
+    previous: vec4f, // point before the start (the start at the beginning of a polyline), distance to the start
+    next: vec4f      // point after the end (the end at the end of a polyline), vertex kind
+  }
+  struct PolylinePoint { viewPos: vec4f, worldPos: vec3f, local: vec3f, phase: f32 }
+
+  fn screenDirection(a: vec4f, b: vec4f) -> vec2f {
+    let d = b.xy - a.xy;
+    let len = length(d);
+    return select(vec2f(0.0), d / len, len > 1e-9);
+  }
+  fn leftOf(d: vec2f) -> vec2f { return vec2f(-d.y, d.x); }
+  fn turnOf(a: vec2f, b: vec2f) -> f32 { return a.x * b.y - a.y * b.x; } // > 0 turning left
+
+  // The corner on the inside of the turn from direction a to direction b, kept within reach of the
+  // shorter segment so short segments don't fold over
+  fn innerCorner(a: vec2f, b: vec2f, shortest: f32) -> vec2f {
+    let inner = select(-1.0, 1.0, turnOf(a, b) > 0.0);
+    let sum = leftOf(a) + leftOf(b);
+    if (length(sum) < 1e-3) { return inner * 0.5 * leftOf(b); } // doubling back
+    let miter = normalize(sum);
+    let reach = min(0.5 / max(dot(miter, leftOf(a)), 1e-3), sqrt(0.25 + shortest * shortest));
+    return inner * reach * miter;
+  }
+
+  fn expandPolyline(in: PolylineIn) -> PolylinePoint {
+    let kind = in.next.w; // see the vertex kinds in LineData.cs
+    let worldStart = modelUniforms.model * vec4f(in.pos, 1.0);
+    let worldEnd = modelUniforms.model * vec4f(in.endPos, 1.0);
+    let viewStart = camera.view * worldStart;
+    let viewEnd = camera.view * worldEnd;
+    let viewPrevious = camera.view * modelUniforms.model * vec4f(in.previous.xyz, 1.0);
+    let viewNext = camera.view * modelUniforms.model * vec4f(in.next.xyz, 1.0);
+    let isArrow = kind > 4.5;
+    let axial = select(clamp(in.uv.x, 0.0, 1.0), 1.0, isArrow);
+    let anchor = mix(viewStart, viewEnd, vec4f(axial));
+
+    // Pixel thicknesses are measured at the anchor, so both segments at a joint get the same width
+    var width = in.thickness;
+    if (modelUniforms.lineStyle.x > 0.5) {
+      width = in.thickness * 2.0 * (camera.projection * anchor).w / (camera.projection[1][1] * camera.viewport.y);
+    }
+    let dir = screenDirection(viewStart, viewEnd);
+    let segmentLength = distance(viewStart.xy, viewEnd.xy) / width;
+    var offset: vec2f;
+    var local = vec3f(in.uv.x - axial, in.uv.y, 0.0);
+    var shift = 0.0; // along the path from the anchor, for vertices that are not at it
+
+    if (isArrow) {
+      // Pulled back from the end, but not past the start
+      shift = max(in.uv.x, -segmentLength);
+      offset = dir * shift + leftOf(dir) * in.uv.y;
+      local = vec3f(0.0, in.uv.y, select(0.0, 1.0, kind > 5.5));
+    } else if (kind > 0.5) {
+      // Join vertices, at the start of the segment after the joint
+      let previousDir = screenDirection(viewPrevious, viewStart);
+      let outer = select(1.0, -1.0, turnOf(previousDir, dir) > 0.0);
+      if (kind > 3.5) {
+        let shortest = min(distance(viewPrevious.xy, viewStart.xy) / width, segmentLength);
+        offset = innerCorner(previousDir, dir, shortest);
+      } else if (kind > 2.5) {
+        let sum = leftOf(previousDir) + leftOf(dir);
+        let miter = sum / max(length(sum), 1e-6);
+        let ratio = 1.0 / max(dot(miter, leftOf(previousDir)), 1e-3); // miter length over thickness
+        offset = select(0.25 * outer * sum, 0.5 * outer * ratio * miter, ratio <= modelUniforms.lineStyle.y);
+      } else {
+        // Turns the previous segment's outer edge (t = 0) toward this one's (t = 1)
+        let edge = leftOf(previousDir);
+        let angle = atan2(turnOf(edge, leftOf(dir)), dot(edge, leftOf(dir))) * (kind - 1.0);
+        offset = 0.5 * outer * vec2f(edge.x * cos(angle) - edge.y * sin(angle), edge.x * sin(angle) + edge.y * cos(angle));
+      }
+      local = vec3f(dot(offset, dir), dot(offset, leftOf(dir)), 0.0);
+    } else {
+      offset = dir * local.x + leftOf(dir) * in.uv.y;
+      // A corner at a joint is moved to the inner corner when it is on the inside of the turn
+      let atEnd = axial > 0.5;
+      let hasNeighbor = any(select(in.previous.xyz != in.pos, in.next.xyz != in.endPos, atEnd));
+      if (hasNeighbor && local.x == 0.0 && abs(in.uv.y) > 0.25) {
+        let neighbor = select(viewPrevious, viewNext, atEnd);
+        let neighborLength = distance(neighbor.xy, anchor.xy) / width;
+        let a = select(screenDirection(viewPrevious, viewStart), dir, atEnd);
+        let b = select(dir, screenDirection(viewEnd, viewNext), atEnd);
+        if (in.uv.y * turnOf(a, b) > 0.0) {
+          offset = innerCorner(a, b, min(neighborLength, segmentLength));
+        }
+      }
+    }
+
+    var out: PolylinePoint;
+    out.viewPos = vec4f(anchor.xy + offset * width, anchor.z, anchor.w);
+    // Lines are clipped at their centerline so the cut goes straight across the ribbon
+    out.worldPos = mix(worldStart.xyz, worldEnd.xyz, vec3f(axial));
+    out.local = local;
+    out.phase = (in.previous.w + axial * distance(in.pos, in.endPos)) / width + shift;
+    return out;
+  }
+
+  // False in the gaps of the dash pattern. Dashes get round ends half a thickness long; arrowheads are never cut.
+  fn inDash(local: vec3f, phase: f32) -> bool {
+    let pattern = modelUniforms.dashPattern;
+    let period = pattern.x + pattern.y + pattern.z + pattern.w;
+    if (period <= 0.0 || local.z > 0.5) { return true; }
+    let p = fract((phase + local.x) / period) * period;
+    let second = pattern.x + pattern.y;
+    // Distance along the path to the nearest dash: the first, the second, or the first of the next period
+    let gap = min(min(max(p - pattern.x, 0.0), max(max(second - p, p - second - pattern.z), 0.0)), period - p);
+    return length(vec2f(gap, local.y)) <= 0.5;
+  }
+`;
+
+const BILLBOARD_LINE_SHADER = POLYLINE_WGSL + LINE_MODEL_WGSL + CLIPPED_CAMERA_WGSL + `
+  @group(1) @binding(0) var<uniform> modelUniforms: ModelUniforms;
   struct VertexIn {
     @location(0) pos: vec3f,
     @location(1) color: vec4f,
     @location(2) thickness: f32,
     @location(3) uv: vec2f,
     @location(4) endPos: vec3f,
-    @location(5) fade: f32
+    @location(5) fade: f32,
+    @location(6) previous: vec4f,
+    @location(7) next: vec4f
   }
   struct VertexOut {
     @builtin(position) clipPos: vec4f,
     @location(0) color: vec4f,
-    @location(1) uvY: f32,
-    @location(2) fade: f32
+    @location(1) local: vec3f,
+    @location(2) fade: f32,
+    @location(3) worldPos: vec3f,
+    @location(4) phase: f32
   }
   @vertex fn vertexMain(in: VertexIn) -> VertexOut {
     var out: VertexOut;
-    let viewStart = camera.view * vec4f(in.pos, 1.0);
-    let viewEnd = camera.view * vec4f(in.endPos, 1.0);
-    let rawDir = viewEnd.xy - viewStart.xy;
-    let dist = max(length(rawDir), 1e-6);
-    let viewDir = rawDir / dist;
-    let perp = vec2f(-viewDir.y, viewDir.x);
-    let axial = clamp(in.uv.x, 0.0, 1.0);
-    let capOffset = in.uv.x - axial;
-    let interpPos = mix(viewStart, viewEnd, vec4f(axial, axial, axial, axial));
-    let offsetPerp = perp * (in.thickness * in.uv.y);
-    let offsetTan = viewDir * (in.thickness * capOffset);
-    let finalXY = interpPos.xy + offsetPerp + offsetTan;
-    let finalPos = vec4f(finalXY, interpPos.z, interpPos.w);
-    out.clipPos = camera.projection * finalPos;
+    let point = expandPolyline(PolylineIn(in.pos, in.endPos, in.thickness, in.uv, in.previous, in.next));
+    out.clipPos = camera.projection * point.viewPos;
     out.color = in.color;
-    out.uvY = in.uv.y;
+    out.local = point.local;
     out.fade = in.fade;
+    out.worldPos = point.worldPos;
+    out.phase = point.phase;
     return out;
   }
   @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f {
+    if (isClipped(in.worldPos) || !inDash(in.local, in.phase)) { discard; }
     var alpha = in.color.a;
-    if (in.fade > 0.0) {
-      let dist = abs(in.uvY);
+    if (in.fade > 0.0 && in.local.z < 0.5) {
+      let dist = length(in.local.xy);
       let t = clamp(1.0 - dist / (0.5 * in.fade), 0.0, 1.0);
       alpha = alpha * t;
     }
-    return vec4f(in.color.rgb, alpha);
+    return vec4f(mix(in.color.rgb, modelUniforms.tint.rgb, modelUniforms.tint.a), alpha);
   }
 `;
 
-const BILLBOARD_SHADER = `
-  struct Camera { projection: mat4x4f, view: mat4x4f }
-  @group(0) @binding(0) var<uniform> camera: Camera;
-  @group(1) @binding(0) var sampler0: sampler;
-  @group(1) @binding(1) var texture0: texture_2d<f32>;
-  struct VertexIn { @location(0) pos: vec3f, @location(1) uv: vec2f }
-  struct VertexOut { @builtin(position) pos: vec4f, @location(0) uv: vec2f }
-  @vertex fn vertexMain(in: VertexIn) -> VertexOut {
+// Mesh edges (wireframe and feature edges), drawn as stadiums with a width in
+// pixels. Each instance is one edge; its four strip vertices span the edge plus half a width at each end.
+const EDGE_SHADER = LINE_EXPAND_WGSL + CLIPPED_CAMERA_WGSL + `
+  struct ModelUniforms { model: mat4x4f, normalMatrix: mat4x4f, tint: vec4f, highlight: vec4f }
+  @group(1) @binding(0) var<uniform> modelUniforms: ModelUniforms;
+  struct EdgeUniforms { color: vec4f, width: f32, viewportHeight: f32 }
+  @group(2) @binding(0) var<uniform> edgeStyle: EdgeUniforms;
+  struct VertexOut { @builtin(position) clipPos: vec4f, @location(0) worldPos: vec3f }
+  @vertex fn vertexMain(@builtin(vertex_index) i: u32, @location(0) start: vec3f, @location(1) end: vec3f) -> VertexOut {
     var out: VertexOut;
-    let size = 1.0;
-    let offset = vec3f((in.uv.x - 0.5) * 2.0 * size, (in.uv.y - 0.5) * 2.0 * size, 0.0);
+    let uv = vec2f(select(-0.5, 1.5, i >= 2u), select(-0.5, 0.5, (i & 1u) == 1u));
+    let worldStart = modelUniforms.model * vec4f(start, 1.0);
+    let worldEnd = modelUniforms.model * vec4f(end, 1.0);
+    let viewStart = camera.view * worldStart;
+    let viewEnd = camera.view * worldEnd;
+    // The view-space width that projects to the pixel width at this end of the edge
+    let w = (camera.projection * select(viewStart, viewEnd, uv.x > 0.5)).w;
+    let thickness = edgeStyle.width * 2.0 * w / (camera.projection[1][1] * edgeStyle.viewportHeight);
+    let viewPos = expandLine(viewStart, viewEnd, thickness, uv);
+    out.clipPos = camera.projection * viewPos;
+    // Depth is taken from a point slightly closer to the camera so edges win over their own faces
+    let biased = camera.projection * vec4f(viewPos.xy, viewPos.z * 0.999, viewPos.w);
+    out.clipPos.z = biased.z / biased.w * out.clipPos.w;
+    out.worldPos = mix(worldStart.xyz, worldEnd.xyz, vec3f(clamp(uv.x, 0.0, 1.0)));
+    return out;
+  }
+  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f {
+    if (isClipped(in.worldPos)) { discard; }
+    return vec4f(mix(edgeStyle.color.rgb, modelUniforms.tint.rgb, modelUniforms.tint.a), edgeStyle.color.a);
+  }
+`;
+
+// Shared by the billboard shaders: each vertex is the billboard's point, moved along the camera's
+// right and up axes by worldOffset (world units) and then across the screen by pixelOffset (CSS pixels).
+// Leader lines have no texture coordinates (uv -1) and take the vertex color instead; their worldOffset
+// holds how far along the line the vertex is (0 at the point, 1 at the anchor) and its signed half width.
+const BILLBOARD_VERTEX_WGSL = `
+  struct BillboardIn {
+    @location(0) pos: vec3f,
+    @location(1) uv: vec2f,
+    @location(2) worldOffset: vec2f,
+    @location(3) pixelOffset: vec2f,
+    @location(4) color: vec4f
+  }
+  // Where de-cluttering put the billboard and how it shows behind other objects (see placeLabels)
+  struct BillboardPlacement {
+    shift: vec2f, // CSS pixels
+    visible: f32, // 0 while another label has its place
+    occludedOpacity: f32 // 0 hides it behind other objects, 1 keeps it on top of them
+  }
+  fn billboardWorldPos(in: BillboardIn) -> vec3f {
+    if (in.uv.x < 0.0) { return in.pos; }
     let right = vec3f(camera.view[0][0], camera.view[1][0], camera.view[2][0]);
     let up = vec3f(camera.view[0][1], camera.view[1][1], camera.view[2][1]);
-    let world_pos = in.pos + right * offset.x + up * offset.y;
-    out.pos = camera.projection * camera.view * vec4f(world_pos, 1.0);
+    return in.pos + right * in.worldOffset.x + up * in.worldOffset.y;
+  }
+  // Leader lines follow the billboard when de-cluttering shifts it
+  fn billboardPixelOffset(in: BillboardIn, shift: vec2f) -> vec2f {
+    let end = in.pixelOffset + shift;
+    if (in.uv.x >= 0.0) { return end; }
+    let across = select(vec2f(0.0), normalize(vec2f(-end.y, end.x)), dot(end, end) > 0.0);
+    return end * in.worldOffset.x + across * in.worldOffset.y;
+  }
+  fn billboardClipPos(worldPos: vec3f, pixelOffset: vec2f) -> vec4f {
+    let clip = camera.projection * camera.view * vec4f(worldPos, 1.0);
+    return vec4f(clip.xy + pixelOffset * 2.0 / camera.viewport * clip.w, clip.zw);
+  }
+`;
+
+// Billboards and labels are drawn after the rest of the scene, without a depth attachment: whether
+// they are behind other objects is decided once per label at its anchor, so labels don't poke through
+// at the edges of the parts in front of them. anchorVisibility is the fraction of a few depth samples
+// around the anchor that it is in front of, so labels fade over a few pixels as the anchor passes
+// behind an edge. The depth texture is multisampled with MSAA.
+function sceneDepthWgsl(multisampled) {
+    return `
+  @group(2) @binding(0) var sceneDepth: ${multisampled ? 'texture_depth_multisampled_2d' : 'texture_depth_2d'};
+  fn anchorVisibility(anchor: vec3f) -> f32 {
+    // Tested slightly closer to the camera, so the anchors of points on a surface aren't hidden by it
+    let viewPos = camera.view * vec4f(anchor, 1.0);
+    let clip = camera.projection * vec4f(viewPos.xy, viewPos.z * 0.99, 1.0);
+    let ndc = clip.xyz / clip.w;
+    if (clip.w <= 0.0 || any(abs(ndc.xy) > vec2f(1.0))) { return 1.0; }
+    let size = vec2i(textureDimensions(sceneDepth));
+    let pixel = vec2i((ndc.xy * vec2f(0.5, -0.5) + 0.5) * vec2f(size));
+    var visible = 0.0;
+    for (var y = -1; y <= 1; y++) {
+      for (var x = -1; x <= 1; x++) {
+        let p = clamp(pixel + vec2i(x, y) * 2, vec2i(0), size - 1);
+        visible += select(0.0, 1.0, ndc.z <= textureLoad(sceneDepth, p, 0));
+      }
+    }
+    return visible / 9.0;
+  }
+  // Opacity of a label anchored at anchor, or 0 where it isn't drawn at all
+  fn labelOpacity(anchor: vec3f, visible: f32, occludedOpacity: f32) -> f32 {
+    if (visible == 0.0) { return 0.0; }
+    if (occludedOpacity >= 1.0) { return 1.0; }
+    return mix(occludedOpacity, 1.0, anchorVisibility(anchor));
+  }
+`;
+}
+
+const BILLBOARD_SHADER = CLIPPED_CAMERA_WGSL + BILLBOARD_VERTEX_WGSL + `
+  @group(1) @binding(0) var sampler0: sampler;
+  @group(1) @binding(1) var texture0: texture_2d<f32>;
+  @group(1) @binding(2) var<uniform> placement: BillboardPlacement;
+  struct VertexOut { @builtin(position) pos: vec4f, @location(0) uv: vec2f, @location(1) color: vec4f, @location(2) opacity: f32 }
+  @vertex fn vertexMain(in: BillboardIn) -> VertexOut {
+    var out: VertexOut;
+    out.opacity = labelOpacity(in.pos, placement.visible, placement.occludedOpacity);
+    if (out.opacity <= 0.0) {
+      out.pos = vec4f(2.0, 2.0, 2.0, 1.0); // outside the clip volume
+      return out;
+    }
+    out.pos = billboardClipPos(billboardWorldPos(in), billboardPixelOffset(in, placement.shift));
     out.uv = in.uv;
+    out.color = in.color;
     return out;
   }
   @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f {
-    let color = textureSample(texture0, sampler0, in.uv);
+    let color = select(textureSample(texture0, sampler0, in.uv), in.color, in.uv.x < 0.0);
     if (color.a < 0.1) { discard; }
-    return color;
+    return vec4f(color.rgb, color.a * in.opacity);
   }
 `;
 
-// ============================================================================
-// Global State (WebGPU resources that can't be in C#)
-// ============================================================================
+// Vertex layout of BILLBOARD_VERTEX_WGSL: position, uv, world offset, pixel offset, leader color
+const BILLBOARD_VERTEX_BUFFERS = [{
+    arrayStride: 52,
+    attributes: [
+        { shaderLocation: 0, offset: 0, format: 'float32x3' },
+        { shaderLocation: 1, offset: 12, format: 'float32x2' },
+        { shaderLocation: 2, offset: 20, format: 'float32x2' },
+        { shaderLocation: 3, offset: 28, format: 'float32x2' },
+        { shaderLocation: 4, offset: 36, format: 'float32x4' }
+    ]
+}];
+
+// Font size (CSS pixels) of the texture of world-sized text billboards, which are then scaled to their size
+const WORLD_BILLBOARD_FONT_SIZE = 48;
+
+// Batched labels (addLabels): one instance per glyph, whose quad and atlas rectangle come from the
+// glyph atlas. quad is the glyph's lower-left corner and size around the label's anchor in em, which
+// style.size turns into CSS pixels or world units. The atlas holds signed distances (see glyphSdf),
+// so the glyphs stay crisp at any size and get their outline from the same texel. Each label has its
+// own BillboardPlacement, selected by the glyph's label index.
+const LABEL_SHADER = CLIPPED_CAMERA_WGSL + BILLBOARD_VERTEX_WGSL + `
+  struct LabelStyle {
+    color: vec4f,
+    outlineColor: vec4f,
+    offset: vec2f, // CSS pixels
+    size: f32, // CSS pixels or world units per em
+    outlineEdge: f32, // distance value where the outline ends; 0.5 without an outline
+    worldSized: u32
+  }
+  @group(1) @binding(0) var<uniform> style: LabelStyle;
+  @group(1) @binding(1) var atlasSampler: sampler;
+  @group(1) @binding(2) var atlas: texture_2d<f32>;
+  @group(1) @binding(3) var<storage, read> placements: array<BillboardPlacement>;
+
+  struct GlyphIn { @location(0) pos: vec3f, @location(1) quad: vec4f, @location(2) uvRect: vec4f, @location(3) label: u32 }
+  struct VertexOut { @builtin(position) pos: vec4f, @location(0) uv: vec2f, @location(1) opacity: f32 }
+  @vertex fn vertexMain(@builtin(vertex_index) i: u32, in: GlyphIn) -> VertexOut {
+    var out: VertexOut;
+    let placement = placements[in.label];
+    out.opacity = labelOpacity(in.pos, placement.visible, placement.occludedOpacity);
+    if (out.opacity <= 0.0) {
+      out.pos = vec4f(2.0, 2.0, 2.0, 1.0); // outside the clip volume
+      return out;
+    }
+    let corner = vec2f(f32(i & 1u), f32(i >> 1u));
+    let local = (in.quad.xy + corner * in.quad.zw) * style.size;
+    var worldPos = in.pos;
+    var pixelOffset = style.offset + placement.shift;
+    if (style.worldSized != 0u) {
+      let right = vec3f(camera.view[0][0], camera.view[1][0], camera.view[2][0]);
+      let up = vec3f(camera.view[0][1], camera.view[1][1], camera.view[2][1]);
+      worldPos += right * local.x + up * local.y;
+    } else {
+      pixelOffset += local;
+    }
+    out.pos = billboardClipPos(worldPos, pixelOffset);
+    out.uv = mix(in.uvRect.xy, in.uvRect.zw, corner);
+    return out;
+  }
+  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f {
+    let distance = textureSample(atlas, atlasSampler, in.uv).r;
+    let smoothing = max(fwidth(distance) * 0.75, 1e-4);
+    let fill = smoothstep(0.5 - smoothing, 0.5 + smoothing, distance);
+    let coverage = smoothstep(style.outlineEdge - smoothing, style.outlineEdge + smoothing, distance);
+    let color = mix(style.outlineColor, style.color, fill);
+    let alpha = color.a * coverage * in.opacity;
+    if (alpha < 0.01) { discard; }
+    return vec4f(color.rgb, alpha);
+  }
+`;
 
-let canvas = null;
-let context = null;
-let device = null;
-let dotNetRef = null;
-
-// Frame timing
-const frameMs = new Array(20);
-let frameMsIndex = 0;
-
-// Matrices
-const frameArrayBuffer = new ArrayBuffer(FRAME_BUFFER_SIZE);
-const projectionMatrix = new Float32Array(frameArrayBuffer, 0, 16);
-const viewMatrix = new Float32Array(frameArrayBuffer, 16 * Float32Array.BYTES_PER_ELEMENT, 16);
-
-// GPU resources
-let frameUniformBuffer = null;
-let frameBindGroupLayout = null;
-let frameBindGroup = null;
-
-// Render targets
-let msaaColorTexture = null;
-let depthTexture = null;
-let colorAttachment = null;
-let renderPassDescriptor = null;
-
-// Lighting resources
-let lightUniformArray = new ArrayBuffer(8 * Float32Array.BYTES_PER_ELEMENT); // 3 (vec3f) + 1 (f32) + 1 (f32) + 3 padding
-const lightDirection = new Float32Array(lightUniformArray, 0, 3);
-const lightAmbient = new Float32Array(lightUniformArray, 12, 1);
-const lightSpecularPower = new Float32Array(lightUniformArray, 16, 1);
-let lightUniformBuffer = null;
-let lightBindGroupLayout = null;
-let lightBindGroup = null;
-
-
-// Grid resources
-let gridPipeline = null;
-let gridVertexBuffer = null;
-let gridIndexBuffer = null;
-let gridUniformBuffer = null;
-let gridBindGroup = null;
-let gridBindGroupLayout = null;
-const gridUniformArray = new ArrayBuffer(16 * Float32Array.BYTES_PER_ELEMENT);
-const gridLineColor = new Float32Array(gridUniformArray, 0, 4);
-const gridBaseColor = new Float32Array(gridUniformArray, 16, 4);
-const gridLineWidth = new Float32Array(gridUniformArray, 32, 2);
-const gridSpacingUniform = new Float32Array(gridUniformArray, 40, 1);
-
-// Grid configuration (updated from C#)
-let gridSize = 20.0;
-let gridSpacing = 1.0;
-let zIsUp = false;
-let gridDepthWriteEnabled = false;  // New variable to control depth writing
-let gridIsTransparent = false;
-
-// Coordinate axes
-let coordinateThickness = 1.0;
-let coordinateAxes = null;
-let axisExtent = gridSize;
-
-// Render settings (updated from C#)
-let colorFormat = 'bgra8unorm';
-let depthFormat = 'depth24plus';
-let sampleCount = 4;
-let clearColor = { r: 0, g: 0, b: 0, a: 1.0 };
-
-// Scene objects (maintained in sync with C#)
-const meshes = [];
-const lines = [];
-const textBillboards = [];
+// Instance layout of LABEL_SHADER: label position, glyph quad, atlas rectangle, label index
+const GLYPH_VERTEX_BUFFERS = [{
+    arrayStride: 48,
+    stepMode: 'instance',
+    attributes: [
+        { shaderLocation: 0, offset: 0, format: 'float32x3' },
+        { shaderLocation: 1, offset: 12, format: 'float32x4' },
+        { shaderLocation: 2, offset: 28, format: 'float32x4' },
+        { shaderLocation: 3, offset: 44, format: 'uint32' }
+    ]
+}];
+
+// Glyph atlases hold each glyph's signed distance field, rasterized at SDF_FONT_SIZE CSS pixels with
+// SDF_RADIUS pixels of distance around it, in a square r8unorm texture shared by the labels of a font
+const SDF_FONT_SIZE = 32;
+const SDF_RADIUS = 8;
+const GLYPH_ATLAS_SIZE = 2048;
+const LABEL_LINE_HEIGHT = 1.25; // em
+const LABEL_STYLE_SIZE = 64; // bytes of LabelStyle
+
+// De-cluttering (placeLabels): CSS pixels between labels moved out of each other's way, and the cell
+// size of the grid the placed labels are looked up in
+const LABEL_GAP = 2;
+const LABEL_GRID_CELL = 64;
+
+// Draws highlighted meshes and lines into the highlight mask: red where selected, green where hovered
+const HIGHLIGHT_MASK_SHADER = POLYLINE_WGSL + LINE_MODEL_WGSL + CLIPPED_CAMERA_WGSL + `
+  @group(1) @binding(0) var<uniform> modelUniforms: ModelUniforms;
+  struct VertexOut { @builtin(position) pos: vec4f, @location(0) worldPos: vec3f, @location(1) local: vec3f, @location(2) phase: f32 }
+  @vertex fn meshVertex(@location(0) pos: vec3f) -> VertexOut {
+    var out: VertexOut;
+    let worldPos = modelUniforms.model * vec4f(pos, 1.0);
+    out.pos = camera.projection * camera.view * worldPos;
+    out.worldPos = worldPos.xyz;
+    return out;
+  }
+  struct LineIn {
+    @location(0) pos: vec3f,
+    @location(2) thickness: f32,
+    @location(3) uv: vec2f,
+    @location(4) endPos: vec3f,
+    @location(6) previous: vec4f,
+    @location(7) next: vec4f
+  }
+  @vertex fn lineVertex(in: LineIn) -> VertexOut {
+    var out: VertexOut;
+    let point = expandPolyline(PolylineIn(in.pos, in.endPos, in.thickness, in.uv, in.previous, in.next));
+    out.pos = camera.projection * point.viewPos;
+    out.worldPos = point.worldPos;
+    out.local = point.local;
+    out.phase = point.phase;
+    return out;
+  }
+  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f {
+    if (isClipped(in.worldPos) || !inDash(in.local, in.phase)) { discard; }
+    return modelUniforms.highlight;
+  }
+`;
 
-// ============================================================================
-// Initialization
-// ============================================================================
+// Full-screen edge pass: pixels outside a highlight mask but within the outline width of it get the outline color
+const HIGHLIGHT_OUTLINE_SHADER = `
+  struct OutlineUniforms { selectedColor: vec4f, hoverColor: vec4f, widths: vec2f }
+  @group(0) @binding(0) var mask: texture_2d<f32>;
+  @group(0) @binding(1) var<uniform> outline: OutlineUniforms;
+  @vertex fn vertexMain(@builtin(vertex_index) i: u32) -> @builtin(position) vec4f {
+    // One triangle that covers the whole screen
+    let corner = vec2f(f32((i << 1u) & 2u), f32(i & 2u));
+    return vec4f(corner * 2.0 - 1.0, 0.0, 1.0);
+  }
+  @fragment fn fragmentMain(@builtin(position) pos: vec4f) -> @location(0) vec4f {
+    let size = vec2i(textureDimensions(mask));
+    let center = vec2i(pos.xy);
+    let inside = textureLoad(mask, center, 0).rg;
+    let radius = i32(ceil(max(outline.widths.x, outline.widths.y)));
+    let widthSq = outline.widths * outline.widths;
+    var near = vec2f(0.0);
+    for (var dy = -radius; dy <= radius; dy++) {
+      for (var dx = -radius; dx <= radius; dx++) {
+        let m = textureLoad(mask, clamp(center + vec2i(dx, dy), vec2i(0), size - 1), 0).rg;
+        near = max(near, select(vec2f(0.0), m, vec2f(f32(dx * dx + dy * dy)) <= widthSq));
+      }
+    }
+    let edge = (near > vec2f(0.5)) & (inside < vec2f(0.5));
+    if (!any(edge)) { discard; }
+    // Hover is drawn over the selection so the pointer stays visible on selected objects
+    return select(outline.selectedColor, outline.hoverColor, edge.y);
+  }
+`;
 
-export async function initGPU_Canvas(dotnet, canvasEl, options, initialViewMatrix) {
-    dotNetRef = dotnet;
-    canvas = canvasEl;
-    context = canvas.getContext('webgpu');
+// Depth of the opaque meshes as seen from the shadow-casting light. The frame uniforms hold the
+// light's view-projection, so the section planes still cut away what casts no shadow.
+const SHADOW_SHADER = CLIPPED_CAMERA_WGSL + `
+  struct ModelUniforms { model: mat4x4f, normalMatrix: mat4x4f, tint: vec4f, highlight: vec4f }
+  @group(1) @binding(0) var<uniform> modelUniforms: ModelUniforms;
+  struct VertexOut { @builtin(position) pos: vec4f, @location(0) worldPos: vec3f }
+  @vertex fn vertexMain(@location(0) pos: vec3f) -> VertexOut {
+    var out: VertexOut;
+    let worldPos = modelUniforms.model * vec4f(pos, 1.0);
+    out.pos = camera.projection * camera.view * worldPos;
+    out.worldPos = worldPos.xyz;
+    return out;
+  }
+  @fragment fn fragmentMain(in: VertexOut) {
+    if (isClipped(in.worldPos)) { discard; }
+  }
+`;
 
-    colorFormat = navigator.gpu?.getPreferredCanvasFormat?.() || 'bgra8unorm';
+// Ambient occlusion prepass: view-space normals (facing the viewer) and linear depth of the opaque
+// meshes. The cleared value (depth 0) marks the background.
+const NORMAL_DEPTH_SHADER = CLIPPED_CAMERA_WGSL + `
+  struct ModelUniforms { model: mat4x4f, normalMatrix: mat4x4f, tint: vec4f, highlight: vec4f }
+  @group(1) @binding(0) var<uniform> modelUniforms: ModelUniforms;
+  struct VertexOut { @builtin(position) pos: vec4f, @location(0) worldPos: vec3f, @location(1) viewPos: vec3f, @location(2) viewNormal: vec3f }
+  @vertex fn vertexMain(@location(0) pos: vec3f, @location(2) normal: vec3f) -> VertexOut {
+    var out: VertexOut;
+    let worldPos = modelUniforms.model * vec4f(pos, 1.0);
+    let viewPos = camera.view * worldPos;
+    out.pos = camera.projection * viewPos;
+    out.worldPos = worldPos.xyz;
+    out.viewPos = viewPos.xyz;
+    out.viewNormal = (camera.view * modelUniforms.normalMatrix * vec4f(normal, 0.0)).xyz;
+    return out;
+  }
+  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f {
+    // Flat-shaded meshes have zero vertex normals and use the face normal
+    let faceNormal = normalize(cross(dpdx(in.viewPos), dpdy(in.viewPos)));
+    var normal = select(faceNormal, normalize(in.viewNormal), dot(in.viewNormal, in.viewNormal) > 1e-12);
+    if (isClipped(in.worldPos)) { discard; }
+    normal = select(normal, -normal, dot(normal, in.viewPos) > 0.0);
+    return vec4f(normal, -in.viewPos.z);
+  }
+`;
 
-    // Set initial view matrix from parameter
-    viewMatrix.set(initialViewMatrix);
+// Screen-space ambient occlusion: samples a hemisphere around each pixel's normal and counts the
+// samples that end up behind the surfaces in the normal/depth texture. The sample pattern is
+// rotated per pixel with a 4x4 noise, which SSAO_BLUR_SHADER averages out.
+const SSAO_SHADER = `
+  struct AoUniforms { projection: mat4x4f, radius: f32, sampleCount: u32 }
+  @group(0) @binding(0) var normalDepth: texture_2d<f32>;
+  @group(0) @binding(1) var<uniform> ao: AoUniforms;
+  @vertex fn vertexMain(@builtin(vertex_index) i: u32) -> @builtin(position) vec4f {
+    // One triangle that covers the whole screen
+    let corner = vec2f(f32((i << 1u) & 2u), f32(i & 2u));
+    return vec4f(corner * 2.0 - 1.0, 0.0, 1.0);
+  }
+  // View-space position of a pixel from its linear depth (perspective or orthographic projection)
+  fn viewPosition(pixel: vec2f, size: vec2f, linearDepth: f32) -> vec3f {
+    let ndc = vec2f(pixel.x / size.x * 2.0 - 1.0, 1.0 - pixel.y / size.y * 2.0);
+    let p = ao.projection;
+    let z = -linearDepth;
+    let w = p[2][3] * z + p[3][3];
+    return vec3f((ndc.x * w - p[2][0] * z - p[3][0]) / p[0][0], (ndc.y * w - p[2][1] * z - p[3][1]) / p[1][1], z);
+  }
+  @fragment fn fragmentMain(@builtin(position) pos: vec4f) -> @location(0) vec4f {
+    let size = vec2f(textureDimensions(normalDepth));
+    let center = textureLoad(normalDepth, vec2i(pos.xy), 0);
+    if (center.w <= 0.0) { return vec4f(1.0); }
+    let origin = viewPosition(pos.xy, size, center.w);
+    let normal = normalize(center.xyz);
+    let tangent = normalize(cross(normal, select(vec3f(0.0, 1.0, 0.0), vec3f(1.0, 0.0, 0.0), abs(normal.y) > 0.9)));
+    let bitangent = cross(normal, tangent);
+    let noise = vec2f(vec2u(pos.xy) % 4u);
+    let rotation = fract(noise.x * 0.25 + noise.y * 0.0625 + 0.03125) * 6.2831853;
+
+    var occlusion = 0.0;
+    for (var i = 0u; i < ao.sampleCount; i++) {
+      // A spiral over the hemisphere, from near the normal out to the horizon, sampled closer
+      // to the pixel first
+      let t = (f32(i) + 0.5) / f32(ao.sampleCount);
+      let angle = rotation + f32(i) * 2.39996323;
+      let dir = (tangent * cos(angle) + bitangent * sin(angle)) * sqrt(t) + normal * sqrt(1.0 - t);
+      let samplePos = origin + dir * ao.radius * mix(0.1, 1.0, t * t);
+      let clip = ao.projection * vec4f(samplePos, 1.0);
+      let uv = clip.xy / clip.w * vec2f(0.5, -0.5) + 0.5;
+      if (any(uv < vec2f(0.0)) || any(uv >= vec2f(1.0))) { continue; }
+      let sceneDepth = textureLoad(normalDepth, vec2i(uv * size), 0).w;
+      if (sceneDepth <= 0.0) { continue; }
+      // Surfaces far in front of the pixel (another part) only occlude a little
+      let inRange = smoothstep(0.0, 1.0, ao.radius / max(abs(center.w - sceneDepth), 1e-6));
+      occlusion += select(0.0, inRange, sceneDepth < -samplePos.z - ao.radius * 0.02);
+    }
+    return vec4f(1.0 - occlusion / f32(ao.sampleCount));
+  }
+`;
 
-    // Apply options
-    await updateDisplayOptions(options);
+// Averages the ambient occlusion over the 4x4 noise tile of SSAO_SHADER
+const SSAO_BLUR_SHADER = `
+  @group(0) @binding(0) var aoInput: texture_2d<f32>;
+  @vertex fn vertexMain(@builtin(vertex_index) i: u32) -> @builtin(position) vec4f {
+    let corner = vec2f(f32((i << 1u) & 2u), f32(i & 2u));
+    return vec4f(corner * 2.0 - 1.0, 0.0, 1.0);
+  }
+  @fragment fn fragmentMain(@builtin(position) pos: vec4f) -> @location(0) vec4f {
+    let size = vec2i(textureDimensions(aoInput));
+    var sum = 0.0;
+    for (var dy = -2; dy < 2; dy++) {
+      for (var dx = -2; dx < 2; dx++) {
+        sum += textureLoad(aoInput, clamp(vec2i(pos.xy) + vec2i(dx, dy), vec2i(0), size - 1), 0).r;
+      }
+    }
+    return vec4f(sum / 16.0);
+  }
+`;
 
-    // Set up resize observer
-    setupResizeObserver();
+// Weighted blended transparency: the weighted average color of the transparent surfaces over the
+// opaque scene, covering it by 1 - revealage (the product of their 1 - alpha)
+const TRANSPARENCY_COMPOSITE_SHADER = `
+  @group(0) @binding(0) var accumulation: texture_2d<f32>;
+  @group(0) @binding(1) var revealage: texture_2d<f32>;
+  @vertex fn vertexMain(@builtin(vertex_index) i: u32) -> @builtin(position) vec4f {
+    let corner = vec2f(f32((i << 1u) & 2u), f32(i & 2u));
+    return vec4f(corner * 2.0 - 1.0, 0.0, 1.0);
+  }
+  @fragment fn fragmentMain(@builtin(position) pos: vec4f) -> @location(0) vec4f {
+    let pixel = vec2i(pos.xy);
+    let reveal = textureLoad(revealage, pixel, 0).r;
+    if (reveal >= 1.0) { discard; } // no transparent surface here
+    let sum = textureLoad(accumulation, pixel, 0);
+    return vec4f(sum.rgb / clamp(sum.a, 1e-4, 5e4), 1.0 - reveal);
+  }
+`;
 
-    // Initialize WebGPU
-    try {
-        await initWebGPU();
+// Fills one mip level of an uploaded texture by filtering the level above it
+const MIPMAP_SHADER = `
+  @group(0) @binding(0) var mipSampler: sampler;
+  @group(0) @binding(1) var previousLevel: texture_2d<f32>;
+  struct VertexOut { @builtin(position) pos: vec4f, @location(0) uv: vec2f }
+  @vertex fn vertexMain(@builtin(vertex_index) i: u32) -> VertexOut {
+    let corner = vec2f(f32((i << 1u) & 2u), f32(i & 2u));
+    return VertexOut(vec4f(corner * 2.0 - 1.0, 0.0, 1.0), vec2f(corner.x, 1.0 - corner.y));
+  }
+  @fragment fn fragmentMain(in: VertexOut) -> @location(0) vec4f {
+    return textureSample(previousLevel, mipSampler, in.uv);
+  }
+`;
 
-        // Initialize render targets BEFORE starting render loop
-        if (canvas.width > 0 && canvas.height > 0) {
-            allocateRenderTargets(canvas.width, canvas.height);
+// Color targets of the accumulation pass: weighted color sums, and the product of (1 - alpha)
+const ACCUMULATION_TARGETS = [
+    {
+        format: 'rgba16float',
+        blend: {
+            color: { srcFactor: 'one', dstFactor: 'one', operation: 'add' },
+            alpha: { srcFactor: 'one', dstFactor: 'one', operation: 'add' }
+        }
+    },
+    {
+        format: 'r16float',
+        blend: {
+            color: { srcFactor: 'zero', dstFactor: 'one-minus-src', operation: 'add' },
+            alpha: { srcFactor: 'zero', dstFactor: 'one-minus-src', operation: 'add' }
         }
-
-        startRenderLoop();
-        startFrameTimer();
-        dotNetRef.invokeMethodAsync('OnWebGpuReady');
-    } catch (error) {
-        dotNetRef.invokeMethodAsync('OnWebGpuError', error.message);
-        throw error;
     }
-}
+];
+
+// Vertex buffers of the polyline geometry: position, color, thickness, uv, end position, fade,
+// and the previous point with the distance along the path, interleaved with the next point and vertex kind
+const LINE_VERTEX_BUFFERS = [
+    { arrayStride: 12, attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] },
+    { arrayStride: 16, attributes: [{ shaderLocation: 1, offset: 0, format: 'float32x4' }] },
+    { arrayStride: 4, attributes: [{ shaderLocation: 2, offset: 0, format: 'float32' }] },
+    { arrayStride: 8, attributes: [{ shaderLocation: 3, offset: 0, format: 'float32x2' }] },
+    { arrayStride: 12, attributes: [{ shaderLocation: 4, offset: 0, format: 'float32x3' }] },
+    { arrayStride: 4, attributes: [{ shaderLocation: 5, offset: 0, format: 'float32' }] },
+    {
+        arrayStride: 32,
+        attributes: [
+            { shaderLocation: 6, offset: 0, format: 'float32x4' },
+            { shaderLocation: 7, offset: 16, format: 'float32x4' }
+        ]
+    }
+];
+
+// Section caps (stencil technique), run once per clip plane after the opaque meshes:
+// 1. stencilVertex/stencilFragment: opaque meshes cut by this plane alone, no color. Front faces
+//    decrement and back faces increment, so the stencil is non-zero where the plane lies inside a solid.
+// 2. capVertex/capFragment: a quad on the plane, drawn where the stencil is non-zero and not cut by the other planes.
+// 3. clearVertex: a full-screen triangle that zeroes the stencil for the next plane.
+const SECTION_CAP_SHADER = CLIPPED_CAMERA_WGSL + `
+  struct CapUniforms { color: vec4f, plane: u32, extent: f32 }
+  @group(1) @binding(0) var<uniform> cap: CapUniforms;
+  struct ModelUniforms { model: mat4x4f, normalMatrix: mat4x4f, tint: vec4f, highlight: vec4f }
+  @group(2) @binding(0) var<uniform> modelUniforms: ModelUniforms;
+  struct VertexOut { @builtin(position) pos: vec4f, @location(0) worldPos: vec3f }
 
-async function initWebGPU() {
-    const adapter = await navigator.gpu.requestAdapter();
-    const requiredFeatures = [];
-    if (adapter.features.has('texture-compression-bc')) requiredFeatures.push('texture-compression-bc');
-    if (adapter.features.has('texture-compression-etc2')) requiredFeatures.push('texture-compression-etc2');
+  @vertex fn stencilVertex(@location(0) pos: vec3f) -> VertexOut {
+    var out: VertexOut;
+    let worldPos = modelUniforms.model * vec4f(pos, 1.0);
+    out.pos = camera.projection * camera.view * worldPos;
+    out.worldPos = worldPos.xyz;
+    return out;
+  }
+  @fragment fn stencilFragment(in: VertexOut) {
+    let plane = camera.clipPlanes[cap.plane];
+    if (dot(plane.xyz, in.worldPos) > plane.w) { discard; }
+  }
 
-    device = await adapter.requestDevice({ requiredFeatures });
-    context.configure({
-        device,
-        format: colorFormat,
-        alphaMode: 'opaque',
-        viewFormats: [`${colorFormat}-srgb`]
-    });
+  @vertex fn capVertex(@builtin(vertex_index) i: u32) -> VertexOut {
+    var out: VertexOut;
+    let plane = camera.clipPlanes[cap.plane];
+    let n = plane.xyz;
+    let u = normalize(cross(n, select(vec3f(1.0, 0.0, 0.0), vec3f(0.0, 1.0, 0.0), abs(n.x) > 0.9)));
+    let v = cross(n, u);
+    var corners = array<vec2f, 6>(vec2f(-1.0, -1.0), vec2f(1.0, -1.0), vec2f(1.0, 1.0),
+                                  vec2f(-1.0, -1.0), vec2f(1.0, 1.0), vec2f(-1.0, 1.0));
+    let corner = corners[i] * cap.extent;
+    // Centered on the point of the plane nearest the origin, where the scene (and grid) is
+    let worldPos = n * plane.w + u * corner.x + v * corner.y;
+    out.pos = camera.projection * camera.view * vec4f(worldPos, 1.0);
+    out.worldPos = worldPos;
+    return out;
+  }
+  @fragment fn capFragment(in: VertexOut) -> @location(0) vec4f {
+    for (var i = 0u; i < camera.clipPlaneCount; i++) {
+      let plane = camera.clipPlanes[i];
+      if (i != cap.plane && dot(plane.xyz, in.worldPos) > plane.w) { discard; }
+    }
+    return cap.color;
+  }
 
-    // Create frame uniform buffer
-    frameUniformBuffer = device.createBuffer({
-        size: FRAME_BUFFER_SIZE,
-        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
-    });
+  @vertex fn clearVertex(@builtin(vertex_index) i: u32) -> @builtin(position) vec4f {
+    let corner = vec2f(f32((i << 1u) & 2u), f32(i & 2u));
+    return vec4f(corner * 2.0 - 1.0, 0.0, 1.0);
+  }
+  @fragment fn clearFragment() { }
+`;
 
-    frameBindGroupLayout = device.createBindGroupLayout({
-        label: 'Frame BGL',
-        entries: [{
-            binding: 0,
-            visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
-            buffer: {}
-        }]
-    });
+const CAP_UNIFORM_STRIDE = 256; // one dynamic-offset slot per clip plane
+
+// Shadow map size and PCF radius (in texels) per shadow quality
+const SHADOW_QUALITY = {
+    low: { size: 1024, radius: 0 },
+    medium: { size: 2048, radius: 1 },
+    high: { size: 4096, radius: 2 }
+};
+
+// Hemisphere samples per pixel per ambient occlusion quality
+const AO_SAMPLES = { low: 8, medium: 16, high: 32 };
+
+// Widest outline in device pixels; the edge pass samples a (2w + 1)^2 neighbourhood
+const MAX_OUTLINE_WIDTH = 8;
+
+// Picking shaders write (object index + 1, triangle index) to an integer target and
+// (world position, depth) to a float target. Meshes and lines read their vertices from
+// storage buffers so the triangle index is known (vertex_index / 3 of a non-indexed draw).
+const PICK_COMMON_WGSL = CLIPPED_CAMERA_WGSL + `
+  struct PickUniforms { objectIndex: u32, index32: u32 }
+  @group(1) @binding(0) var<uniform> pick: PickUniforms;
+  struct PickOut { @location(0) id: vec4u, @location(1) position: vec4f }
+  fn pickOutput(triangle: u32, worldPos: vec3f, depth: f32) -> PickOut {
+    var out: PickOut;
+    out.id = vec4u(pick.objectIndex, triangle, 0u, 0u);
+    out.position = vec4f(worldPos, depth);
+    return out;
+  }
+`;
 
-    frameBindGroup = device.createBindGroup({
-        label: 'Frame BG',
-        layout: frameBindGroupLayout,
-        entries: [{ binding: 0, resource: { buffer: frameUniformBuffer } }]
-    });
+const PICK_GEOMETRY_WGSL = PICK_COMMON_WGSL + LINE_MODEL_WGSL + `
+  @group(2) @binding(0) var<uniform> modelUniforms: ModelUniforms;
+  @group(3) @binding(0) var<storage, read> indices: array<u32>;
+  @group(3) @binding(1) var<storage, read> positions: array<f32>;
+  fn vertexAt(i: u32) -> u32 {
+    if (pick.index32 != 0u) { return indices[i]; }
+    return (indices[i / 2u] >> (16u * (i % 2u))) & 0xFFFFu;
+  }
+  fn positionAt(v: u32) -> vec3f {
+    return vec3f(positions[3u * v], positions[3u * v + 1u], positions[3u * v + 2u]);
+  }
+`;
 
-    // Create lighting uniform buffer and bind group
-    lightUniformBuffer = device.createBuffer({
-        size: lightUniformArray.byteLength,
-        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-    });
+const MESH_PICK_SHADER = PICK_GEOMETRY_WGSL + `
+  struct VertexOut {
+    @builtin(position) pos: vec4f,
+    @location(0) worldPos: vec3f,
+    @location(1) @interpolate(flat) triangle: u32
+  }
+  @vertex fn vertexMain(@builtin(vertex_index) i: u32) -> VertexOut {
+    var out: VertexOut;
+    let worldPos = modelUniforms.model * vec4f(positionAt(vertexAt(i)), 1.0);
+    out.pos = camera.projection * camera.view * worldPos;
+    out.worldPos = worldPos.xyz;
+    out.triangle = i / 3u;
+    return out;
+  }
+  @fragment fn fragmentMain(in: VertexOut) -> PickOut {
+    if (isClipped(in.worldPos)) { discard; }
+    return pickOutput(in.triangle, in.worldPos, in.pos.z);
+  }
+`;
 
-    lightBindGroupLayout = device.createBindGroupLayout({
-        label: 'Light BGL',
-        entries: [{
-            binding: 0,
-            visibility: GPUShaderStage.FRAGMENT,
-            buffer: {}
+const LINE_PICK_SHADER = PICK_GEOMETRY_WGSL + POLYLINE_WGSL + `
+  @group(3) @binding(2) var<storage, read> endPositions: array<f32>;
+  @group(3) @binding(3) var<storage, read> thickness: array<f32>;
+  @group(3) @binding(4) var<storage, read> uvs: array<f32>;
+  @group(3) @binding(5) var<storage, read> neighbors: array<vec4f>;
+  struct VertexOut {
+    @builtin(position) pos: vec4f,
+    @location(0) worldPos: vec3f,
+    @location(1) @interpolate(flat) triangle: u32,
+    @location(2) local: vec3f,
+    @location(3) phase: f32
+  }
+  @vertex fn vertexMain(@builtin(vertex_index) i: u32) -> VertexOut {
+    var out: VertexOut;
+    let v = vertexAt(i);
+    let endPos = vec3f(endPositions[3u * v], endPositions[3u * v + 1u], endPositions[3u * v + 2u]);
+    let uv = vec2f(uvs[2u * v], uvs[2u * v + 1u]);
+    let point = expandPolyline(PolylineIn(positionAt(v), endPos, thickness[v], uv, neighbors[2u * v], neighbors[2u * v + 1u]));
+    out.pos = camera.projection * point.viewPos;
+    // The hit is reported on the centerline rather than on the camera-facing ribbon
+    out.worldPos = point.worldPos;
+    out.triangle = i / 3u;
+    out.local = point.local;
+    out.phase = point.phase;
+    return out;
+  }
+  @fragment fn fragmentMain(in: VertexOut) -> PickOut {
+    if (isClipped(in.worldPos) || !inDash(in.local, in.phase)) { discard; }
+    return pickOutput(in.triangle, in.worldPos, in.pos.z);
+  }
+`;
+
+const BILLBOARD_PICK_SHADER = PICK_COMMON_WGSL + BILLBOARD_VERTEX_WGSL + `
+  @group(2) @binding(0) var sampler0: sampler;
+  @group(2) @binding(1) var texture0: texture_2d<f32>;
+  @group(2) @binding(2) var<uniform> placement: BillboardPlacement;
+  struct VertexOut { @builtin(position) pos: vec4f, @location(0) uv: vec2f, @location(1) color: vec4f, @location(2) worldPos: vec3f }
+  @vertex fn vertexMain(in: BillboardIn) -> VertexOut {
+    var out: VertexOut;
+    // Billboards hidden by de-cluttering can't be picked
+    if (placement.visible == 0.0) {
+      out.pos = vec4f(2.0, 2.0, 2.0, 1.0);
+      return out;
+    }
+    // The reported position ignores pixel offsets, which have no world size
+    out.worldPos = billboardWorldPos(in);
+    out.pos = billboardClipPos(out.worldPos, billboardPixelOffset(in, placement.shift));
+    out.uv = in.uv;
+    out.color = in.color;
+    return out;
+  }
+  @fragment fn fragmentMain(in: VertexOut) -> PickOut {
+    // Same cutout as the visible billboard, so clicks on transparent texels fall through
+    let color = select(textureSample(texture0, sampler0, in.uv), in.color, in.uv.x < 0.0);
+    if (color.a < 0.1) { discard; }
+    return pickOutput(0xFFFFFFFFu, in.worldPos, in.pos.z);
+  }
+`;
+
+// ============================================================================
+// Shared GPU State (one device for every viewer on the page)
+// ============================================================================
+
+let sharedGpuPromise = null;
+
+// Returns the GPU device and device-level objects shared by all viewers.
+// The adapter/device is requested once; later viewers reuse it.
+function getSharedGpu() {
+    if (!sharedGpuPromise) {
+        sharedGpuPromise = createSharedGpu().catch(error => {
+            sharedGpuPromise = null; // allow a retry on the next viewer
+            throw error;
+        });
+    }
+    return sharedGpuPromise;
+}
+
+async function createSharedGpu() {
+    const adapter = await navigator.gpu.requestAdapter();
+    const requiredFeatures = [];
+    if (adapter.features.has('texture-compression-bc')) requiredFeatures.push('texture-compression-bc');
+    if (adapter.features.has('texture-compression-etc2')) requiredFeatures.push('texture-compression-etc2');
+
+    const device = await adapter.requestDevice({ requiredFeatures });
+    // Registered before any viewer's handler, so viewers rebuilding after a loss get a new device
+    device.lost.then(() => { sharedGpuPromise = null; });
+
+    const frameBindGroupLayout = device.createBindGroupLayout({
+        label: 'Frame BGL',
+        entries: [{
+            binding: 0,
+            visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
+            buffer: {}
         }]
     });
 
-    lightBindGroup = device.createBindGroup({
-        label: 'Light BG',
-        layout: lightBindGroupLayout,
-        entries: [{ binding: 0, resource: { buffer: lightUniformBuffer } }]
+    const lightBindGroupLayout = device.createBindGroupLayout({
+        label: 'Light BGL',
+        entries: [{
+            binding: 0,
+            visibility: GPUShaderStage.FRAGMENT,
+            buffer: {}
+        }]
     });
 
+    const modelBindGroupLayout = device.createBindGroupLayout({
+        label: 'Model BGL',
+        entries: [{
+            binding: 0,
+            visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT, // fragment reads tint and highlight
+            buffer: {}
+        }]
+    });
 
-    await initGrid();
-    await initCoordinateAxes();
-}
+    // Single-color meshes: light uniforms plus the mesh color
+    const meshColorBindGroupLayout = device.createBindGroupLayout({
+        label: 'Mesh Color BGL',
+        entries: [
+            { binding: 0, visibility: GPUShaderStage.FRAGMENT, buffer: {} },
+            { binding: 1, visibility: GPUShaderStage.FRAGMENT, buffer: {} }
+        ]
+    });
 
-async function initGrid() {
-    // Create grid pipeline
-    const bindGroupLayout = device.createBindGroupLayout({
-        label: 'Grid BGL',
-        entries: [{ binding: 0, visibility: GPUShaderStage.FRAGMENT, buffer: {} }]
+    // Mesh edges: edge color and width
+    const edgeBindGroupLayout = device.createBindGroupLayout({
+        label: 'Edge BGL',
+        entries: [{ binding: 0, visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT, buffer: {} }]
     });
 
-    const module = device.createShaderModule({ label: 'Grid Shader', code: GRID_SHADER });
-
-    gridPipeline = await device.createRenderPipelineAsync({
-        label: 'Grid Pipeline',
-        layout: device.createPipelineLayout({ bindGroupLayouts: [frameBindGroupLayout, bindGroupLayout] }),
-        vertex: {
-            module,
-            entryPoint: 'vertexMain',
-            buffers: [{
-                arrayStride: 20,
-                attributes: [
-                    { shaderLocation: 0, offset: 0, format: 'float32x3' },
-                    { shaderLocation: 1, offset: 12, format: 'float32x2' }
-                ]
-            }]
-        },
-        fragment: {
-            module,
-            entryPoint: 'fragmentMain',
-            targets: [{
-                format: `${colorFormat}-srgb`,
-                blend: {
-                    color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' },
-                    alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
-                }
-            }]
-        },
-        depthStencil: {
-            format: depthFormat,
-            depthWriteEnabled: !gridIsTransparent,
-            depthCompare: 'less-equal'
-        },
-        multisample: { count: sampleCount }
+    // Shadows and ambient occlusion (SHADOW_AO_WGSL)
+    const shadingBindGroupLayout = device.createBindGroupLayout({
+        label: 'Shading BGL',
+        entries: [
+            { binding: 0, visibility: GPUShaderStage.FRAGMENT, buffer: {} },
+            { binding: 1, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'depth' } },
+            { binding: 2, visibility: GPUShaderStage.FRAGMENT, sampler: { type: 'comparison' } },
+            { binding: 3, visibility: GPUShaderStage.FRAGMENT, texture: {} }
+        ]
+    });
+
+    // Textured and PBR meshes: light uniforms, the mesh color or material, and the sampler and texture
+    const meshTextureBindGroupLayout = device.createBindGroupLayout({
+        label: 'Mesh Texture BGL',
+        entries: [
+            { binding: 0, visibility: GPUShaderStage.FRAGMENT, buffer: {} },
+            { binding: 1, visibility: GPUShaderStage.FRAGMENT, buffer: {} },
+            { binding: 2, visibility: GPUShaderStage.FRAGMENT, sampler: {} },
+            { binding: 3, visibility: GPUShaderStage.FRAGMENT, texture: {} }
+        ]
+    });
+
+    // Batched labels: style, atlas sampler, glyph atlas and the placement of each label
+    const labelBindGroupLayout = device.createBindGroupLayout({
+        label: 'Label BGL',
+        entries: [
+            { binding: 0, visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT, buffer: {} },
+            { binding: 1, visibility: GPUShaderStage.FRAGMENT, sampler: {} },
+            { binding: 2, visibility: GPUShaderStage.FRAGMENT, texture: {} },
+            { binding: 3, visibility: GPUShaderStage.VERTEX, buffer: { type: 'read-only-storage' } }
+        ]
+    });
+
+    // Text billboards: sampler, texture and placement
+    const billboardBindGroupLayout = device.createBindGroupLayout({
+        label: 'Billboard BGL',
+        entries: [
+            { binding: 0, visibility: GPUShaderStage.FRAGMENT, sampler: {} },
+            { binding: 1, visibility: GPUShaderStage.FRAGMENT, texture: {} },
+            { binding: 2, visibility: GPUShaderStage.VERTEX, buffer: {} }
+        ]
     });
 
-    // Create grid uniform buffer
-    if (!gridUniformBuffer) {
-        gridUniformBuffer = device.createBuffer({
-            size: gridUniformArray.byteLength,
+    // Depth of the scene under the billboards and labels (sceneDepthWgsl), with and without MSAA
+    const sceneDepthBindGroupLayout = multisampled => device.createBindGroupLayout({
+        label: `Scene Depth BGL${multisampled ? ' (MSAA)' : ''}`,
+        entries: [{ binding: 0, visibility: GPUShaderStage.VERTEX, texture: { sampleType: 'depth', multisampled } }]
+    });
+
+    return {
+        device,
+        frameBindGroupLayout,
+        lightBindGroupLayout,
+        modelBindGroupLayout,
+        meshColorBindGroupLayout,
+        edgeBindGroupLayout,
+        shadingBindGroupLayout,
+        meshTextureBindGroupLayout,
+        labelBindGroupLayout,
+        billboardBindGroupLayout,
+        sceneDepthBindGroupLayouts: [sceneDepthBindGroupLayout(false), sceneDepthBindGroupLayout(true)],
+        shaderModules: new Map(), // WGSL source -> GPUShaderModule
+        pipelines: new Map() // pipeline key -> Promise<GPURenderPipeline>
+    };
+}
+
+function getShaderModule(gpu, label, code) {
+    let module = gpu.shaderModules.get(code);
+    if (!module) {
+        module = gpu.device.createShaderModule({ label, code });
+        gpu.shaderModules.set(code, module);
+    }
+    return module;
+}
+
+// Returns the pipeline for key, creating it from createDescriptor() the first time. The promise is
+// cached so objects added while it compiles share it. Keys must name everything the descriptor
+// depends on, including sample count and color format.
+function getRenderPipeline(gpu, key, createDescriptor) {
+    let pipeline = gpu.pipelines.get(key);
+    if (!pipeline) {
+        pipeline = gpu.device.createRenderPipelineAsync(createDescriptor());
+        gpu.pipelines.set(key, pipeline);
+        pipeline.catch(() => gpu.pipelines.delete(key)); // let the next object retry
+    }
+    return pipeline;
+}
+
+// ============================================================================
+// Initialization
+// ============================================================================
+
+// Creates a viewer bound to the given canvas and returns it as a handle.
+// All other calls from C# (addMesh, writeViewMatrix, ...) are made on this handle.
+export async function initGPU_Canvas(dotnet, canvasEl, options, initialViewMatrix) {
+    const viewer = new WebGpuCanvas(dotnet, canvasEl);
+    await viewer.init(options, initialViewMatrix);
+    return viewer;
+}
+
+export function getBoundingClientRect(element) {
+    const rect = element.getBoundingClientRect();
+    return {
+        left: rect.left,
+        top: rect.top,
+        width: rect.width,
+        height: rect.height
+    };
+}
+
+// ============================================================================
+// Viewer (WebGPU resources for one canvas that can't be in C#)
+// ============================================================================
+
+class WebGpuCanvas {
+    constructor(dotnet, canvasEl) {
+        this.canvas = canvasEl;
+        this.context = null;
+        this.gpu = null;
+        this.device = null;
+        this.deviceReady = null; // settles when the device and scene are usable again after init or a device loss
+        this.dotNetRef = dotnet;
+
+        // Frame timing
+        this.frameMs = new Array(20);
+        this.frameMsIndex = 0;
+        this.frameIntervalId = 0;
+        this.animationFrameId = 0; // non-zero while a frame is scheduled
+        this.frameCallback = null;
+        this.renderMode = 'continuous'; // or 'onDemand': draw only after requestRedraw()
+        this.resizeObserver = null;
+
+        // Matrices
+        this.frameArrayBuffer = new ArrayBuffer(FRAME_BUFFER_SIZE);
+        this.projectionMatrix = new Float32Array(this.frameArrayBuffer, 0, 16);
+        this.viewMatrix = new Float32Array(this.frameArrayBuffer, 16 * Float32Array.BYTES_PER_ELEMENT, 16);
+        this.clipPlanes = new Float32Array(this.frameArrayBuffer, 32 * Float32Array.BYTES_PER_ELEMENT, 4 * MAX_CLIP_PLANES);
+        this.clipPlaneCount = new Uint32Array(this.frameArrayBuffer, (32 + 4 * MAX_CLIP_PLANES) * Float32Array.BYTES_PER_ELEMENT, 1);
+        this.frameViewport = new Float32Array(this.frameArrayBuffer, (34 + 4 * MAX_CLIP_PLANES) * Float32Array.BYTES_PER_ELEMENT, 2); // see writeFrameUniforms
+
+        // GPU resources
+        this.frameUniformBuffer = null;
+        this.frameBindGroup = null;
+        this.identityModel = null; // model binding for objects that never move (coordinate axes)
+        this.zeroNormalBuffer = null; // bound with stride 0 for flat-shaded meshes
+        this.whiteColorBuffer = null; // bound with stride 0 as the vertex color of single-color PBR and textured meshes
+        this.whiteTexture = null; // sampled by meshes without a texture, or whose texture is not uploaded (yet)
+        this.textureSamplers = new Map(); // sampler settings key -> GPUSampler
+
+        // Render targets for the canvas (see createRenderTargets)
+        this.renderTargets = null;
+
+        // Lighting resources
+        this.lights = []; // { vector, isPoint, color, intensity, range, followsCamera } from C#
+        this.lightUniformArray = new ArrayBuffer(LIGHT_BUFFER_SIZE);
+        this.lightData = new Float32Array(this.lightUniformArray, 0, 8 * MAX_LIGHTS);
+        const lightCountOffset = this.lightData.byteLength;
+        this.lightCount = new Uint32Array(this.lightUniformArray, lightCountOffset, 1);
+        this.lightAmbient = new Float32Array(this.lightUniformArray, lightCountOffset + 4, 1);
+        this.lightSpecularPower = new Float32Array(this.lightUniformArray, lightCountOffset + 8, 1);
+        this.lightBackFaceColor = new Float32Array(this.lightUniformArray, lightCountOffset + 16, 4); // alpha 0 keeps the mesh color
+        this.lightUp = new Float32Array(this.lightUniformArray, lightCountOffset + 32, 3);
+        this.lightUniformBuffer = null;
+        this.lightBindGroup = null;
+
+        // Grid resources
+        this.gridPipeline = null;
+        this.gridVertexBuffer = null;
+        this.gridIndexBuffer = null;
+        this.gridUniformBuffer = null;
+        this.gridBindGroup = null;
+        this.gridUniformArray = new ArrayBuffer(16 * Float32Array.BYTES_PER_ELEMENT);
+        this.gridLineColor = new Float32Array(this.gridUniformArray, 0, 4);
+        this.gridBaseColor = new Float32Array(this.gridUniformArray, 16, 4);
+        this.gridLineWidth = new Float32Array(this.gridUniformArray, 32, 2);
+        this.gridSpacingUniform = new Float32Array(this.gridUniformArray, 40, 1);
+
+        // Grid configuration (updated from C#)
+        this.gridSize = 20.0;
+        this.gridSpacing = 1.0;
+        this.zIsUp = false;
+        this.gridIsTransparent = false;
+
+        // Section caps (updated from C#)
+        this.showCaps = true;
+        this.capColor = [0.8, 0.25, 0.25, 1];
+        this.capUniformArray = new ArrayBuffer(CAP_UNIFORM_STRIDE * MAX_CLIP_PLANES);
+        this.capUniformBuffer = null;
+        this.capBindGroup = null;
+        this.capPipelines = null;
+
+        // Face culling (updated from C#; meshes can override it): 'back', 'front' or 'none'
+        this.cullMode = 'back';
+
+        // Mesh display mode and edges (updated from C#; meshes can override the mode)
+        this.meshDisplayMode = 'shaded'; // 'wireframe', 'shadedWithEdges' or 'featureEdges'
+        this.featureEdgeAngle = 30; // degrees between face normals
+        this.edgeColor = [0.1, 0.1, 0.1, 1];
+        this.edgeWidth = 1; // CSS pixels
+        this.edgeUniformArray = new Float32Array(8); // color, width, viewport height + padding
+        this.edgeUniformBuffer = null;
+        this.edgeBindGroup = null;
+        this.edgePipeline = null;
+
+        // Shadows and ambient occlusion (updated from C#): 'off', 'low', 'medium' or 'high'
+        this.shadowQuality = 'off';
+        this.ambientOcclusionQuality = 'off'; // the render targets hold its textures while it is on
+        this.shadowMap = null; // { texture, view, size, radius } while shadows are on
+        this.shadingUniformArray = new ArrayBuffer(SHADING_BUFFER_SIZE);
+        this.shadowMatrix = new Float32Array(this.shadingUniformArray, 0, 16);
+        this.shadowLight = new Int32Array(this.shadingUniformArray, 64, 1); // -1 while no shadows are drawn
+        this.shadowSettings = new Float32Array(this.shadingUniformArray, 68, 3); // normal offset, texel size, PCF radius
+        this.aoStrength = new Float32Array(this.shadingUniformArray, 80, 1); // 0 while no ambient occlusion is drawn
+        this.shadingUniformBuffer = null;
+        this.shadowFrameArrayBuffer = new ArrayBuffer(FRAME_BUFFER_SIZE); // frame uniforms as seen from the light
+        this.shadowFrameBuffer = null;
+        this.shadowFrameBindGroup = null;
+        this.aoUniformArray = new ArrayBuffer(AO_BUFFER_SIZE);
+        this.aoProjection = new Float32Array(this.aoUniformArray, 0, 16);
+        this.aoRadius = new Float32Array(this.aoUniformArray, 64, 1);
+        this.aoSampleCount = new Uint32Array(this.aoUniformArray, 68, 1);
+        this.aoUniformBuffer = null;
+        this.shadingResources = null; // pipelines, layouts, sampler and placeholder textures (see initShading)
+
+        // How transparent meshes are blended (updated from C#): 'sorted' back to front by their
+        // centers, or 'weightedBlended' (order-independent; the render targets hold its textures)
+        this.transparencyMode = 'sorted';
+        this.transparencyPipelines = null;
+
+        // Coordinate axes
+        this.coordinateThickness = 1.0;
+        this.coordinateAxes = null;
+        this.axisExtent = this.gridSize;
+
+        // Render settings (updated from C#)
+        this.colorFormat = 'bgra8unorm';
+        this.depthFormat = 'depth24plus-stencil8'; // stencil is used for section caps
+        this.sampleCount = 4;
+        this.clearColor = { r: 0, g: 0, b: 0, a: 1.0 };
+
+        // Scene objects (maintained in sync with C#)
+        this.meshes = [];
+        this.lines = [];
+        this.textBillboards = [];
+        this.labels = []; // batches of labels sharing a style (addLabels)
+        this.glyphAtlases = new Map(); // font -> glyph atlas (see getGlyphAtlas)
+        this.groups = new Map(); // group id -> { parentId, visible }
+        this.textures = new Map(); // texture id -> { source: { bytes, mimeType }, texture, view }
+
+        // Chunked binary uploads in progress: upload id -> bytes received so far
+        this.uploads = new Map();
+        this.nextUploadId = 1;
+
+        // Picking resources, created by the first pick()
+        this.pickingPromise = null;
+
+        // Highlighting: each channel has its own ids and style (colors are RGBA 0-1, width in CSS pixels)
+        this.highlights = {
+            selected: { ids: new Set(), style: { outlineColor: [1, 0.65, 0, 1], outlineWidth: 2, tintColor: [0, 0, 0, 0] } },
+            hover: { ids: new Set(), style: { outlineColor: [0.47, 0.78, 1, 1], outlineWidth: 1, tintColor: [0, 0, 0, 0] } }
+        };
+        this.highlightUniformArray = new Float32Array(12); // selected color, hover color, widths + padding
+        this.highlightUniformBuffer = null;
+        this.highlightPipelines = null;
+    }
+
+    async init(options, initialViewMatrix) {
+        this.context = this.canvas.getContext('webgpu');
+        this.colorFormat = navigator.gpu?.getPreferredCanvasFormat?.() || 'bgra8unorm';
+
+        // Set initial view matrix from parameter
+        this.viewMatrix.set(initialViewMatrix);
+
+        // Apply options
+        await this.updateDisplayOptions(options);
+
+        // Set up resize observer
+        this.setupResizeObserver();
+
+        // Initialize WebGPU
+        try {
+            this.deviceReady = this.initWebGPU();
+            await this.deviceReady;
+
+            // Initialize render targets BEFORE starting render loop
+            if (this.canvas.width > 0 && this.canvas.height > 0) {
+                this.allocateRenderTargets(this.canvas.width, this.canvas.height);
+            }
+
+            this.startRenderLoop();
+            this.startFrameTimer();
+            this.dotNetRef.invokeMethodAsync('OnWebGpuReady');
+        } catch (error) {
+            this.dotNetRef.invokeMethodAsync('OnWebGpuError', error.message);
+            throw error;
+        }
+    }
+
+    async initWebGPU() {
+        this.gpu = await getSharedGpu();
+        this.device = this.gpu.device;
+        const device = this.device;
+        device.lost.then(info => this.onDeviceLost(device, info));
+
+        this.context.configure({
+            device,
+            format: this.colorFormat,
+            alphaMode: 'opaque',
+            viewFormats: [`${this.colorFormat}-srgb`]
+        });
+
+        // Create frame uniform buffer
+        this.frameUniformBuffer = device.createBuffer({
+            size: FRAME_BUFFER_SIZE,
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
         });
+
+        this.frameBindGroup = device.createBindGroup({
+            label: 'Frame BG',
+            layout: this.gpu.frameBindGroupLayout,
+            entries: [{ binding: 0, resource: { buffer: this.frameUniformBuffer } }]
+        });
+
+        // Create lighting uniform buffer and bind group
+        this.lightUniformBuffer = device.createBuffer({
+            size: this.lightUniformArray.byteLength,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+        this.writeLightUniforms();
+
+        this.lightBindGroup = device.createBindGroup({
+            label: 'Light BG',
+            layout: this.gpu.lightBindGroupLayout,
+            entries: [{ binding: 0, resource: { buffer: this.lightUniformBuffer } }]
+        });
+
+        this.identityModel = this.createModelBinding('Identity');
+        this.zeroNormalBuffer = createBuffer(device, new Float32Array(3), GPUBufferUsage.VERTEX);
+        this.whiteColorBuffer = createBuffer(device, new Float32Array([1, 1, 1, 1]), GPUBufferUsage.VERTEX);
+        this.whiteTexture = device.createTexture({
+            label: 'White Texture',
+            size: [1, 1],
+            format: 'rgba8unorm',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+        });
+        device.queue.writeTexture({ texture: this.whiteTexture }, new Uint8Array([255, 255, 255, 255]), {}, [1, 1]);
+        this.textureSamplers.clear(); // samplers of a lost device
+        this.glyphAtlases.clear(); // rebuilt as the restored labels need their glyphs
+
+        await this.initHighlight();
+        await this.initSectionCaps();
+        await this.initEdges();
+        await this.initShading();
+        await this.initTransparency();
+        await this.initGrid();
+        if (this.coordinateThickness > 0.0) {
+            await this.initCoordinateAxes();
+        }
     }
 
+    async initGrid() {
+        const device = this.device;
+        // Create grid pipeline
+        const bindGroupLayout = device.createBindGroupLayout({
+            label: 'Grid BGL',
+            entries: [{ binding: 0, visibility: GPUShaderStage.FRAGMENT, buffer: {} }]
+        });
+
+        const module = getShaderModule(this.gpu, 'Grid Shader', GRID_SHADER);
+
+        this.gridPipeline = await device.createRenderPipelineAsync({
+            label: 'Grid Pipeline',
+            // The model bind group is unused; it keeps the shading at the index SHADOW_AO_WGSL expects
+            layout: device.createPipelineLayout({
+                bindGroupLayouts: [this.gpu.frameBindGroupLayout, bindGroupLayout, this.gpu.modelBindGroupLayout, this.gpu.shadingBindGroupLayout]
+            }),
+            vertex: {
+                module,
+                entryPoint: 'vertexMain',
+                buffers: [{
+                    arrayStride: 20,
+                    attributes: [
+                        { shaderLocation: 0, offset: 0, format: 'float32x3' },
+                        { shaderLocation: 1, offset: 12, format: 'float32x2' }
+                    ]
+                }]
+            },
+            fragment: {
+                module,
+                entryPoint: 'fragmentMain',
+                targets: [{
+                    format: `${this.colorFormat}-srgb`,
+                    blend: {
+                        color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' },
+                        alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
+                    }
+                }]
+            },
+            depthStencil: {
+                format: this.depthFormat,
+                depthWriteEnabled: !this.gridIsTransparent,
+                depthCompare: 'less-equal'
+            },
+            multisample: { count: this.sampleCount }
+        });
+
+        // Create grid uniform buffer
+        if (!this.gridUniformBuffer) {
+            this.gridUniformBuffer = device.createBuffer({
+                size: this.gridUniformArray.byteLength,
+                usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+            });
+        }
 
-    if (!gridBindGroup) {
-        gridBindGroup = device.createBindGroup({
+        // The bind group must match the layout of the pipeline it is used with
+        this.gridBindGroup = device.createBindGroup({
             label: 'Grid BG',
             layout: bindGroupLayout,
-            entries: [{ binding: 0, resource: { buffer: gridUniformBuffer } }]
+            entries: [{ binding: 0, resource: { buffer: this.gridUniformBuffer } }]
         });
+
+        this.createGridGeometry();
+        this.updateGridUniforms();
     }
 
+    async initCoordinateAxes() {
+        const device = this.device;
+        const axisData = this.createAxisGeometry();
+        const posBuffer = createBuffer(device, axisData.vertices, GPUBufferUsage.VERTEX);
+        const colorBuffer = createBuffer(device, axisData.colors, GPUBufferUsage.VERTEX);
+        const thicknessBuffer = createBuffer(device, axisData.thickness, GPUBufferUsage.VERTEX);
+        const uvBuffer = createBuffer(device, axisData.uvs, GPUBufferUsage.VERTEX);
+        const endPosBuffer = createBuffer(device, axisData.endPositions, GPUBufferUsage.VERTEX);
+        const fadeBuffer = createBuffer(device, axisData.fades, GPUBufferUsage.VERTEX);
+        const neighborBuffer = createBuffer(device, axisData.neighbors, GPUBufferUsage.VERTEX);
+        const { indexBuffer, indexFormat } = createIndexBuffer(device, axisData.indices);
+
+        const pipeline = await this.getLinePipeline(); // axes are drawn like any other lines
+
+        this.coordinateAxes = {
+            posBuffer,
+            colorBuffer,
+            thicknessBuffer,
+            uvBuffer,
+            endPosBuffer,
+            fadeBuffer,
+            neighborBuffer,
+            indexBuffer,
+            indexCount: axisData.indices.length,
+            indexFormat,
+            pipeline
+        };
+    }
 
-    createGridGeometry();
-    updateGridUniforms();
-}
+    async initHighlight() {
+        const device = this.device;
+        this.highlightUniformBuffer = device.createBuffer({
+            size: this.highlightUniformArray.byteLength,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        this.writeHighlightUniforms();
 
-async function initCoordinateAxes() {
-
-    const axisData = createAxisGeometry();
-    const posBuffer = createBuffer(axisData.vertices, GPUBufferUsage.VERTEX);
-    const colorBuffer = createBuffer(axisData.colors, GPUBufferUsage.VERTEX);
-    const thicknessBuffer = createBuffer(axisData.thickness, GPUBufferUsage.VERTEX);
-    const uvBuffer = createBuffer(axisData.uvs, GPUBufferUsage.VERTEX);
-    const endPosBuffer = createBuffer(axisData.endPositions, GPUBufferUsage.VERTEX);
-    const fadeBuffer = createBuffer(axisData.fades, GPUBufferUsage.VERTEX);
-    const indexBuffer = createBuffer(axisData.indices, GPUBufferUsage.INDEX, Uint16Array);
-
-    const shaderModule = device.createShaderModule({ label: 'Coordinate Axes Shader', code: BILLBOARD_LINE_SHADER });
-
-    const vertexBufferLayout = [
-        { arrayStride: 12, attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] },
-        { arrayStride: 16, attributes: [{ shaderLocation: 1, offset: 0, format: 'float32x4' }] },
-        { arrayStride: 4, attributes: [{ shaderLocation: 2, offset: 0, format: 'float32' }] },
-        { arrayStride: 8, attributes: [{ shaderLocation: 3, offset: 0, format: 'float32x2' }] },
-        { arrayStride: 12, attributes: [{ shaderLocation: 4, offset: 0, format: 'float32x3' }] },
-        { arrayStride: 4, attributes: [{ shaderLocation: 5, offset: 0, format: 'float32' }] }
-    ];
+        const outlineBindGroupLayout = device.createBindGroupLayout({
+            label: 'Highlight Outline BGL',
+            entries: [
+                { binding: 0, visibility: GPUShaderStage.FRAGMENT, texture: {} },
+                { binding: 1, visibility: GPUShaderStage.FRAGMENT, buffer: {} }
+            ]
+        });
 
-    const pipeline = await device.createRenderPipelineAsync({
-        label: 'Coordinate Axes Pipeline',
-        layout: device.createPipelineLayout({ bindGroupLayouts: [frameBindGroupLayout] }),
-        vertex: { module: shaderModule, entryPoint: 'vertexMain', buffers: vertexBufferLayout },
-        fragment: {
-            module: shaderModule,
+        const maskModule = getShaderModule(this.gpu, 'Highlight Mask Shader', HIGHLIGHT_MASK_SHADER);
+        const maskLayout = device.createPipelineLayout({ bindGroupLayouts: [this.gpu.frameBindGroupLayout, this.gpu.modelBindGroupLayout] });
+        const maskFragment = {
+            module: maskModule,
             entryPoint: 'fragmentMain',
             targets: [{
-                format: `${colorFormat}-srgb`,
+                format: 'rg8unorm',
+                // Overlapping objects keep both flags
                 blend: {
-                    color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' },
-                    alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
+                    color: { srcFactor: 'one', dstFactor: 'one', operation: 'max' },
+                    alpha: { srcFactor: 'one', dstFactor: 'one', operation: 'max' }
                 }
             }]
-        },
-        depthStencil: {
-            format: depthFormat,
-            depthWriteEnabled: false, // Axes are transparent and should not write to depth
-            depthCompare: 'less-equal'
-        },
-        multisample: { count: sampleCount },
-        primitive: { topology: 'triangle-list', cullMode: 'none' }
-    });
+        };
+        const outlineModule = getShaderModule(this.gpu, 'Highlight Outline Shader', HIGHLIGHT_OUTLINE_SHADER);
+
+        const [mesh, line, outline] = await Promise.all([
+            device.createRenderPipelineAsync({
+                label: 'Highlight Mask Mesh Pipeline',
+                layout: maskLayout,
+                vertex: {
+                    module: maskModule,
+                    entryPoint: 'meshVertex',
+                    buffers: [{ arrayStride: 12, attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] }]
+                },
+                fragment: maskFragment,
+                // Both sides, so the silhouette is complete whatever faces the mesh culls
+                primitive: { topology: 'triangle-list', cullMode: 'none' }
+            }),
+            device.createRenderPipelineAsync({
+                label: 'Highlight Mask Line Pipeline',
+                layout: maskLayout,
+                vertex: { module: maskModule, entryPoint: 'lineVertex', buffers: LINE_VERTEX_BUFFERS },
+                fragment: maskFragment,
+                primitive: { topology: 'triangle-list', cullMode: 'none' }
+            }),
+            device.createRenderPipelineAsync({
+                label: 'Highlight Outline Pipeline',
+                layout: device.createPipelineLayout({ bindGroupLayouts: [outlineBindGroupLayout] }),
+                vertex: { module: outlineModule, entryPoint: 'vertexMain' },
+                fragment: {
+                    module: outlineModule,
+                    entryPoint: 'fragmentMain',
+                    targets: [{
+                        format: `${this.colorFormat}-srgb`,
+                        blend: {
+                            color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' },
+                            alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
+                        }
+                    }]
+                },
+                // Drawn over the opaque objects regardless of depth
+                depthStencil: {
+                    format: this.depthFormat,
+                    depthWriteEnabled: false,
+                    depthCompare: 'always'
+                },
+                multisample: { count: this.sampleCount }
+            })
+        ]);
+        this.highlightPipelines = { mesh, line, outline, outlineBindGroupLayout };
+    }
 
-    coordinateAxes = {
-        posBuffer,
-        colorBuffer,
-        thicknessBuffer,
-        uvBuffer,
-        endPosBuffer,
-        fadeBuffer,
-        indexBuffer,
-        indexCount: axisData.indices.length,
-        pipeline
-    };
-}
+    async initSectionCaps() {
+        const device = this.device;
+        this.capUniformBuffer = device.createBuffer({
+            size: this.capUniformArray.byteLength,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        this.writeCapUniforms();
 
-function createAxisGeometry() {
-    const vertices = [];
-    const colors = [];
-    const thickness = [];
-    const uvs = [];
-    const endPositions = [];
-    const fades = [];
-    const indices = [];
-
-    const lineThickness = coordinateThickness;
-    const axes = [
-        { start: [0, 0, 0], end: [axisExtent, 0, 0], color: [1, 0, 0, 1], fade: 0 },
-        { start: [0, 0, 0], end: [-axisExtent, 0, 0], color: [0.5, 0, 0, 1], fade: 1 },
-        { start: [0, 0, 0], end: [0, axisExtent, 0], color: [0, 1, 0, 1], fade: 0 },
-        { start: [0, 0, 0], end: [0, -axisExtent, 0], color: [0, 0.5, 0, 1], fade: 1 },
-        { start: [0, 0, 0], end: [0, 0, axisExtent], color: [0, 0, 1, 1], fade: 0 },
-        { start: [0, 0, 0], end: [0, 0, -axisExtent], color: [0, 0, 0.5, 1], fade: 1 }
-    ];
+        const capBindGroupLayout = device.createBindGroupLayout({
+            label: 'Section Cap BGL',
+            entries: [{ binding: 0, visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT, buffer: { hasDynamicOffset: true } }]
+        });
+        this.capBindGroup = device.createBindGroup({
+            label: 'Section Cap BG',
+            layout: capBindGroupLayout,
+            entries: [{ binding: 0, resource: { buffer: this.capUniformBuffer, size: 32 } }]
+        });
 
-    let vertexOffset = 0;
-    for (const axis of axes) {
-        for (let i = 0; i < 4; i++) {
-            vertices.push(...axis.start);
-            colors.push(...axis.color);
-            thickness.push(lineThickness);
-            endPositions.push(...axis.end);
-            fades.push(axis.fade);
-        }
-        uvs.push(0, -0.5, 1, -0.5, 0, 0.5, 1, 0.5);
-        indices.push(
-            vertexOffset + 0, vertexOffset + 1, vertexOffset + 2,
-            vertexOffset + 1, vertexOffset + 3, vertexOffset + 2
-        );
-        vertexOffset += 4;
+        const module = getShaderModule(this.gpu, 'Section Cap Shader', SECTION_CAP_SHADER);
+        const capLayout = device.createPipelineLayout({ bindGroupLayouts: [this.gpu.frameBindGroupLayout, capBindGroupLayout] });
+        const noColor = [{ format: `${this.colorFormat}-srgb`, writeMask: 0 }];
+        const multisample = { count: this.sampleCount };
+
+        const [stencil, cap, clear] = await Promise.all([
+            device.createRenderPipelineAsync({
+                label: 'Section Cap Stencil Pipeline',
+                layout: device.createPipelineLayout({ bindGroupLayouts: [this.gpu.frameBindGroupLayout, capBindGroupLayout, this.gpu.modelBindGroupLayout] }),
+                vertex: {
+                    module,
+                    entryPoint: 'stencilVertex',
+                    buffers: [{ arrayStride: 12, attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] }]
+                },
+                fragment: { module, entryPoint: 'stencilFragment', targets: noColor },
+                // Every face along the ray counts, hidden or not
+                depthStencil: {
+                    format: this.depthFormat,
+                    depthWriteEnabled: false,
+                    depthCompare: 'always',
+                    stencilFront: { compare: 'always', passOp: 'decrement-wrap' },
+                    stencilBack: { compare: 'always', passOp: 'increment-wrap' }
+                },
+                multisample,
+                primitive: { topology: 'triangle-list', cullMode: 'none' }
+            }),
+            device.createRenderPipelineAsync({
+                label: 'Section Cap Pipeline',
+                layout: capLayout,
+                vertex: { module, entryPoint: 'capVertex' },
+                fragment: { module, entryPoint: 'capFragment', targets: [{ format: `${this.colorFormat}-srgb` }] },
+                depthStencil: {
+                    format: this.depthFormat,
+                    depthWriteEnabled: true,
+                    depthCompare: 'less-equal',
+                    stencilFront: { compare: 'not-equal' },
+                    stencilBack: { compare: 'not-equal' }
+                },
+                multisample,
+                primitive: { topology: 'triangle-list', cullMode: 'none' }
+            }),
+            device.createRenderPipelineAsync({
+                label: 'Section Cap Clear Pipeline',
+                layout: capLayout,
+                vertex: { module, entryPoint: 'clearVertex' },
+                fragment: { module, entryPoint: 'clearFragment', targets: noColor },
+                depthStencil: {
+                    format: this.depthFormat,
+                    depthWriteEnabled: false,
+                    depthCompare: 'always',
+                    stencilFront: { compare: 'always', passOp: 'zero' },
+                    stencilBack: { compare: 'always', passOp: 'zero' }
+                },
+                multisample
+            })
+        ]);
+        this.capPipelines = { stencil, cap, clear };
     }
 
-    return {
-        vertices: new Float32Array(vertices),
-        colors: new Float32Array(colors),
-        thickness: new Float32Array(thickness),
-        uvs: new Float32Array(uvs),
-        endPositions: new Float32Array(endPositions),
-        fades: new Float32Array(fades),
-        indices: new Uint16Array(indices)
-    };
-}
+    async initEdges() {
+        this.edgeUniformBuffer = this.device.createBuffer({
+            size: this.edgeUniformArray.byteLength,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        this.edgeBindGroup = this.device.createBindGroup({
+            label: 'Edge BG',
+            layout: this.gpu.edgeBindGroupLayout,
+            entries: [{ binding: 0, resource: { buffer: this.edgeUniformBuffer } }]
+        });
+        this.edgePipeline = await this.getEdgePipeline();
+    }
 
-function createGridGeometry() {
-    // Destroy existing buffers if they exist
-    if (gridVertexBuffer) gridVertexBuffer.destroy();
-    if (gridIndexBuffer) gridIndexBuffer.destroy();
-
-    var yNeg = zIsUp ? -gridSize : -0.01;
-    var zNeg = zIsUp ? -0.01 : -gridSize;
-    var yPos = zIsUp ? gridSize : -0.01;
-    var zPos = zIsUp ? -0.01 : gridSize;
-    // Create grid geometry
-    const vertexArray = new Float32Array([
-        -gridSize, yNeg, zNeg, 0, 0,
-        gridSize, yNeg, zNeg, 100, 0,
-        -gridSize, yPos, zPos, 0, 100,
-        gridSize, yPos, zPos, 100, 100,
-    ]);
-
-    gridVertexBuffer = device.createBuffer({
-        size: vertexArray.byteLength,
-        usage: GPUBufferUsage.VERTEX,
-        mappedAtCreation: true
-    });
-    new Float32Array(gridVertexBuffer.getMappedRange()).set(vertexArray);
-    gridVertexBuffer.unmap();
+    // The width is converted to device pixels of the target being drawn
+    writeEdgeUniforms(viewportHeight) {
+        const uniforms = this.edgeUniformArray;
+        uniforms.set(this.edgeColor, 0);
+        uniforms[4] = this.edgeWidth * (window.devicePixelRatio || 1);
+        uniforms[5] = viewportHeight;
+        this.device.queue.writeBuffer(this.edgeUniformBuffer, 0, uniforms);
+    }
 
-    const indexArray = new Uint32Array([0, 1, 2, 1, 2, 3]);
-    gridIndexBuffer = device.createBuffer({
-        size: indexArray.byteLength,
-        usage: GPUBufferUsage.INDEX,
-        mappedAtCreation: true
-    });
-    new Uint32Array(gridIndexBuffer.getMappedRange()).set(indexArray);
-    gridIndexBuffer.unmap();
-}
+    // Cap color, plane index and quad size for each clip plane's uniform slot
+    writeCapUniforms() {
+        for (let i = 0; i < MAX_CLIP_PLANES; i++) {
+            const offset = i * CAP_UNIFORM_STRIDE;
+            new Float32Array(this.capUniformArray, offset, 4).set(this.capColor);
+            new Uint32Array(this.capUniformArray, offset + 16, 1)[0] = i;
+            new Float32Array(this.capUniformArray, offset + 20, 1)[0] = this.gridSize; // the grid spans the scene
+        }
+        this.device.queue.writeBuffer(this.capUniformBuffer, 0, this.capUniformArray);
+    }
 
-function updateGridUniforms() {
-    const scale = 100 / gridSize;
-    const factor = 1 / (scale * gridSpacing);
-    gridSpacingUniform[0] = factor;
-    device.queue.writeBuffer(gridUniformBuffer, 0, gridUniformArray);
-}
+    // Buffers and pipelines of the shadow and ambient occlusion passes. None of these passes draw
+    // into the multisampled targets, so they don't change with the sample count.
+    async initShading() {
+        const device = this.device;
+        const uniformUsage = GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST;
+        this.shadingUniformBuffer = device.createBuffer({ size: SHADING_BUFFER_SIZE, usage: uniformUsage });
+        this.shadowFrameBuffer = device.createBuffer({ size: FRAME_BUFFER_SIZE, usage: uniformUsage });
+        this.shadowFrameBindGroup = device.createBindGroup({
+            label: 'Shadow Frame BG',
+            layout: this.gpu.frameBindGroupLayout,
+            entries: [{ binding: 0, resource: { buffer: this.shadowFrameBuffer } }]
+        });
+        this.aoUniformBuffer = device.createBuffer({ size: AO_BUFFER_SIZE, usage: uniformUsage });
 
-// ============================================================================
-// Rendering
-// ============================================================================
+        const aoBindGroupLayout = device.createBindGroupLayout({
+            label: 'Ambient Occlusion BGL',
+            entries: [
+                { binding: 0, visibility: GPUShaderStage.FRAGMENT, texture: {} },
+                { binding: 1, visibility: GPUShaderStage.FRAGMENT, buffer: {} }
+            ]
+        });
+        const aoBlurBindGroupLayout = device.createBindGroupLayout({
+            label: 'Ambient Occlusion Blur BGL',
+            entries: [{ binding: 0, visibility: GPUShaderStage.FRAGMENT, texture: {} }]
+        });
+
+        const geometryLayout = device.createPipelineLayout({ bindGroupLayouts: [this.gpu.frameBindGroupLayout, this.gpu.modelBindGroupLayout] });
+        const positionBuffer = { arrayStride: 12, attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] };
+        const shadowModule = getShaderModule(this.gpu, 'Shadow Shader', SHADOW_SHADER);
+        const normalDepthModule = getShaderModule(this.gpu, 'Normal Depth Shader', NORMAL_DEPTH_SHADER);
+        const normalDepthPipeline = hasNormals => device.createRenderPipelineAsync({
+            label: `Normal Depth Pipeline (${hasNormals ? 'normals' : 'flat'})`,
+            layout: geometryLayout,
+            vertex: {
+                module: normalDepthModule,
+                entryPoint: 'vertexMain',
+                // Flat-shaded meshes read the shared zero normal for every vertex
+                buffers: [positionBuffer, { arrayStride: hasNormals ? 12 : 0, attributes: [{ shaderLocation: 2, offset: 0, format: 'float32x3' }] }]
+            },
+            fragment: { module: normalDepthModule, entryPoint: 'fragmentMain', targets: [{ format: 'rgba16float' }] },
+            depthStencil: { format: 'depth24plus', depthWriteEnabled: true, depthCompare: 'less' },
+            primitive: { topology: 'triangle-list', cullMode: 'none' }
+        });
+        const aoPipeline = (label, module, bindGroupLayout) => device.createRenderPipelineAsync({
+            label,
+            layout: device.createPipelineLayout({ bindGroupLayouts: [bindGroupLayout] }),
+            vertex: { module, entryPoint: 'vertexMain' },
+            fragment: { module, entryPoint: 'fragmentMain', targets: [{ format: 'r8unorm' }] }
+        });
 
-function startRenderLoop() {
-    function frameCallback() {
-        requestAnimationFrame(frameCallback);
-        const frameStart = performance.now();
+        const [shadow, normalDepth, normalDepthFlat, ao, aoBlur] = await Promise.all([
+            device.createRenderPipelineAsync({
+                label: 'Shadow Pipeline',
+                layout: geometryLayout,
+                vertex: { module: shadowModule, entryPoint: 'vertexMain', buffers: [positionBuffer] },
+                fragment: { module: shadowModule, entryPoint: 'fragmentMain', targets: [] },
+                // Both sides cast shadows, so open shells do too; the slope bias keeps faces lit at
+                // a grazing angle from shadowing themselves
+                depthStencil: { format: 'depth32float', depthWriteEnabled: true, depthCompare: 'less', depthBiasSlopeScale: 1.5 },
+                primitive: { topology: 'triangle-list', cullMode: 'none' }
+            }),
+            normalDepthPipeline(true),
+            normalDepthPipeline(false),
+            aoPipeline('Ambient Occlusion Pipeline', getShaderModule(this.gpu, 'SSAO Shader', SSAO_SHADER), aoBindGroupLayout),
+            aoPipeline('Ambient Occlusion Blur Pipeline', getShaderModule(this.gpu, 'SSAO Blur Shader', SSAO_BLUR_SHADER), aoBlurBindGroupLayout)
+        ]);
+
+        // Bound while shadows or ambient occlusion are off; the shaders don't read them then
+        const placeholder = format => device.createTexture({
+            label: `Placeholder (${format})`,
+            size: { width: 1, height: 1 },
+            format,
+            usage: GPUTextureUsage.TEXTURE_BINDING
+        });
+        this.shadingResources = {
+            pipelines: { shadow, normalDepth, normalDepthFlat, ao, aoBlur },
+            aoBindGroupLayout,
+            aoBlurBindGroupLayout,
+            shadowSampler: device.createSampler({ compare: 'less-equal', magFilter: 'linear', minFilter: 'linear' }),
+            placeholderShadowMap: placeholder('depth32float'),
+            placeholderAo: placeholder('r8unorm')
+        };
+        this.updateShadowMap();
+    }
 
-        device.queue.writeBuffer(frameUniformBuffer, 0, frameArrayBuffer);
-        renderFrame();
+    // Creates the shadow map for the shadow quality, or none while shadows are off
+    updateShadowMap() {
+        this.shadowMap?.texture.destroy();
+        this.shadowMap = null;
+        const quality = SHADOW_QUALITY[this.shadowQuality];
+        if (quality) {
+            const texture = this.device.createTexture({
+                label: 'Shadow Map',
+                size: { width: quality.size, height: quality.size },
+                format: 'depth32float',
+                usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
+            });
+            this.shadowMap = { texture, view: texture.createView(), ...quality };
+        }
+        if (this.renderTargets) this.renderTargets.shadingBindGroup = null; // bound the old map
+    }
 
-        frameMs[frameMsIndex++ % frameMs.length] = performance.now() - frameStart;
+    async initTransparency() {
+        const device = this.device;
+        const compositeBindGroupLayout = device.createBindGroupLayout({
+            label: 'Transparency Composite BGL',
+            entries: [
+                { binding: 0, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'unfilterable-float' } },
+                { binding: 1, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'unfilterable-float' } }
+            ]
+        });
+        const module = getShaderModule(this.gpu, 'Transparency Composite Shader', TRANSPARENCY_COMPOSITE_SHADER);
+        const composite = await device.createRenderPipelineAsync({
+            label: 'Transparency Composite Pipeline',
+            layout: device.createPipelineLayout({ bindGroupLayouts: [compositeBindGroupLayout] }),
+            vertex: { module, entryPoint: 'vertexMain' },
+            fragment: { module, entryPoint: 'fragmentMain', targets: this.blendedColorTargets() },
+            depthStencil: {
+                format: this.depthFormat,
+                depthWriteEnabled: false,
+                depthCompare: 'always'
+            },
+            multisample: { count: this.sampleCount }
+        });
+        this.transparencyPipelines = { composite, compositeBindGroupLayout };
     }
 
-    requestAnimationFrame(frameCallback);
-}
+    destroyCoordinateAxes() {
+        const axes = this.coordinateAxes;
+        if (!axes) return;
+        axes.posBuffer?.destroy();
+        axes.colorBuffer?.destroy();
+        axes.thicknessBuffer?.destroy();
+        axes.uvBuffer?.destroy();
+        axes.endPosBuffer?.destroy();
+        axes.fadeBuffer?.destroy();
+        axes.neighborBuffer?.destroy();
+        axes.indexBuffer?.destroy();
+        this.coordinateAxes = null;
+    }
 
-function renderFrame() {
-    const renderPass = getRenderPassDescriptor();
-    if (!renderPass) return; // Skip frame if render targets aren't ready
+    createAxisGeometry() {
+        const vertices = [];
+        const colors = [];
+        const thickness = [];
+        const uvs = [];
+        const endPositions = [];
+        const fades = [];
+        const neighbors = [];
+        const indices = [];
+
+        const lineThickness = this.coordinateThickness;
+        const axisExtent = this.axisExtent;
+        const axes = [
+            { start: [0, 0, 0], end: [axisExtent, 0, 0], color: [1, 0, 0, 1], fade: 0 },
+            { start: [0, 0, 0], end: [-axisExtent, 0, 0], color: [0.5, 0, 0, 1], fade: 1 },
+            { start: [0, 0, 0], end: [0, axisExtent, 0], color: [0, 1, 0, 1], fade: 0 },
+            { start: [0, 0, 0], end: [0, -axisExtent, 0], color: [0, 0.5, 0, 1], fade: 1 },
+            { start: [0, 0, 0], end: [0, 0, axisExtent], color: [0, 0, 1, 1], fade: 0 },
+            { start: [0, 0, 0], end: [0, 0, -axisExtent], color: [0, 0, 0.5, 1], fade: 1 }
+        ];
+
+        let vertexOffset = 0;
+        for (const axis of axes) {
+            for (let i = 0; i < 4; i++) {
+                vertices.push(...axis.start);
+                colors.push(...axis.color);
+                thickness.push(lineThickness);
+                endPositions.push(...axis.end);
+                fades.push(axis.fade);
+                neighbors.push(...axis.start, 0, ...axis.end, 0); // single segments: no joins
+            }
+            uvs.push(0, -0.5, 1, -0.5, 0, 0.5, 1, 0.5);
+            indices.push(
+                vertexOffset + 0, vertexOffset + 1, vertexOffset + 2,
+                vertexOffset + 1, vertexOffset + 3, vertexOffset + 2
+            );
+            vertexOffset += 4;
+        }
+
+        return {
+            vertices: new Float32Array(vertices),
+            colors: new Float32Array(colors),
+            thickness: new Float32Array(thickness),
+            uvs: new Float32Array(uvs),
+            endPositions: new Float32Array(endPositions),
+            fades: new Float32Array(fades),
+            neighbors: new Float32Array(neighbors),
+            indices: new Uint16Array(indices)
+        };
+    }
+
+    createGridGeometry() {
+        const device = this.device;
+        const gridSize = this.gridSize;
+        // Destroy existing buffers if they exist
+        if (this.gridVertexBuffer) this.gridVertexBuffer.destroy();
+        if (this.gridIndexBuffer) this.gridIndexBuffer.destroy();
+
+        var yNeg = this.zIsUp ? -gridSize : -0.01;
+        var zNeg = this.zIsUp ? -0.01 : -gridSize;
+        var yPos = this.zIsUp ? gridSize : -0.01;
+        var zPos = this.zIsUp ? -0.01 : gridSize;
+        // Create grid geometry
+        const vertexArray = new Float32Array([
+            -gridSize, yNeg, zNeg, 0, 0,
+            gridSize, yNeg, zNeg, 100, 0,
+            -gridSize, yPos, zPos, 0, 100,
+            gridSize, yPos, zPos, 100, 100,
+        ]);
+
+        this.gridVertexBuffer = device.createBuffer({
+            size: vertexArray.byteLength,
+            usage: GPUBufferUsage.VERTEX,
+            mappedAtCreation: true
+        });
+        new Float32Array(this.gridVertexBuffer.getMappedRange()).set(vertexArray);
+        this.gridVertexBuffer.unmap();
+
+        const indexArray = new Uint32Array([0, 1, 2, 1, 2, 3]);
+        this.gridIndexBuffer = device.createBuffer({
+            size: indexArray.byteLength,
+            usage: GPUBufferUsage.INDEX,
+            mappedAtCreation: true
+        });
+        new Uint32Array(this.gridIndexBuffer.getMappedRange()).set(indexArray);
+        this.gridIndexBuffer.unmap();
+    }
 
-    const encoder = device.createCommandEncoder();
-    const pass = encoder.beginRenderPass(renderPass);
+    updateGridUniforms() {
+        const scale = 100 / this.gridSize;
+        const factor = 1 / (scale * this.gridSpacing);
+        this.gridSpacingUniform[0] = factor;
+        this.device.queue.writeBuffer(this.gridUniformBuffer, 0, this.gridUniformArray);
+    }
 
     // ========================================================================
-    // 1. Opaque Pass: Draw all opaque objects first.
-    // Depth test and depth write are enabled.
+    // Rendering
     // ========================================================================
 
-    // Draw opaque meshes
-    for (const mesh of meshes.filter(m => !m.isTransparent)) {
-        if (!mesh.pipeline || !mesh.vertexBuffer || !mesh.indexBuffer) continue;
+    startRenderLoop() {
+        this.frameCallback = () => {
+            // Continuous mode keeps one frame scheduled; on-demand waits for the next requestRedraw()
+            this.animationFrameId = this.renderMode === 'continuous' ? requestAnimationFrame(this.frameCallback) : 0;
+            const frameStart = performance.now();
+
+            this.writeFrameUniforms(this.canvas.width, this.canvas.height);
+            this.renderFrame();
+
+            this.frameMs[this.frameMsIndex++ % this.frameMs.length] = performance.now() - frameStart;
+        };
+
+        this.animationFrameId = requestAnimationFrame(this.frameCallback);
+    }
+
+    // Writes the frame uniforms for a render target of width x height device pixels, whose size in
+    // CSS pixels lets billboards size and offset themselves in pixels
+    writeFrameUniforms(width, height) {
+        const pixelRatio = window.devicePixelRatio || 1;
+        this.frameViewport[0] = width / pixelRatio;
+        this.frameViewport[1] = height / pixelRatio;
+        this.device.queue.writeBuffer(this.frameUniformBuffer, 0, this.frameArrayBuffer);
+    }
+
+    // Schedules one frame. Every change made through this viewer calls it, so in on-demand
+    // mode C# only needs it for changes the viewer can't see. Several requests before the
+    // next animation frame draw once.
+    requestRedraw() {
+        if (this.animationFrameId || !this.frameCallback || !this.device) return;
+        this.animationFrameId = requestAnimationFrame(this.frameCallback);
+    }
+
+    renderFrame() {
+        const targets = this.getRenderTargets();
+        if (!targets) return; // Skip frame if render targets aren't ready
 
-        pass.setPipeline(mesh.pipeline);
-        pass.setBindGroup(0, frameBindGroup);
+        const colorView = this.context.getCurrentTexture().createView({ format: `${this.colorFormat}-srgb` });
+        this.device.queue.submit([this.encodeFrame(targets, colorView)]);
+    }
 
-        if (mesh.singleColor && mesh.bindGroup) {
-            pass.setBindGroup(1, mesh.bindGroup);
+    // Records the whole scene into colorView using the given render targets
+    encodeFrame(targets, colorView) {
+        // With weighted blended transparency the transparent meshes are accumulated in a pass of
+        // their own, so the opaque pass keeps its color and depth for the passes after it
+        const accumulatedMeshes = targets.transparency ? this.meshes.filter(m => m.isTransparent && !m.hidden && m.oitPipeline &&
+            m.vertexBuffer && m.indexBuffer && this.displayModeOf(m) !== 'wireframe') : [];
+        const accumulates = accumulatedMeshes.length > 0;
+        // Billboards and labels come last, in a pass that reads the depth of everything before them
+        const billboards = this.textBillboards.filter(b => !b.hidden && b.pipeline && b.vertexBuffer && b.indexBuffer);
+        const labelBatches = this.labels.filter(l => !l.hidden && l.pipeline && l.glyphBuffer);
+        const hasLabels = billboards.length > 0 || labelBatches.length > 0;
+        const continues = accumulates || hasLabels;
+
+        const renderPass = targets.renderPassDescriptor;
+        const colorAttachment = targets.colorAttachment;
+        if (this.sampleCount > 1) {
+            colorAttachment.resolveTarget = continues ? undefined : colorView;
+            colorAttachment.storeOp = continues ? 'store' : 'discard';
+        } else {
+            colorAttachment.view = colorView;
+        }
+        renderPass.depthStencilAttachment.depthStoreOp = continues ? 'store' : 'discard';
+
+        const device = this.device;
+        const viewMatrix = this.viewMatrix;
+        const frameBindGroup = this.frameBindGroup;
+        const encoder = device.createCommandEncoder();
+        const hasHighlight = this.encodeHighlightMask(encoder, targets);
+        // Opaque meshes (wireframe meshes only have edges) also cast the shadows and ambient occlusion
+        const opaqueMeshes = this.meshes.filter(m => !m.isTransparent && !m.hidden && this.displayModeOf(m) !== 'wireframe');
+        const shadingBindGroup = this.encodeShading(encoder, targets, opaqueMeshes);
+        let pass = encoder.beginRenderPass(renderPass);
+
+        // ====================================================================
+        // 1. Opaque Pass: Draw all opaque objects first.
+        // Depth test and depth write are enabled.
+        // ====================================================================
+
+        const edgedMeshes = this.meshes.filter(m => m.edges && !m.hidden);
+        if (edgedMeshes.length > 0) this.writeEdgeUniforms(targets.depthTexture.height);
+
+        for (const mesh of opaqueMeshes) {
+            if (!mesh.pipeline || !mesh.vertexBuffer || !mesh.indexBuffer) continue;
+            this.drawMesh(pass, mesh, shadingBindGroup);
         }
 
-        pass.setVertexBuffer(0, mesh.vertexBuffer);
-        if (!mesh.singleColor && mesh.colorBuffer) {
-            pass.setVertexBuffer(1, mesh.colorBuffer);
+        // Fill the faces cut open by the clip planes
+        if (this.showCaps && this.clipPlaneCount[0] > 0 && opaqueMeshes.length > 0) {
+            this.drawSectionCaps(pass, opaqueMeshes);
         }
-        if (!mesh.singleColor) {
-            pass.setBindGroup(1, lightBindGroup);
+
+        // Draw grid if it's opaque
+        if (this.gridPipeline && !this.gridIsTransparent) {
+            this.drawGrid(pass, shadingBindGroup);
         }
 
-        pass.setIndexBuffer(mesh.indexBuffer, 'uint16');
-        pass.drawIndexed(mesh.indexCount);
-    }
+        // Edges of the opaque meshes, after the faces they lie on
+        for (const mesh of edgedMeshes.filter(m => !m.isTransparent)) {
+            this.drawMeshEdges(pass, mesh);
+        }
 
-    // Draw grid if it's opaque
-    if (gridPipeline && !gridIsTransparent) {
-        pass.setPipeline(gridPipeline);
-        pass.setBindGroup(0, frameBindGroup);
-        pass.setBindGroup(1, gridBindGroup);
-        pass.setVertexBuffer(0, gridVertexBuffer);
-        pass.setIndexBuffer(gridIndexBuffer, 'uint32');
-        pass.drawIndexed(6);
-    }
+        // Outline highlighted objects on top of the opaque scene
+        if (hasHighlight) {
+            this.drawHighlightOutline(pass, targets);
+        }
 
-    // ========================================================================
-    // 2. Transparent Pass: Draw all transparent objects, sorted back-to-front.
-    // Depth test is enabled, but depth write is disabled.
-    // ========================================================================
+        // Weighted blended transparent meshes, composited over the opaque scene before the
+        // sorted objects are drawn on top
+        if (accumulates) {
+            pass.end();
+            this.encodeTransparency(encoder, targets, accumulatedMeshes, shadingBindGroup);
+            const resolves = this.sampleCount > 1 && !hasLabels;
+            pass = encoder.beginRenderPass({
+                colorAttachments: [{
+                    view: colorAttachment.view ?? colorView,
+                    resolveTarget: resolves ? colorView : undefined,
+                    loadOp: 'load',
+                    storeOp: resolves ? 'discard' : 'store'
+                }],
+                depthStencilAttachment: {
+                    view: renderPass.depthStencilAttachment.view,
+                    depthLoadOp: 'load',
+                    depthStoreOp: hasLabels ? 'store' : 'discard',
+                    stencilClearValue: 0,
+                    stencilLoadOp: 'clear',
+                    stencilStoreOp: 'discard'
+                }
+            });
+            this.drawTransparencyComposite(pass, targets);
+        }
 
-    const transparentDrawables = [];
-
-    // Add transparent grid
-    if (gridPipeline && gridIsTransparent) {
-        transparentDrawables.push({
-            // The grid is at the origin, so its depth is determined by the view matrix's translation
-            depth: (viewMatrix[12] * viewMatrix[12] + viewMatrix[13] * viewMatrix[13] + viewMatrix[14] * viewMatrix[14]),
-            draw: () => {
-                pass.setPipeline(gridPipeline);
-                pass.setBindGroup(0, frameBindGroup);
-                pass.setBindGroup(1, gridBindGroup);
-                pass.setVertexBuffer(0, gridVertexBuffer);
-                pass.setIndexBuffer(gridIndexBuffer, 'uint32');
-                pass.drawIndexed(6);
-            }
-        });
+        // ====================================================================
+        // 2. Transparent Pass: Draw all transparent objects, sorted back-to-front.
+        // Depth test is enabled, but depth write is disabled.
+        // ====================================================================
+
+        const transparentDrawables = [];
+
+        // Add transparent grid
+        if (this.gridPipeline && this.gridIsTransparent) {
+            transparentDrawables.push({
+                // The grid is at the origin, so its depth is determined by the view matrix's translation
+                depth: (viewMatrix[12] * viewMatrix[12] + viewMatrix[13] * viewMatrix[13] + viewMatrix[14] * viewMatrix[14]),
+                draw: () => this.drawGrid(pass, shadingBindGroup)
+            });
+        }
+
+        // Add coordinate axes
+        const coordinateAxes = this.coordinateAxes;
+        if (this.coordinateThickness && coordinateAxes) {
+            transparentDrawables.push({
+                depth: (viewMatrix[12] * viewMatrix[12] + viewMatrix[13] * viewMatrix[13] + viewMatrix[14] * viewMatrix[14]),
+                draw: () => {
+                    pass.setPipeline(coordinateAxes.pipeline);
+                    pass.setBindGroup(0, frameBindGroup);
+                    pass.setBindGroup(1, this.identityModel.bindGroup);
+                    setLineVertexBuffers(pass, coordinateAxes);
+                    pass.setIndexBuffer(coordinateAxes.indexBuffer, coordinateAxes.indexFormat);
+                    pass.drawIndexed(coordinateAxes.indexCount);
+                }
+            });
+        }
+
+        // Add transparent meshes (only the edges of those accumulated above)
+        const accumulated = new Set(accumulatedMeshes);
+        for (const mesh of this.meshes.filter(m => m.isTransparent && !m.hidden)) {
+            if (!mesh.pipeline || !mesh.vertexBuffer || !mesh.indexBuffer) continue;
+            if (accumulated.has(mesh) && !mesh.edges) continue;
+            const viewSpacePos = transformPoint(mesh.center, viewMatrix);
+            transparentDrawables.push({
+                depth: viewSpacePos[2],
+                draw: () => {
+                    if (this.displayModeOf(mesh) === 'wireframe') {
+                        this.drawMeshEdges(pass, mesh);
+                        return;
+                    }
+                    if (!accumulated.has(mesh)) this.drawMesh(pass, mesh, shadingBindGroup);
+                    if (mesh.edges) this.drawMeshEdges(pass, mesh);
+                }
+            });
+        }
+
+        // Add lines
+        for (const line of this.lines) {
+            if (line.hidden || !line.pipeline || !line.posBuffer || !line.indexBuffer) continue;
+            const viewSpacePos = transformPoint(line.center, viewMatrix);
+            transparentDrawables.push({
+                depth: viewSpacePos[2],
+                draw: () => {
+                    pass.setPipeline(line.pipeline);
+                    pass.setBindGroup(0, frameBindGroup);
+                    pass.setBindGroup(1, line.model.bindGroup);
+                    setLineVertexBuffers(pass, line);
+                    pass.setIndexBuffer(line.indexBuffer, line.indexFormat);
+                    pass.drawIndexed(line.indexCount);
+                }
+            });
+        }
+
+        // Sort transparent objects from back to front (descending depth)
+        transparentDrawables.sort((a, b) => b.depth - a.depth);
+
+        // Execute draw calls
+        for (const drawable of transparentDrawables) {
+            drawable.draw();
+        }
+
+        pass.end();
+        if (hasLabels) this.encodeLabels(encoder, targets, colorView, billboards, labelBatches);
+        return encoder.finish();
     }
 
-    // Add coordinate axes
-    if (coordinateThickness && coordinateAxes) {
-        transparentDrawables.push({
-            depth: (viewMatrix[12] * viewMatrix[12] + viewMatrix[13] * viewMatrix[13] + viewMatrix[14] * viewMatrix[14]),
-            draw: () => {
-                pass.setPipeline(coordinateAxes.pipeline);
-                pass.setBindGroup(0, frameBindGroup);
-                pass.setVertexBuffer(0, coordinateAxes.posBuffer);
-                pass.setVertexBuffer(1, coordinateAxes.colorBuffer);
-                pass.setVertexBuffer(2, coordinateAxes.thicknessBuffer);
-                pass.setVertexBuffer(3, coordinateAxes.uvBuffer);
-                pass.setVertexBuffer(4, coordinateAxes.endPosBuffer);
-                pass.setVertexBuffer(5, coordinateAxes.fadeBuffer);
-                pass.setIndexBuffer(coordinateAxes.indexBuffer, 'uint16');
-                pass.drawIndexed(coordinateAxes.indexCount);
-            }
+    // Draws the billboards and labels over the finished scene, back to front, after de-cluttering has
+    // placed them. Whether they show behind other objects is decided by their shaders (sceneDepthWgsl),
+    // so transparent objects, which don't write depth, never hide them.
+    encodeLabels(encoder, targets, colorView, billboards, labelBatches) {
+        this.placeLabels(billboards, labelBatches);
+        if (!targets.sceneDepthBindGroup) {
+            targets.sceneDepthBindGroup = this.device.createBindGroup({
+                label: 'Scene Depth BG',
+                layout: this.sceneDepthBindGroupLayout(),
+                entries: [{ binding: 0, resource: targets.depthTexture.createView({ aspect: 'depth-only' }) }]
+            });
+        }
+
+        const msaa = this.sampleCount > 1;
+        const pass = encoder.beginRenderPass({
+            colorAttachments: [{
+                view: targets.colorAttachment.view ?? colorView,
+                resolveTarget: msaa ? colorView : undefined,
+                loadOp: 'load',
+                storeOp: msaa ? 'discard' : 'store'
+            }]
         });
+        pass.setBindGroup(0, this.frameBindGroup);
+        pass.setBindGroup(2, targets.sceneDepthBindGroup);
+
+        const drawables = [
+            ...billboards.map(billboard => ({
+                position: billboard.position,
+                draw: () => {
+                    pass.setPipeline(billboard.pipeline);
+                    pass.setBindGroup(1, billboard.bindGroup);
+                    pass.setVertexBuffer(0, billboard.vertexBuffer);
+                    pass.setIndexBuffer(billboard.indexBuffer, 'uint16');
+                    pass.drawIndexed(billboard.indexCount);
+                }
+            })),
+            ...labelBatches.map(labels => ({
+                position: labels.center,
+                draw: () => {
+                    pass.setPipeline(labels.pipeline);
+                    pass.setBindGroup(1, labels.bindGroup);
+                    pass.setVertexBuffer(0, labels.glyphBuffer);
+                    pass.draw(4, labels.glyphCount);
+                }
+            }))
+        ];
+        for (const drawable of drawables) drawable.depth = transformPoint(drawable.position, this.viewMatrix)[2];
+        drawables.sort((a, b) => a.depth - b.depth);
+        for (const drawable of drawables) drawable.draw();
+        pass.end();
     }
 
-    // Add transparent meshes
-    for (const mesh of meshes.filter(m => m.isTransparent)) {
-        if (!mesh.pipeline || !mesh.vertexBuffer || !mesh.indexBuffer) continue;
-        const viewSpacePos = transformPoint(mesh.center, viewMatrix);
-        transparentDrawables.push({
-            depth: viewSpacePos[2],
-            draw: () => {
-                pass.setPipeline(mesh.pipeline);
-                pass.setBindGroup(0, frameBindGroup);
-                if (mesh.singleColor && mesh.bindGroup) pass.setBindGroup(1, mesh.bindGroup);
-                pass.setVertexBuffer(0, mesh.vertexBuffer);
-                if (!mesh.singleColor && mesh.colorBuffer) pass.setVertexBuffer(1, mesh.colorBuffer);
-                pass.setIndexBuffer(mesh.indexBuffer, 'uint16');
-                pass.drawIndexed(mesh.indexCount);
+    // Screen-space de-cluttering. Labels whose collision is 'hide' or 'offset' are placed by priority,
+    // then in the order they were added: each where it overlaps none of the labels placed before it,
+    // trying the places around its own for 'offset', and hidden when none is free. Labels that may
+    // overlap take no part, and labels behind other objects keep their place, as only the shaders
+    // know they are hidden.
+    placeLabels(billboards, labelBatches) {
+        const placements = [...billboards, ...labelBatches].map(obj => obj.placement).filter(p => p.collision !== 'overlap');
+        if (placements.length === 0) return;
+        const candidates = [];
+        for (const placement of placements) {
+            for (let i = 0; i < placement.extents.length / 4; i++) candidates.push({ placement, i });
+        }
+        candidates.sort((a, b) => b.placement.priority - a.placement.priority); // stable, so ties keep their order
+
+        const [width, height] = this.frameViewport;
+        const p = this.projectionMatrix;
+        const grid = new Map(); // cell -> rectangles placed over it
+        for (const { placement, i } of candidates) {
+            const { positions, extents, scale, offset, array } = placement;
+            array.set([0, 0, 1], 4 * i);
+            const v = transformPoint([positions[3 * i], positions[3 * i + 1], positions[3 * i + 2]], this.viewMatrix);
+            const w = p[3] * v[0] + p[7] * v[1] + p[11] * v[2] + p[15];
+            if (w <= 0) continue; // behind the camera
+
+            // The rectangle in CSS pixels from the bottom-left corner, like the offsets
+            const x = ((p[0] * v[0] + p[4] * v[1] + p[8] * v[2] + p[12]) / w + 1) / 2 * width + offset[0];
+            const y = ((p[1] * v[0] + p[5] * v[1] + p[9] * v[2] + p[13]) / w + 1) / 2 * height + offset[1];
+            const sx = placement.worldSized ? scale * p[0] * width / (2 * w) : scale;
+            const sy = placement.worldSized ? scale * p[5] * height / (2 * w) : scale;
+            const rect = [x + extents[4 * i] * sx, y + extents[4 * i + 1] * sy, x + extents[4 * i + 2] * sx, y + extents[4 * i + 3] * sy];
+            if (!clipRect(rect, width, height)) continue; // off screen
+
+            const shifts = placement.collision === 'offset' ? labelShifts(rect[2] - rect[0], rect[3] - rect[1]) : [[0, 0]];
+            let placed = false;
+            for (const [dx, dy] of shifts) {
+                const shifted = clipRect([rect[0] + dx, rect[1] + dy, rect[2] + dx, rect[3] + dy], width, height);
+                if (!shifted || overlapsPlaced(grid, shifted)) continue;
+                addPlaced(grid, shifted);
+                array.set([dx, dy], 4 * i);
+                placed = true;
+                break;
             }
-        });
+            if (!placed) array[4 * i + 2] = 0;
+        }
+        for (const placement of placements) this.device.queue.writeBuffer(placement.buffer, 0, placement.array);
     }
 
-    // Add lines
-    for (const line of lines) {
-        if (!line.pipeline || !line.posBuffer || !line.indexBuffer) continue;
-        const viewSpacePos = transformPoint(line.center, viewMatrix);
-        transparentDrawables.push({
-            depth: viewSpacePos[2],
-            draw: () => {
-                pass.setPipeline(line.pipeline);
-                pass.setBindGroup(0, frameBindGroup);
-                pass.setVertexBuffer(0, line.posBuffer);
-                pass.setVertexBuffer(1, line.colorBuffer);
-                pass.setVertexBuffer(2, line.thicknessBuffer);
-                pass.setVertexBuffer(3, line.uvBuffer);
-                pass.setVertexBuffer(4, line.endPosBuffer);
-                pass.setVertexBuffer(5, line.fadeBuffer);
-                pass.setIndexBuffer(line.indexBuffer, 'uint16');
-                pass.drawIndexed(line.indexCount);
-            }
+    drawMesh(pass, mesh, shadingBindGroup, pipeline = mesh.pipeline) {
+        pass.setPipeline(pipeline);
+        pass.setBindGroup(0, this.frameBindGroup);
+        // Single-color, textured and PBR meshes have their own color/material uniforms next to the lights
+        pass.setBindGroup(1, mesh.bindGroup ?? this.lightBindGroup);
+        pass.setBindGroup(2, mesh.model.bindGroup);
+        pass.setBindGroup(3, shadingBindGroup);
+        pass.setVertexBuffer(0, mesh.vertexBuffer);
+        const hasUvSlot = mesh.isPbr || !!mesh.uvBuffer;
+        const hasColorSlot = hasUvSlot || !mesh.singleColor;
+        if (hasColorSlot) pass.setVertexBuffer(1, mesh.colorBuffer ?? this.whiteColorBuffer);
+        pass.setVertexBuffer(hasColorSlot ? 2 : 1, mesh.normalBuffer ?? this.zeroNormalBuffer);
+        // PBR meshes without texture coordinates read the zero normal as their uv
+        if (hasUvSlot) pass.setVertexBuffer(3, mesh.uvBuffer ?? this.zeroNormalBuffer);
+        pass.setIndexBuffer(mesh.indexBuffer, mesh.indexFormat);
+        pass.drawIndexed(mesh.indexCount);
+    }
+
+    drawGrid(pass, shadingBindGroup) {
+        pass.setPipeline(this.gridPipeline);
+        pass.setBindGroup(0, this.frameBindGroup);
+        pass.setBindGroup(1, this.gridBindGroup);
+        pass.setBindGroup(2, this.identityModel.bindGroup);
+        pass.setBindGroup(3, shadingBindGroup);
+        pass.setVertexBuffer(0, this.gridVertexBuffer);
+        pass.setIndexBuffer(this.gridIndexBuffer, 'uint32');
+        pass.drawIndexed(6);
+    }
+
+    drawMeshEdges(pass, mesh) {
+        if (!this.edgePipeline || !mesh.edges) return;
+        pass.setPipeline(this.edgePipeline);
+        pass.setBindGroup(0, this.frameBindGroup);
+        pass.setBindGroup(1, mesh.model.bindGroup);
+        pass.setBindGroup(2, this.edgeBindGroup);
+        pass.setVertexBuffer(0, mesh.edges.buffer);
+        pass.draw(4, mesh.edges.count);
+    }
+
+    drawSectionCaps(pass, meshes) {
+        const pipelines = this.capPipelines;
+        if (!pipelines) return;
+        pass.setBindGroup(0, this.frameBindGroup);
+        for (let i = 0; i < this.clipPlaneCount[0]; i++) {
+            pass.setBindGroup(1, this.capBindGroup, [i * CAP_UNIFORM_STRIDE]);
+            pass.setPipeline(pipelines.stencil);
+            for (const mesh of meshes) {
+                if (!mesh.vertexBuffer || !mesh.indexBuffer) continue;
+                pass.setBindGroup(2, mesh.model.bindGroup);
+                pass.setVertexBuffer(0, mesh.vertexBuffer);
+                pass.setIndexBuffer(mesh.indexBuffer, mesh.indexFormat);
+                pass.drawIndexed(mesh.indexCount);
+            }
+            pass.setPipeline(pipelines.cap);
+            pass.draw(6);
+            pass.setPipeline(pipelines.clear);
+            pass.draw(3);
+        }
+    }
+
+    // Draws the shadow map and the ambient occlusion of the casters when they are on, and returns
+    // the bind group through which the scene shaders read both
+    encodeShading(encoder, targets, casters) {
+        casters = casters.filter(m => m.vertexBuffer && m.indexBuffer);
+        const bounds = casters.length > 0 ? sceneBounds(casters) : null;
+        const lightIndex = this.lights.findIndex(l => !l.isPoint);
+        this.shadowLight[0] = -1;
+        this.aoStrength[0] = 0;
+        if (bounds && this.shadowMap && lightIndex >= 0) {
+            this.encodeShadowMap(encoder, casters, bounds, lightIndex);
+        }
+        if (bounds && targets.ambientOcclusion) {
+            this.encodeAmbientOcclusion(encoder, targets, casters, bounds);
+        }
+        this.device.queue.writeBuffer(this.shadingUniformBuffer, 0, this.shadingUniformArray);
+
+        if (!targets.shadingBindGroup) {
+            const resources = this.shadingResources;
+            targets.shadingBindGroup = this.device.createBindGroup({
+                label: 'Shading BG',
+                layout: this.gpu.shadingBindGroupLayout,
+                entries: [
+                    { binding: 0, resource: { buffer: this.shadingUniformBuffer } },
+                    { binding: 1, resource: this.shadowMap?.view ?? resources.placeholderShadowMap.createView() },
+                    { binding: 2, resource: resources.shadowSampler },
+                    { binding: 3, resource: (targets.ambientOcclusion?.texture ?? resources.placeholderAo).createView() }
+                ]
+            });
+        }
+        return targets.shadingBindGroup;
+    }
+
+    // Renders the depth of the casters as seen from directional light lightIndex into the shadow
+    // map. The light looks through a box around their bounding sphere.
+    encodeShadowMap(encoder, casters, bounds, lightIndex) {
+        const shadowMap = this.shadowMap;
+        const direction = this.lightData.subarray(8 * lightIndex, 8 * lightIndex + 3); // world space (see writeLightUniforms)
+        this.shadowMatrix.set(directionalShadowMatrix(direction, bounds.center, bounds.radius));
+        this.shadowLight[0] = lightIndex;
+        // Receivers are looked up a texel and a half off their surface, so lit faces don't shadow themselves
+        this.shadowSettings.set([3 * bounds.radius / shadowMap.size, 1 / shadowMap.size, shadowMap.radius]);
+
+        // The camera's frame uniforms (for the section planes) with the light's view-projection
+        new Uint8Array(this.shadowFrameArrayBuffer).set(new Uint8Array(this.frameArrayBuffer));
+        new Float32Array(this.shadowFrameArrayBuffer, 0, 16).set(this.shadowMatrix);
+        new Float32Array(this.shadowFrameArrayBuffer, 64, 16).set(IDENTITY_MATRIX);
+        this.device.queue.writeBuffer(this.shadowFrameBuffer, 0, this.shadowFrameArrayBuffer);
+
+        const pass = encoder.beginRenderPass({
+            label: 'Shadow Pass',
+            colorAttachments: [],
+            depthStencilAttachment: {
+                view: shadowMap.view,
+                depthClearValue: 1.0,
+                depthLoadOp: 'clear',
+                depthStoreOp: 'store'
+            }
+        });
+        pass.setPipeline(this.shadingResources.pipelines.shadow);
+        pass.setBindGroup(0, this.shadowFrameBindGroup);
+        for (const mesh of casters) {
+            pass.setBindGroup(1, mesh.model.bindGroup);
+            pass.setVertexBuffer(0, mesh.vertexBuffer);
+            pass.setIndexBuffer(mesh.indexBuffer, mesh.indexFormat);
+            pass.drawIndexed(mesh.indexCount);
+        }
+        pass.end();
+    }
+
+    // Draws the normals and depth of the casters, the ambient occlusion from them, and its blur
+    encodeAmbientOcclusion(encoder, targets, casters, bounds) {
+        const device = this.device;
+        const { pipelines, aoBindGroupLayout, aoBlurBindGroupLayout } = this.shadingResources;
+        const ao = targets.ambientOcclusion;
+        this.aoProjection.set(this.projectionMatrix);
+        this.aoRadius[0] = 0.05 * bounds.radius; // follows the scene, so parts of any scale get the same look
+        this.aoSampleCount[0] = AO_SAMPLES[this.ambientOcclusionQuality];
+        device.queue.writeBuffer(this.aoUniformBuffer, 0, this.aoUniformArray);
+        this.aoStrength[0] = 1;
+
+        const pass = encoder.beginRenderPass({
+            label: 'Normal Depth Pass',
+            colorAttachments: [{
+                view: ao.normalDepthTexture.createView(),
+                clearValue: [0, 0, 0, 0],
+                loadOp: 'clear',
+                storeOp: 'store'
+            }],
+            depthStencilAttachment: {
+                view: ao.depthTexture.createView(),
+                depthClearValue: 1.0,
+                depthLoadOp: 'clear',
+                depthStoreOp: 'discard'
+            }
+        });
+        pass.setBindGroup(0, this.frameBindGroup);
+        for (const mesh of casters) {
+            pass.setPipeline(mesh.normalBuffer ? pipelines.normalDepth : pipelines.normalDepthFlat);
+            pass.setBindGroup(1, mesh.model.bindGroup);
+            pass.setVertexBuffer(0, mesh.vertexBuffer);
+            pass.setVertexBuffer(1, mesh.normalBuffer ?? this.zeroNormalBuffer);
+            pass.setIndexBuffer(mesh.indexBuffer, mesh.indexFormat);
+            pass.drawIndexed(mesh.indexCount);
+        }
+        pass.end();
+
+        ao.bindGroups ??= {
+            ao: device.createBindGroup({
+                label: 'Ambient Occlusion BG',
+                layout: aoBindGroupLayout,
+                entries: [
+                    { binding: 0, resource: ao.normalDepthTexture.createView() },
+                    { binding: 1, resource: { buffer: this.aoUniformBuffer } }
+                ]
+            }),
+            blur: device.createBindGroup({
+                label: 'Ambient Occlusion Blur BG',
+                layout: aoBlurBindGroupLayout,
+                entries: [{ binding: 0, resource: ao.rawTexture.createView() }]
+            })
+        };
+        encodeFullScreenPass(encoder, 'Ambient Occlusion Pass', ao.rawTexture.createView(), pipelines.ao, ao.bindGroups.ao);
+        encodeFullScreenPass(encoder, 'Ambient Occlusion Blur Pass', ao.texture.createView(), pipelines.aoBlur, ao.bindGroups.blur);
+    }
+
+    // Accumulates transparent meshes for weighted blended transparency. They are depth tested
+    // against the opaque scene but write no depth, so the order they are drawn in doesn't matter.
+    encodeTransparency(encoder, targets, meshes, shadingBindGroup) {
+        const transparency = targets.transparency;
+        const attachment = (texture, msaaTexture, clearValue) => ({
+            view: (msaaTexture ?? texture).createView(),
+            resolveTarget: msaaTexture ? texture.createView() : undefined,
+            clearValue,
+            loadOp: 'clear',
+            storeOp: msaaTexture ? 'discard' : 'store'
+        });
+        const pass = encoder.beginRenderPass({
+            label: 'Transparency Accumulation Pass',
+            colorAttachments: [
+                attachment(transparency.accumulationTexture, transparency.msaaAccumulationTexture, [0, 0, 0, 0]),
+                attachment(transparency.revealageTexture, transparency.msaaRevealageTexture, [1, 0, 0, 0])
+            ],
+            depthStencilAttachment: {
+                view: targets.renderPassDescriptor.depthStencilAttachment.view,
+                depthReadOnly: true,
+                stencilReadOnly: true
+            }
+        });
+        for (const mesh of meshes) {
+            this.drawMesh(pass, mesh, shadingBindGroup, mesh.oitPipeline);
+        }
+        pass.end();
+    }
+
+    drawTransparencyComposite(pass, targets) {
+        const transparency = targets.transparency;
+        const pipelines = this.transparencyPipelines;
+        if (!transparency.compositeBindGroup) {
+            transparency.compositeBindGroup = this.device.createBindGroup({
+                label: 'Transparency Composite BG',
+                layout: pipelines.compositeBindGroupLayout,
+                entries: [
+                    { binding: 0, resource: transparency.accumulationTexture.createView() },
+                    { binding: 1, resource: transparency.revealageTexture.createView() }
+                ]
+            });
+        }
+        pass.setPipeline(pipelines.composite);
+        pass.setBindGroup(0, transparency.compositeBindGroup);
+        pass.draw(3);
+    }
+
+    // Draws highlighted meshes and lines into the mask read by the outline pass.
+    // Returns false (and encodes nothing) when nothing on screen is highlighted.
+    encodeHighlightMask(encoder, targets) {
+        const pipelines = this.highlightPipelines;
+        if (!pipelines) return false;
+        const meshes = this.meshes.filter(m => m.isHighlighted && !m.hidden);
+        const lines = this.lines.filter(l => l.isHighlighted && !l.hidden);
+        if (meshes.length === 0 && lines.length === 0) return false;
+
+        const pass = encoder.beginRenderPass({
+            label: 'Highlight Mask Pass',
+            colorAttachments: [{
+                view: targets.highlightMaskTexture.createView(),
+                clearValue: [0, 0, 0, 0],
+                loadOp: 'clear',
+                storeOp: 'store'
+            }]
+        });
+        pass.setBindGroup(0, this.frameBindGroup);
+        pass.setPipeline(pipelines.mesh);
+        for (const mesh of meshes) {
+            pass.setBindGroup(1, mesh.model.bindGroup);
+            pass.setVertexBuffer(0, mesh.vertexBuffer);
+            pass.setIndexBuffer(mesh.indexBuffer, mesh.indexFormat);
+            pass.drawIndexed(mesh.indexCount);
+        }
+        pass.setPipeline(pipelines.line);
+        for (const line of lines) {
+            pass.setBindGroup(1, line.model.bindGroup);
+            setLineVertexBuffers(pass, line);
+            pass.setIndexBuffer(line.indexBuffer, line.indexFormat);
+            pass.drawIndexed(line.indexCount);
+        }
+        pass.end();
+        return true;
+    }
+
+    drawHighlightOutline(pass, targets) {
+        const pipelines = this.highlightPipelines;
+        if (!targets.highlightOutlineBindGroup) {
+            targets.highlightOutlineBindGroup = this.device.createBindGroup({
+                label: 'Highlight Outline BG',
+                layout: pipelines.outlineBindGroupLayout,
+                entries: [
+                    { binding: 0, resource: targets.highlightMaskTexture.createView() },
+                    { binding: 1, resource: { buffer: this.highlightUniformBuffer } }
+                ]
+            });
+        }
+        pass.setPipeline(pipelines.outline);
+        pass.setBindGroup(0, targets.highlightOutlineBindGroup);
+        pass.draw(3);
+    }
+
+    getRenderTargets() {
+        // Ensure render targets are allocated
+        if (!this.renderTargets) {
+            if (this.canvas.width > 0 && this.canvas.height > 0) {
+                this.allocateRenderTargets(this.canvas.width, this.canvas.height);
+            } else {
+                // Return null to skip this frame if canvas isn't ready
+                return null;
+            }
+        }
+        return this.renderTargets;
+    }
+
+    // ========================================================================
+    // Resize Handling
+    // ========================================================================
+
+    setupResizeObserver() {
+        this.resizeObserver = new ResizeObserver((entries) => {
+            for (let entry of entries) {
+                if (entry.target !== this.canvas) continue;
+
+                let width, height;
+                if (entry.devicePixelContentBoxSize) {
+                    const size = entry.devicePixelContentBoxSize[0];
+                    width = size.inlineSize;
+                    height = size.blockSize;
+                } else if (entry.contentBoxSize) {
+                    const s = Array.isArray(entry.contentBoxSize) ? entry.contentBoxSize[0] : entry.contentBoxSize;
+                    width = s.inlineSize;
+                    height = s.blockSize;
+                } else {
+                    width = entry.contentRect.width;
+                    height = entry.contentRect.height;
+                }
+
+                if (width === 0 || height === 0) return;
+
+                this.canvas.width = width;
+                this.canvas.height = height;
+
+                // Notify C# to recompute projection matrix
+                this.dotNetRef?.invokeMethodAsync('OnCanvasResized', width, height);
+
+                if (this.device) {
+                    this.allocateRenderTargets(width, height);
+                }
+            }
+        });
+
+        this.resizeObserver.observe(this.canvas);
+    }
+
+    allocateRenderTargets(width, height) {
+        destroyRenderTargets(this.renderTargets);
+        this.renderTargets = this.createRenderTargets(width, height, this.clearColor);
+        this.requestRedraw(); // resizing clears the canvas
+    }
+
+    // MSAA color, depth/stencil and highlight mask textures for one output size, the normal/depth
+    // and ambient occlusion textures while ambient occlusion is on, the accumulation textures of
+    // weighted blended transparency, plus the pass descriptor; the color view is filled in per
+    // frame by encodeFrame
+    createRenderTargets(width, height, clearColor) {
+        const device = this.device;
+        const size = { width, height };
+
+        let msaaColorTexture = null;
+        if (this.sampleCount > 1) {
+            msaaColorTexture = device.createTexture({
+                size,
+                sampleCount: this.sampleCount,
+                format: `${this.colorFormat}-srgb`,
+                usage: GPUTextureUsage.RENDER_ATTACHMENT
+            });
+        }
+
+        const highlightMaskTexture = device.createTexture({
+            label: 'Highlight Mask',
+            size,
+            format: 'rg8unorm',
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
+        });
+
+        // Also read by the billboards and labels, which are drawn without it (sceneDepthWgsl)
+        const depthTexture = device.createTexture({
+            size,
+            sampleCount: this.sampleCount,
+            format: this.depthFormat,
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
+        });
+
+        let ambientOcclusion = null;
+        if (this.ambientOcclusionQuality !== 'off') {
+            const target = (label, format) => device.createTexture({
+                label,
+                size,
+                format,
+                usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
+            });
+            ambientOcclusion = {
+                normalDepthTexture: target('Normal Depth', 'rgba16float'),
+                depthTexture: device.createTexture({ size, format: 'depth24plus', usage: GPUTextureUsage.RENDER_ATTACHMENT }),
+                rawTexture: target('Ambient Occlusion (Noisy)', 'r8unorm'),
+                texture: target('Ambient Occlusion', 'r8unorm'),
+                bindGroups: null // created on first use by encodeAmbientOcclusion
+            };
+        }
+
+        // Weighted blended transparency is accumulated with the sample count of the scene and
+        // resolved for the composite pass
+        let transparency = null;
+        if (this.transparencyMode === 'weightedBlended') {
+            const msaa = this.sampleCount > 1;
+            const target = (label, format, sampleCount) => device.createTexture({
+                label,
+                size,
+                sampleCount,
+                format,
+                usage: GPUTextureUsage.RENDER_ATTACHMENT | (sampleCount === 1 ? GPUTextureUsage.TEXTURE_BINDING : 0)
+            });
+            transparency = {
+                accumulationTexture: target('Transparency Accumulation', 'rgba16float', 1),
+                revealageTexture: target('Transparency Revealage', 'r16float', 1),
+                msaaAccumulationTexture: msaa ? target('Transparency Accumulation (MSAA)', 'rgba16float', this.sampleCount) : null,
+                msaaRevealageTexture: msaa ? target('Transparency Revealage (MSAA)', 'r16float', this.sampleCount) : null,
+                compositeBindGroup: null // created on first use by drawTransparencyComposite
+            };
+        }
+
+        const colorAttachment = {
+            view: msaaColorTexture?.createView(),
+            resolveTarget: undefined,
+            clearValue: clearColor,
+            loadOp: 'clear',
+            storeOp: this.sampleCount > 1 ? 'discard' : 'store'
+        };
+
+        return {
+            msaaColorTexture,
+            highlightMaskTexture,
+            highlightOutlineBindGroup: null, // created on first use by drawHighlightOutline
+            ambientOcclusion,
+            shadingBindGroup: null, // created on first use by encodeShading
+            transparency,
+            depthTexture,
+            sceneDepthBindGroup: null, // created on first use by encodeLabels
+            colorAttachment,
+            renderPassDescriptor: {
+                colorAttachments: [colorAttachment],
+                depthStencilAttachment: {
+                    view: depthTexture.createView(),
+                    depthClearValue: 1.0,
+                    depthLoadOp: 'clear',
+                    depthStoreOp: 'discard',
+                    stencilClearValue: 0,
+                    stencilLoadOp: 'clear',
+                    stencilStoreOp: 'discard'
+                }
+            }
+        };
+    }
+
+    // ========================================================================
+    // Updates from C#
+    // ========================================================================
+
+    writeViewMatrix(matrixArray) {
+        this.viewMatrix.set(matrixArray);
+        if (this.device && this.lights.some(l => l.followsCamera)) this.writeLightUniforms();
+        this.requestRedraw();
+    }
+
+    // Packs this.lights into the light uniforms. Lights that follow the camera are given in view
+    // space, so they are moved into world space with the current view matrix.
+    writeLightUniforms() {
+        const data = this.lightData;
+        data.fill(0);
+        this.lights.forEach((light, i) => {
+            const vector = light.followsCamera ? viewToWorld(this.viewMatrix, light.vector, light.isPoint) : light.vector;
+            data.set(vector, 8 * i);
+            data[8 * i + 3] = light.isPoint ? 1 : 0;
+            data.set(light.color.map(c => c * light.intensity), 8 * i + 4);
+            data[8 * i + 7] = light.range;
+        });
+        this.lightCount[0] = this.lights.length;
+        this.lightUp.set(this.zIsUp ? [0, 0, 1] : [0, 1, 0]);
+        this.device.queue.writeBuffer(this.lightUniformBuffer, 0, this.lightUniformArray);
+    }
+
+    writeProjectionMatrix(matrixArray) {
+        this.projectionMatrix.set(matrixArray);
+        this.requestRedraw();
+    }
+
+    async updateDisplayOptions(options) {
+        const device = this.device;
+        let gridChanged = false;
+        let needsGridPipelineRecreation = false;
+        if (this.zIsUp !== options.zIsUp) {
+            this.zIsUp = options.zIsUp;
+            gridChanged = true;
+        }
+        // Applied last, since everything drawn so far uses the current sample count
+        const sampleCount = typeof options.sampleCount === 'number' ? options.sampleCount : this.sampleCount;
+        if (options.renderMode) this.renderMode = options.renderMode;
+
+        // Handle coordinate axes visibility
+        if (typeof options.coordinateThickness === 'number' && this.coordinateThickness !== options.coordinateThickness) {
+            this.coordinateThickness = options.coordinateThickness;
+            if (device) {
+                this.destroyCoordinateAxes();
+                if (this.coordinateThickness > 0.0) {
+                    await this.initCoordinateAxes();
+                }
+            }
+        }
+
+        // Update lighting uniforms
+        if (Array.isArray(options.lights)) this.lights = options.lights.slice(0, MAX_LIGHTS);
+        if (typeof options.ambient === 'number') this.lightAmbient[0] = options.ambient;
+        if (typeof options.specularPower === 'number') this.lightSpecularPower[0] = options.specularPower;
+        if (options.backFaceColor) this.lightBackFaceColor.set(options.backFaceColor);
+        if (device) this.writeLightUniforms();
+
+        // Update grid uniforms
+        if (options.baseColor) {
+            const newIsTransparent = options.baseColor[3] < 1.0;
+            if (newIsTransparent !== this.gridIsTransparent) {
+                this.gridIsTransparent = newIsTransparent;
+                needsGridPipelineRecreation = true;
+            }
+            this.gridBaseColor.set(options.baseColor);
+        }
+        if (options.lineColor) this.gridLineColor.set(options.lineColor);
+        if (typeof options.lineWidthX === 'number' && typeof options.lineWidthY === 'number') {
+            this.gridLineWidth.set([options.lineWidthX, options.lineWidthY]);
+        }
+
+        if (typeof options.gridSize === 'number' && options.gridSize !== this.gridSize) {
+            this.gridSize = options.gridSize;
+            this.axisExtent = this.gridSize;  // Update axis extent to match grid size
+            gridChanged = true;
+            // Recreate coordinate axes with new extent if they exist
+            if (this.coordinateAxes) {
+                this.destroyCoordinateAxes();
+                if (this.coordinateThickness > 0.0) {
+                    await this.initCoordinateAxes();
+                }
+            }
+        }
+        if (typeof options.gridSpacing === 'number' && options.gridSpacing !== this.gridSpacing) {
+            this.gridSpacing = options.gridSpacing;
+            gridChanged = true;
+        }
+
+        if (device) {
+            if (needsGridPipelineRecreation) {
+                await this.initGrid(); // This recreates pipeline and geometry
+            } else if (gridChanged) {
+                this.createGridGeometry();
+                this.updateGridUniforms();
+            } else if (this.gridUniformBuffer) {
+                device.queue.writeBuffer(this.gridUniformBuffer, 0, this.gridUniformArray);
+            }
+        }
+
+        // Section planes arrive as [nx, ny, nz, d] with unit normals
+        if (Array.isArray(options.clipPlanes)) {
+            const planes = options.clipPlanes.slice(0, MAX_CLIP_PLANES);
+            this.clipPlanes.fill(0);
+            planes.forEach((plane, i) => this.clipPlanes.set(plane, 4 * i));
+            this.clipPlaneCount[0] = planes.length;
+        }
+        if (options.capColor) this.capColor = options.capColor;
+        if (typeof options.showCaps === 'boolean') this.showCaps = options.showCaps;
+        if (device && this.capUniformBuffer) this.writeCapUniforms();
+
+        // Mesh display mode and edge style (the uniforms are written per frame)
+        if (options.meshDisplayMode) this.meshDisplayMode = options.meshDisplayMode;
+        if (typeof options.featureEdgeAngle === 'number') this.featureEdgeAngle = options.featureEdgeAngle;
+        if (options.edgeColor) this.edgeColor = options.edgeColor;
+        if (typeof options.edgeWidth === 'number') this.edgeWidth = options.edgeWidth;
+        if (device) {
+            for (const mesh of this.meshes) this.updateMeshEdges(mesh);
+        }
+
+        // Shadows and ambient occlusion
+        if (options.shadows && options.shadows !== this.shadowQuality) {
+            this.shadowQuality = options.shadows;
+            if (device) this.updateShadowMap();
+        }
+        if (options.ambientOcclusion && options.ambientOcclusion !== this.ambientOcclusionQuality) {
+            this.ambientOcclusionQuality = options.ambientOcclusion;
+            if (device && this.renderTargets) this.allocateRenderTargets(this.canvas.width, this.canvas.height);
+        }
+
+        if (options.transparencyMode && options.transparencyMode !== this.transparencyMode) {
+            this.transparencyMode = options.transparencyMode;
+            if (device) {
+                await Promise.all(this.meshes.map(mesh => this.updateMeshPipeline(mesh)));
+                if (this.renderTargets) this.allocateRenderTargets(this.canvas.width, this.canvas.height);
+            }
+        }
+
+        if (options.cullMode && options.cullMode !== this.cullMode) {
+            this.cullMode = options.cullMode;
+            if (device) await Promise.all(this.meshes.map(mesh => this.updateMeshPipeline(mesh)));
+        }
+
+        // Update clear color
+        if (options.clearColor) {
+            this.clearColor = options.clearColor;
+            if (this.renderTargets) this.renderTargets.colorAttachment.clearValue = this.clearColor;
+        }
+
+        if (sampleCount !== this.sampleCount) {
+            this.sampleCount = sampleCount;
+            if (device) await this.rebuildPipelines();
+        }
+        this.requestRedraw(); // also restarts the loop when switching to continuous
+    }
+
+    // ========================================================================
+    // Scene Management (Mesh, Lines, Billboards)
+    // ========================================================================
+
+    // Uploads a mesh and returns the index format that was chosen for it ('uint16' or 'uint32').
+    async addMesh(meshData) {
+        await this.deviceReady;
+        const mesh = await this.createMesh(meshData);
+        mesh.hidden = !this.isShown(mesh);
+        this.meshes.push(mesh);
+        this.writeObjectHighlight(mesh);
+        this.requestRedraw();
+        return mesh.indexFormat;
+    }
+
+    // Creates the GPU resources of a mesh. meshData is kept to rebuild them after a device loss.
+    async createMesh(meshData) {
+        const device = this.device;
+        const { id, vertices, indices, colors, normals, uvs, texture, singleColor, material } = meshData;
+
+        // Positions and indices are also read as storage buffers by the picking pass
+        const vertexBuffer = createBuffer(device, vertices, GPUBufferUsage.VERTEX | GPUBufferUsage.STORAGE);
+        const { indexBuffer, indexFormat } = createIndexBuffer(device, indices, GPUBufferUsage.STORAGE);
+        // Without normals the mesh is flat shaded and reads the shared zero normal for every vertex
+        const normalBuffer = normals ? createBuffer(device, normals, GPUBufferUsage.VERTEX) : null;
+        // Texture coordinates are only uploaded when there is a texture to sample
+        const uvBuffer = uvs && texture ? createBuffer(device, uvs, GPUBufferUsage.VERTEX) : null;
+
+        // Calculate bounding box and center for sorting, and the radius for the shadow bounds
+        const center = computeCenter(vertices);
+        const localRadius = computeRadius(vertices, center);
+
+        let colorBuffer = null;
+        let colorUniformBuffer = null;
+        const isTransparent = hasTransparency(colors);
+
+        if (singleColor || material || uvBuffer) {
+            // With a material this holds the whole material, starting with its base color. Textured
+            // meshes with vertex colors multiply them with white.
+            const baseColor = singleColor ? colors : WHITE;
+            const uniforms = material ? materialUniforms(baseColor, material) : baseColor;
+            colorUniformBuffer = createBuffer(device, uniforms, GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST);
+        }
+        if (!singleColor) {
+            colorBuffer = createBuffer(device, colors, GPUBufferUsage.VERTEX);
+        }
+
+        const mesh = {
+            id,
+            source: meshData,
+            groupId: meshData.groupId ?? null,
+            visible: true,
+            center, // Store center for sorting (world space, follows the model matrix)
+            localCenter: center,
+            localRadius,
+            model: this.createModelBinding(`Mesh ${id}`),
+            edges: null, // { key, buffer, count } while the display mode shows edges
+            vertexBuffer,
+            colorBuffer,
+            colorUniformBuffer,
+            normalBuffer,
+            uvBuffer,
+            indexBuffer,
+            bindGroup: null, // see createMeshBindGroup
+            singleColor,
+            isPbr: !!material,
+            isTransparent,
+            indexCount: indices.length,
+            indexFormat,
+            pipeline: null,
+            oitPipeline: null // see updateMeshPipeline
+        };
+        mesh.bindGroup = this.createMeshBindGroup(mesh);
+        await this.updateMeshPipeline(mesh);
+        this.updateMeshEdges(mesh);
+        return mesh;
+    }
+
+    // Group 1 of meshes with their own color, material or texture next to the lights; null for
+    // meshes with only vertex colors, which bind the lights alone
+    createMeshBindGroup(mesh) {
+        if (!mesh.colorUniformBuffer) return null;
+        const entries = [
+            { binding: 0, resource: { buffer: this.lightUniformBuffer } },
+            { binding: 1, resource: { buffer: mesh.colorUniformBuffer } }
+        ];
+        const label = `Mesh ${mesh.id} BG`;
+        if (!mesh.isPbr && !mesh.uvBuffer) {
+            return this.device.createBindGroup({ label, layout: this.gpu.meshColorBindGroupLayout, entries });
+        }
+        // Until its texture is uploaded (and for PBR meshes without one) the mesh samples white
+        const texture = mesh.uvBuffer ? mesh.source.texture : null;
+        const view = this.textures.get(texture?.id)?.view ?? this.whiteTexture.createView();
+        entries.push(
+            { binding: 2, resource: this.getTextureSampler(texture ?? {}) },
+            { binding: 3, resource: view }
+        );
+        return this.device.createBindGroup({ label, layout: this.gpu.meshTextureBindGroupLayout, entries });
+    }
+
+    // Samplers are shared by the meshes with the same meshData.texture settings
+    // ({ filter: 'linear' or 'nearest', wrap: 'repeat', 'mirror-repeat' or 'clamp-to-edge', anisotropy })
+    getTextureSampler({ filter = 'linear', wrap = 'repeat', anisotropy = 1 }) {
+        const key = `${filter}:${wrap}:${anisotropy}`;
+        let sampler = this.textureSamplers.get(key);
+        if (!sampler) {
+            sampler = this.device.createSampler({
+                label: `Texture Sampler (${key})`,
+                magFilter: filter,
+                minFilter: filter,
+                mipmapFilter: filter,
+                addressModeU: wrap,
+                addressModeV: wrap,
+                maxAnisotropy: filter === 'linear' ? anisotropy : 1 // anisotropy needs linear filtering
+            });
+            this.textureSamplers.set(key, sampler);
+        }
+        return sampler;
+    }
+
+    // The meshData.cullMode of the mesh, or the viewer's cull mode when it has none
+    cullModeOf(mesh) {
+        return mesh.source.cullMode ?? this.cullMode;
+    }
+
+    // Sets the mesh's pipeline and, for transparent meshes under weighted blended transparency,
+    // the one that accumulates it
+    async updateMeshPipeline(mesh) {
+        const args = [mesh.singleColor, mesh.isTransparent, !!mesh.normalBuffer, this.cullModeOf(mesh), mesh.isPbr, !!mesh.uvBuffer];
+        const accumulates = mesh.isTransparent && this.transparencyMode === 'weightedBlended';
+        [mesh.pipeline, mesh.oitPipeline] = await Promise.all([
+            this.getMeshPipeline(...args),
+            accumulates ? this.getMeshPipeline(...args, true) : null
+        ]);
+    }
+
+    // The meshData.displayMode of the mesh, or the viewer's mode when it has none
+    displayModeOf(mesh) {
+        return mesh.source.displayMode ?? this.meshDisplayMode;
+    }
+
+    // Makes mesh.edges match its display mode: every triangle edge, only the feature edges, or none.
+    // force recomputes them after the geometry changed.
+    updateMeshEdges(mesh, force = false) {
+        const mode = this.displayModeOf(mesh);
+        const key = mode === 'wireframe' || mode === 'shadedWithEdges' ? 'all'
+            : mode === 'featureEdges' ? `feature:${this.featureEdgeAngle}`
+            : null;
+        if (!force && (mesh.edges?.key ?? null) === key) return;
+
+        mesh.edges?.buffer.destroy();
+        mesh.edges = null;
+        if (!key) return;
+        const { vertices, indices } = mesh.source;
+        const edges = computeEdges(vertices, indices, key === 'all' ? null : this.featureEdgeAngle);
+        if (edges.length === 0) return;
+        mesh.edges = {
+            key,
+            buffer: createBuffer(this.device, edges, GPUBufferUsage.VERTEX),
+            count: edges.length / 6
+        };
+        this.requestRedraw();
+    }
+
+    // ========================================================================
+    // Scene Graph (id-based updates, visibility and groups)
+    // ========================================================================
+
+    // Groups only exist to show, hide, recolor or remove objects together. Objects join one
+    // through the groupId field of their data; groups nest through parentId.
+    addGroup(id, parentId = null) {
+        if (parentId != null && (parentId === id || this.isInGroup(parentId, id))) {
+            throw new Error(`Group '${parentId}' is inside group '${id}' and can't be its parent`);
+        }
+        this.groups.set(id, { parentId, visible: this.groups.get(id)?.visible ?? true });
+        this.updateHidden();
+    }
+
+    // Shows or hides a group (and everything in it) or the objects with this id
+    setVisible(id, visible) {
+        const group = this.groups.get(id);
+        if (group) group.visible = visible;
+        for (const obj of this.allObjects()) {
+            if (obj.id === id) obj.visible = visible;
+        }
+        this.updateHidden();
+    }
+
+    // Gives the meshes and lines with this id, or in this group, a single RGBA color (0-1)
+    async setColor(id, rgba) {
+        await this.deviceReady;
+        const targets = this.objectsIn(id);
+        for (const mesh of this.meshes.filter(m => targets.has(m))) {
+            const vertexCount = mesh.source.singleColor ? 1 : mesh.source.vertices.length / 3;
+            await this.updateMeshObject(mesh, { colors: repeatColor(rgba, vertexCount) });
+        }
+        for (const line of this.lines.filter(l => targets.has(l))) {
+            await this.updateLinesObject(line, { colors: repeatColor(rgba, line.source.vertices.length / 3) });
+        }
+        this.requestRedraw();
+    }
+
+    // Gives the meshes with this id, or in this group, a PBR material
+    // ({ metallic, roughness, emissive: [r, g, b], environment }); null returns them to the default shading
+    async setMaterial(id, material) {
+        await this.deviceReady;
+        const targets = this.objectsIn(id);
+        for (const mesh of this.meshes.filter(m => targets.has(m))) {
+            await this.updateMeshObject(mesh, { material });
+        }
+        this.requestRedraw();
+    }
+
+    // Sets the display mode of the meshes with this id, or in this group: 'shaded', 'wireframe',
+    // 'shadedWithEdges' or 'featureEdges'. null makes them follow the viewer's mode again.
+    setDisplayMode(id, mode) {
+        const targets = this.objectsIn(id);
+        for (const mesh of this.meshes.filter(m => targets.has(m))) {
+            mesh.source = { ...mesh.source, displayMode: mode };
+            if (this.device) this.updateMeshEdges(mesh);
+        }
+        this.requestRedraw();
+    }
+
+    // Sets which faces of the meshes with this id, or in this group, are culled: 'back', 'front'
+    // or 'none'. null makes them follow the viewer's cull mode again.
+    async setCullMode(id, mode) {
+        const targets = this.objectsIn(id);
+        for (const mesh of this.meshes.filter(m => targets.has(m))) {
+            mesh.source = { ...mesh.source, cullMode: mode };
+            if (this.device) await this.updateMeshPipeline(mesh);
+        }
+        this.requestRedraw();
+    }
+
+    // Removes the objects with this id, or a group with all groups and objects inside it
+    removeObject(id) {
+        const removed = this.objectsIn(id);
+        removeWhere(this.meshes, m => removed.has(m), destroyMeshBuffers);
+        removeWhere(this.lines, l => removed.has(l), destroyLineBuffers);
+        removeWhere(this.textBillboards, b => removed.has(b), destroyBillboardResources);
+        removeWhere(this.labels, l => removed.has(l), destroyLabelResources);
+        const groupIds = [...this.groups.keys()].filter(groupId => groupId === id || this.isInGroup(groupId, id));
+        for (const groupId of groupIds) this.groups.delete(groupId);
+        this.requestRedraw();
+    }
+
+    // Replaces part of a mesh's data: any of { vertices, indices, colors, normals, uvs, texture, singleColor }.
+    // Buffers are rewritten in place when the sizes match; otherwise the mesh is rebuilt.
+    // Returns the index format, or null when there is no mesh with this id.
+    async updateMesh(id, partialData) {
+        await this.deviceReady;
+        const mesh = this.meshes.find(m => m.id === id);
+        if (!mesh) return null;
+        return (await this.updateMeshObject(mesh, partialData)).indexFormat;
+    }
+
+    // Replaces part of a polyline's data (the arrays addLines takes), like updateMesh
+    async updateLines(id, partialData) {
+        await this.deviceReady;
+        const line = this.lines.find(l => l.id === id);
+        if (!line) return null;
+        return (await this.updateLinesObject(line, partialData)).indexFormat;
+    }
+
+    async updateMeshObject(mesh, partialData) {
+        const source = mesh.source;
+        const data = { ...source, ...partialData, id: mesh.id };
+        let updated = mesh;
+        const colorBuffer = mesh.singleColor ? 'colorUniformBuffer' : 'colorBuffer';
+        const arrayBuffers = { vertices: 'vertexBuffer', normals: 'normalBuffer', uvs: 'uvBuffer', colors: colorBuffer };
+        if (data.singleColor !== mesh.singleColor || !!data.material !== mesh.isPbr ||
+            !!(data.uvs && data.texture) !== !!mesh.uvBuffer || !this.rewriteBuffers(mesh, data, arrayBuffers)) {
+            updated = await this.createMesh(data);
+            this.replaceObject(this.meshes, mesh, updated, destroyMeshBuffers);
+        } else {
+            if (mesh.isPbr && (data.material !== source.material || data.colors !== source.colors)) {
+                writeToBuffer(this.device, mesh.colorUniformBuffer, materialUniforms(mesh.singleColor ? data.colors : WHITE, data.material));
+            }
+            if (data.texture !== source.texture) mesh.bindGroup = this.createMeshBindGroup(mesh);
+            this.updateMeshEdges(mesh, data.vertices !== source.vertices || data.indices !== source.indices);
+            if (hasTransparency(data.colors) !== mesh.isTransparent) {
+                mesh.isTransparent = !mesh.isTransparent;
+                await this.updateMeshPipeline(mesh);
+            }
+        }
+        this.requestRedraw();
+        return updated;
+    }
+
+    async updateLinesObject(line, partialData) {
+        const source = line.source;
+        const data = { ...source, ...partialData, id: line.id };
+        let updated = line;
+        const arrayBuffers = {
+            vertices: 'posBuffer',
+            colors: 'colorBuffer',
+            thickness: 'thicknessBuffer',
+            uvs: 'uvBuffer',
+            endPositions: 'endPosBuffer',
+            fades: 'fadeBuffer',
+            neighbors: 'neighborBuffer'
+        };
+        if (!this.rewriteBuffers(line, data, arrayBuffers)) {
+            updated = await this.createLines(data);
+            this.replaceObject(this.lines, line, updated, destroyLineBuffers);
+        } else if (data.style !== source.style) {
+            this.writeLineStyle(line.model, data.style);
+        }
+        this.requestRedraw();
+        return updated;
+    }
+
+    // Writes the arrays of data that differ from obj.source into obj's existing buffers
+    // (arrayBuffers maps array name -> buffer property). Returns false without writing anything
+    // when an array changed size or the index format would change.
+    rewriteBuffers(obj, data, arrayBuffers) {
+        const source = obj.source;
+        const changed = Object.entries(arrayBuffers).filter(([name]) => data[name] !== source[name]);
+        if (changed.some(([name, buffer]) => !obj[buffer] || data[name]?.length !== source[name]?.length)) return false;
+        const indicesChanged = data.indices !== source.indices;
+        if (indicesChanged && (data.indices.length !== source.indices.length || indexFormatOf(data.indices) !== obj.indexFormat)) return false;
+
+        for (const [name, buffer] of changed) {
+            writeToBuffer(this.device, obj[buffer], data[name]);
+        }
+        if (indicesChanged) {
+            writeToBuffer(this.device, obj.indexBuffer, data.indices, obj.indexFormat === 'uint32' ? Uint32Array : Uint16Array);
+        }
+        if (data.vertices !== source.vertices) {
+            obj.localCenter = computeCenter(data.vertices);
+            obj.localRadius = computeRadius(data.vertices, obj.localCenter);
+            obj.center = transformPoint(obj.localCenter, obj.model.modelMatrix);
+        }
+        obj.source = data;
+        return true;
+    }
+
+    // Puts a rebuilt object in the place of the old one, keeping what isn't part of its source data
+    // (transform, tint, highlight and visibility)
+    replaceObject(list, old, obj, destroy) {
+        if (old.model) {
+            obj.model.data.set(old.model.data.subarray(0, old.model.lineStyle.byteOffset / 4)); // the line style comes with the source
+            this.device.queue.writeBuffer(obj.model.buffer, 0, obj.model.data);
+            obj.center = transformPoint(obj.localCenter, obj.model.modelMatrix);
+            obj.isHighlighted = old.isHighlighted;
+        }
+        obj.visible = old.visible;
+        obj.hidden = old.hidden;
+
+        const index = list.indexOf(old);
+        if (index < 0) {
+            destroy(obj); // removed while it was being rebuilt
+            return;
+        }
+        list[index] = obj;
+        if (old !== obj) destroy(old);
+    }
+
+    allObjects() {
+        return [...this.meshes, ...this.lines, ...this.textBillboards, ...this.labels];
+    }
+
+    // The objects with this id plus, when it is a group, every object inside it
+    objectsIn(id) {
+        return new Set(this.allObjects().filter(obj => obj.id === id || this.isInGroup(obj.groupId, id)));
+    }
+
+    isInGroup(groupId, ancestorId) {
+        for (let id = groupId; id != null; id = this.groups.get(id)?.parentId) {
+            if (id === ancestorId) return true;
+        }
+        return false;
+    }
+
+    // An object is drawn (and pickable) when it and every group above it are visible
+    isShown(obj) {
+        if (!obj.visible) return false;
+        for (let id = obj.groupId; id != null; id = this.groups.get(id)?.parentId) {
+            if (this.groups.get(id)?.visible === false) return false;
+        }
+        return true;
+    }
+
+    updateHidden() {
+        for (const obj of this.allObjects()) {
+            obj.hidden = !this.isShown(obj);
+        }
+        this.requestRedraw();
+    }
+
+    // ========================================================================
+    // Binary Uploads
+    // ========================================================================
+
+    // Same as addMesh/addLines, but the number arrays arrive packed in one byte array
+    // (header.sections says where) instead of as JSON.
+    addMeshBinary(header, bytes) {
+        return this.addMesh(unpackGeometry(header, bytes));
+    }
+
+    addLinesBinary(header, bytes) {
+        return this.addLines(unpackGeometry(header, bytes));
+    }
+
+    updateMeshBinary(header, bytes) {
+        return this.updateMesh(header.id, unpackGeometry(header, bytes));
+    }
+
+    updateLinesBinary(header, bytes) {
+        return this.updateLines(header.id, unpackGeometry(header, bytes));
+    }
+
+    // Large payloads arrive in chunks: beginUpload, uploadChunk for each part, then finishUpload.
+    // The assembled bytes are kept as the object's source, which a device loss needs anyway.
+    beginUpload(byteLength) {
+        const uploadId = this.nextUploadId++;
+        this.uploads.set(uploadId, new Uint8Array(byteLength));
+        return uploadId;
+    }
+
+    async uploadChunk(uploadId, offset, bytes) {
+        this.uploads.get(uploadId).set(bytes, offset);
+        // Let the browser handle input and draw between chunks
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    // Passes the assembled data to method: 'addMesh', 'addLines', 'updateMesh' or 'updateLines'
+    finishUpload(uploadId, method, header) {
+        const data = unpackGeometry(header, this.uploads.get(uploadId));
+        this.uploads.delete(uploadId);
+        switch (method) {
+            case 'addMesh': return this.addMesh(data);
+            case 'addLines': return this.addLines(data);
+            case 'updateMesh': return this.updateMesh(data.id, data);
+            case 'updateLines': return this.updateLines(data.id, data);
+            default: throw new Error(`Unknown upload method '${method}'`);
+        }
+    }
+
+    // ========================================================================
+    // Shared Pipelines
+    // ========================================================================
+
+    // Objects only differ in their buffers and bind groups, so each pipeline below is created once
+    // per state and shared by every object (and viewer) that needs it.
+
+    // hasUvs selects the textured variant (PBR meshes always sample a texture, white without uvs).
+    // accumulate selects the weighted blended transparency variant of a transparent mesh's pipeline.
+    getMeshPipeline(singleColor, isTransparent, hasNormals, cullMode, isPbr = false, hasUvs = false, accumulate = false) {
+        const blending = !isTransparent ? 'opaque' : accumulate ? 'accumulate' : 'blend';
+        const key = `mesh:${isPbr ? 'pbr' : 'phong'}${hasUvs ? '-textured' : ''}:${singleColor ? 'uniform' : 'vertex'}-color:${blending}:${hasNormals ? 'normals' : 'flat'}:cull-${cullMode}:${this.sampleCount}:${this.colorFormat}`;
+        return getRenderPipeline(this.gpu, key, () => {
+            const isTextured = isPbr || hasUvs;
+            const module = isPbr ? getShaderModule(this.gpu, 'Mesh PBR Shader', MESH_PBR_SHADER)
+                : hasUvs ? getShaderModule(this.gpu, 'Mesh Textured Shader', MESH_TEXTURED_SHADER)
+                : singleColor ? getShaderModule(this.gpu, 'Mesh Shader', MESH_SHADER)
+                : getShaderModule(this.gpu, 'Mesh Vertex Color Shader', MESH_SHADER_VERTEX_COLOR);
+            const buffers = [{ arrayStride: 12, attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] }];
+            if (isTextured || !singleColor) {
+                // Single-color PBR and textured meshes read the shared white color for every vertex
+                buffers.push({ arrayStride: singleColor ? 0 : 16, attributes: [{ shaderLocation: 1, offset: 0, format: 'float32x4' }] });
+            }
+            // Flat-shaded meshes read the shared zero normal for every vertex
+            buffers.push({ arrayStride: hasNormals ? 12 : 0, attributes: [{ shaderLocation: 2, offset: 0, format: 'float32x3' }] });
+            if (isTextured) {
+                buffers.push({ arrayStride: hasUvs ? 8 : 0, attributes: [{ shaderLocation: 3, offset: 0, format: 'float32x2' }] });
+            }
+
+            return {
+                label: `Mesh Pipeline (${key})`,
+                layout: this.device.createPipelineLayout({
+                    bindGroupLayouts: [
+                        this.gpu.frameBindGroupLayout,
+                        isTextured ? this.gpu.meshTextureBindGroupLayout
+                            : singleColor ? this.gpu.meshColorBindGroupLayout : this.gpu.lightBindGroupLayout,
+                        this.gpu.modelBindGroupLayout,
+                        this.gpu.shadingBindGroupLayout
+                    ]
+                }),
+                vertex: { module, entryPoint: 'vertexMain', buffers },
+                fragment: accumulate
+                    ? { module, entryPoint: 'fragmentAccumulate', targets: ACCUMULATION_TARGETS }
+                    : { module, entryPoint: 'fragmentMain', targets: this.blendedColorTargets() },
+                depthStencil: {
+                    format: this.depthFormat,
+                    depthWriteEnabled: !isTransparent,
+                    depthCompare: 'less-equal'
+                },
+                multisample: { count: this.sampleCount },
+                primitive: { topology: 'triangle-list', cullMode }
+            };
+        });
+    }
+
+    getLinePipeline() {
+        const key = `lines:${this.sampleCount}:${this.colorFormat}`;
+        return getRenderPipeline(this.gpu, key, () => {
+            const module = getShaderModule(this.gpu, 'Line Shader', BILLBOARD_LINE_SHADER);
+            return {
+                label: `Line Pipeline (${key})`,
+                layout: this.device.createPipelineLayout({ bindGroupLayouts: [this.gpu.frameBindGroupLayout, this.gpu.modelBindGroupLayout] }),
+                vertex: { module, entryPoint: 'vertexMain', buffers: LINE_VERTEX_BUFFERS },
+                fragment: { module, entryPoint: 'fragmentMain', targets: this.blendedColorTargets() },
+                depthStencil: {
+                    format: this.depthFormat,
+                    depthWriteEnabled: false, // Transparent objects test depth but don't write to it
+                    depthCompare: 'less-equal'
+                },
+                multisample: { count: this.sampleCount },
+                primitive: { topology: 'triangle-list', cullMode: 'none' }
+            };
+        });
+    }
+
+    getEdgePipeline() {
+        const key = `edges:${this.sampleCount}:${this.colorFormat}`;
+        return getRenderPipeline(this.gpu, key, () => {
+            const module = getShaderModule(this.gpu, 'Edge Shader', EDGE_SHADER);
+            return {
+                label: `Edge Pipeline (${key})`,
+                layout: this.device.createPipelineLayout({
+                    bindGroupLayouts: [this.gpu.frameBindGroupLayout, this.gpu.modelBindGroupLayout, this.gpu.edgeBindGroupLayout]
+                }),
+                vertex: {
+                    module,
+                    entryPoint: 'vertexMain',
+                    // Start and end of each edge, one edge per instance
+                    buffers: [{
+                        arrayStride: 24,
+                        stepMode: 'instance',
+                        attributes: [
+                            { shaderLocation: 0, offset: 0, format: 'float32x3' },
+                            { shaderLocation: 1, offset: 12, format: 'float32x3' }
+                        ]
+                    }]
+                },
+                fragment: { module, entryPoint: 'fragmentMain', targets: this.blendedColorTargets() },
+                depthStencil: {
+                    format: this.depthFormat,
+                    depthWriteEnabled: false,
+                    depthCompare: 'less-equal'
+                },
+                multisample: { count: this.sampleCount },
+                primitive: { topology: 'triangle-strip', cullMode: 'none' }
+            };
+        });
+    }
+
+    // Billboards and labels have no depth attachment; they read the scene depth instead (sceneDepthWgsl)
+    getBillboardPipeline() {
+        const key = `billboard:${this.sampleCount}:${this.colorFormat}`;
+        return getRenderPipeline(this.gpu, key, () => {
+            const module = getShaderModule(this.gpu, 'Billboard Shader', BILLBOARD_SHADER + sceneDepthWgsl(this.sampleCount > 1));
+            return {
+                label: `Billboard Pipeline (${key})`,
+                layout: this.device.createPipelineLayout({
+                    bindGroupLayouts: [this.gpu.frameBindGroupLayout, this.gpu.billboardBindGroupLayout, this.sceneDepthBindGroupLayout()]
+                }),
+                vertex: { module, entryPoint: 'vertexMain', buffers: BILLBOARD_VERTEX_BUFFERS },
+                fragment: { module, entryPoint: 'fragmentMain', targets: this.blendedColorTargets() },
+                multisample: { count: this.sampleCount }
+            };
         });
     }
 
-    // Add text billboards
-    for (const billboard of textBillboards) {
-        if (!billboard.pipeline || !billboard.vertexBuffer || !billboard.indexBuffer) continue;
-        const viewSpacePos = transformPoint(billboard.position, viewMatrix);
-        transparentDrawables.push({
-            depth: viewSpacePos[2],
-            draw: () => {
-                pass.setPipeline(billboard.pipeline);
-                pass.setBindGroup(0, frameBindGroup);
-                pass.setBindGroup(1, billboard.bindGroup);
-                pass.setVertexBuffer(0, billboard.vertexBuffer);
-                pass.setIndexBuffer(billboard.indexBuffer, 'uint16');
-                pass.drawIndexed(billboard.indexCount);
-            }
+    getLabelPipeline() {
+        const key = `labels:${this.sampleCount}:${this.colorFormat}`;
+        return getRenderPipeline(this.gpu, key, () => {
+            const module = getShaderModule(this.gpu, 'Label Shader', LABEL_SHADER + sceneDepthWgsl(this.sampleCount > 1));
+            return {
+                label: `Label Pipeline (${key})`,
+                layout: this.device.createPipelineLayout({
+                    bindGroupLayouts: [this.gpu.frameBindGroupLayout, this.gpu.labelBindGroupLayout, this.sceneDepthBindGroupLayout()]
+                }),
+                vertex: { module, entryPoint: 'vertexMain', buffers: GLYPH_VERTEX_BUFFERS },
+                fragment: { module, entryPoint: 'fragmentMain', targets: this.blendedColorTargets() },
+                multisample: { count: this.sampleCount },
+                primitive: { topology: 'triangle-strip', cullMode: 'none' }
+            };
+        });
+    }
+
+    sceneDepthBindGroupLayout() {
+        return this.gpu.sceneDepthBindGroupLayouts[this.sampleCount > 1 ? 1 : 0];
+    }
+
+    blendedColorTargets() {
+        return [{
+            format: `${this.colorFormat}-srgb`,
+            blend: {
+                color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' },
+                alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
+            }
+        }];
+    }
+
+    // Every pipeline and render target depends on the sample count and color format. Objects keep
+    // their buffers and bind groups and only switch to the pipelines for the new settings.
+    async rebuildPipelines() {
+        // No frames while some objects still have pipelines for the old settings
+        cancelAnimationFrame(this.animationFrameId);
+        this.animationFrameId = 0;
+        const frameCallback = this.frameCallback;
+        this.frameCallback = null;
+
+        this.highlightUniformBuffer?.destroy();
+        this.capUniformBuffer?.destroy();
+        this.edgeUniformBuffer?.destroy();
+        this.destroyCoordinateAxes();
+        await Promise.all([
+            this.initHighlight(),
+            this.initSectionCaps(),
+            this.initEdges(),
+            this.initTransparency(),
+            this.initGrid(),
+            this.coordinateThickness > 0.0 ? this.initCoordinateAxes() : null,
+            ...this.meshes.map(mesh => this.updateMeshPipeline(mesh)),
+            ...this.lines.map(async line => { line.pipeline = await this.getLinePipeline(); }),
+            ...this.textBillboards.map(async billboard => { billboard.pipeline = await this.getBillboardPipeline(); }),
+            ...this.labels.map(async labels => { labels.pipeline = await this.getLabelPipeline(); })
+        ]);
+        if (!this.device) return; // lost or disposed meanwhile; restoring starts its own loop
+
+        this.frameCallback = frameCallback;
+        if (this.renderTargets) {
+            this.allocateRenderTargets(this.canvas.width, this.canvas.height); // also requests the next frame
+        }
+    }
+
+    clearAllMeshes() {
+        for (const mesh of this.meshes) {
+            destroyMeshBuffers(mesh);
+        }
+        this.meshes.length = 0;
+        this.requestRedraw();
+    }
+
+    // Sets the model matrix (16 floats, column-major) of every mesh and polyline with this id.
+    // The geometry stays on the GPU; only the small model uniform is rewritten.
+    setObjectTransform(id, matrixArray) {
+        for (const obj of [...this.meshes, ...this.lines]) {
+            if (obj.id !== id) continue;
+            obj.model.modelMatrix.set(matrixArray);
+            obj.model.normalMatrix.set(normalMatrixOf(obj.model.modelMatrix));
+            this.device?.queue.writeBuffer(obj.model.buffer, 0, obj.model.data); // kept on the CPU while the device is lost
+            obj.center = transformPoint(obj.localCenter, obj.model.modelMatrix);
+        }
+        this.requestRedraw();
+    }
+
+    createModelBinding(label) {
+        // ModelUniforms { model, normalMatrix, tint, highlight, lineStyle, dashPattern }; the line style
+        // stays zero (solid, world units) for everything but lines
+        const data = new Float32Array(48);
+        const modelMatrix = data.subarray(0, 16);
+        const normalMatrix = data.subarray(16, 32);
+        const tint = data.subarray(32, 36);
+        const highlight = data.subarray(36, 40);
+        const lineStyle = data.subarray(40, 44);
+        const dashPattern = data.subarray(44, 48);
+        modelMatrix.set(IDENTITY_MATRIX);
+        normalMatrix.set(IDENTITY_MATRIX);
+        const buffer = createBuffer(this.device, data, GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST);
+        const bindGroup = this.device.createBindGroup({
+            label: `${label} Model BG`,
+            layout: this.gpu.modelBindGroupLayout,
+            entries: [{ binding: 0, resource: { buffer } }]
+        });
+        return { data, modelMatrix, normalMatrix, tint, highlight, lineStyle, dashPattern, buffer, bindGroup };
+    }
+
+    // Writes a polyline's style ({ thicknessUnit: 'world' or 'pixels', miterLimit, dashPattern }) into its model uniforms
+    writeLineStyle(model, style) {
+        model.lineStyle[0] = style?.thicknessUnit === 'pixels' ? 1 : 0;
+        model.lineStyle[1] = style?.miterLimit ?? 4;
+        model.dashPattern.set([0, 1, 2, 3].map(i => style?.dashPattern?.[i] ?? 0));
+        this.device?.queue.writeBuffer(model.buffer, 0, model.data);
+    }
+
+    // ========================================================================
+    // Highlighting
+    // ========================================================================
+
+    // Highlights the meshes and lines with the given ids. channel is 'selected' or 'hover'; each
+    // channel keeps its own ids and style, and hover is drawn over selected. The style is
+    // { outlineColor, outlineWidth, tintColor }, all optional; a null style keeps the current one.
+    setHighlight(ids, style, channel = 'selected') {
+        const highlight = this.highlights[channel];
+        if (!highlight) return;
+        highlight.ids = new Set(ids ?? []);
+        if (style) Object.assign(highlight.style, style);
+        this.writeHighlightUniforms();
+        for (const obj of [...this.meshes, ...this.lines]) {
+            this.writeObjectHighlight(obj);
+        }
+        this.requestRedraw();
+    }
+
+    writeHighlightUniforms() {
+        const { selected, hover } = this.highlights;
+        const pixelRatio = window.devicePixelRatio || 1;
+        const uniforms = this.highlightUniformArray;
+        uniforms.set(selected.style.outlineColor, 0);
+        uniforms.set(hover.style.outlineColor, 4);
+        uniforms[8] = Math.min(selected.style.outlineWidth * pixelRatio, MAX_OUTLINE_WIDTH);
+        uniforms[9] = Math.min(hover.style.outlineWidth * pixelRatio, MAX_OUTLINE_WIDTH);
+        if (this.device && this.highlightUniformBuffer) {
+            this.device.queue.writeBuffer(this.highlightUniformBuffer, 0, uniforms);
+        }
+    }
+
+    // Writes an object's highlight flags (read by the mask pass) and tint into its model uniform
+    writeObjectHighlight(obj) {
+        const { selected, hover } = this.highlights;
+        const isSelected = selected.ids.has(obj.id);
+        const isHovered = hover.ids.has(obj.id);
+        let tint = [0, 0, 0, 0];
+        if (isSelected) tint = selected.style.tintColor;
+        if (isHovered && (hover.style.tintColor[3] > 0 || !isSelected)) tint = hover.style.tintColor;
+
+        obj.model.tint.set(tint);
+        obj.model.highlight.set([isSelected ? 1 : 0, isHovered ? 1 : 0, 0, 0]);
+        obj.isHighlighted = isSelected || isHovered;
+        this.device?.queue.writeBuffer(obj.model.buffer, 0, obj.model.data);
+    }
+
+    // Uploads a polyline and returns the index format that was chosen for it ('uint16' or 'uint32').
+    async addLines(lineData) {
+        await this.deviceReady;
+        const line = await this.createLines(lineData);
+        line.hidden = !this.isShown(line);
+        this.lines.push(line);
+        this.writeObjectHighlight(line);
+        this.requestRedraw();
+        return line.indexFormat;
+    }
+
+    // Creates the GPU resources of a polyline. lineData is kept to rebuild them after a device loss.
+    async createLines(lineData) {
+        const device = this.device;
+        const { id, vertices, thickness, colors, fades } = lineData;
+
+        // Calculate center for sorting
+        const center = computeCenter(vertices);
+
+        // Geometry buffers are created from pre-computed data from C#.
+        // Those the picking pass needs are also readable as storage buffers.
+        const pickable = GPUBufferUsage.VERTEX | GPUBufferUsage.STORAGE;
+        const posBuffer = createBuffer(device, vertices, pickable);
+        const colorBuffer = createBuffer(device, colors, GPUBufferUsage.VERTEX);
+        const thicknessBuffer = createBuffer(device, thickness, pickable);
+        const uvBuffer = createBuffer(device, lineData.uvs, pickable);
+        const endPosBuffer = createBuffer(device, lineData.endPositions, pickable);
+        const fadeBuffer = createBuffer(device, fades, GPUBufferUsage.VERTEX);
+        const neighborBuffer = createBuffer(device, lineData.neighbors, pickable);
+        const { indexBuffer, indexFormat } = createIndexBuffer(device, lineData.indices, GPUBufferUsage.STORAGE);
+
+        const pipeline = await this.getLinePipeline();
+        const model = this.createModelBinding(`Line ${id}`);
+        this.writeLineStyle(model, lineData.style);
+
+        return {
+            id,
+            source: lineData,
+            groupId: lineData.groupId ?? null,
+            visible: true,
+            center, // Store center for sorting (world space, follows the model matrix)
+            localCenter: center,
+            model,
+            posBuffer,
+            colorBuffer,
+            thicknessBuffer,
+            uvBuffer,
+            endPosBuffer,
+            fadeBuffer,
+            neighborBuffer,
+            indexBuffer,
+            indexCount: lineData.indices.length,
+            indexFormat,
+            pipeline
+        };
+    }
+
+    clearAllLines() {
+        for (const line of this.lines) {
+            destroyLineBuffers(line);
+        }
+        this.lines.length = 0;
+        this.requestRedraw();
+    }
+
+    // Removes the polylines with these ids, leaving others (like the lines of measurements) in place
+    removeLinesWithIds(ids) {
+        const removed = new Set(ids);
+        removeWhere(this.lines, l => removed.has(l.id), destroyLineBuffers);
+        this.requestRedraw();
+    }
+
+    async addTextBillboard(billboardData) {
+        await this.deviceReady;
+        const billboard = await this.createTextBillboard(billboardData);
+
+        // Remove existing billboard with same ID
+        this.removeTextBillboard(billboard.id);
+        billboard.hidden = !this.isShown(billboard);
+        this.textBillboards.push(billboard);
+        this.requestRedraw();
+    }
+
+    // Creates the texture and GPU resources of a text billboard. billboardData is kept to rebuild them after a device loss.
+    // Besides { id, text, position, backgroundColor, textColor } it may hold fontFamily, fontSize,
+    // fontWeight, italic, textAlign ('left', 'center' or 'right'), padding and cornerRadius (in the
+    // units of fontSize), sizing ('screen': fontSize is in CSS pixels, or 'world': in world units),
+    // anchor ([x, y] from 0 to 1 across the billboard: the point placed at position), offset
+    // ([x, y] CSS pixels, y up), leaderLine ({ color, width } drawn from position to the anchor), and
+    // occludedOpacity, collision and priority (see createPlacement).
+    async createTextBillboard(billboardData) {
+        const device = this.device;
+        const { id, text, position, backgroundColor, textColor } = billboardData;
+        const {
+            fontFamily = 'sans-serif', fontSize = 14, fontWeight = 'bold', italic = false, textAlign = 'center',
+            padding = 4, cornerRadius = 0, sizing = 'screen', anchor = [0.5, 0.5], offset = [0, 0], leaderLine = null
+        } = billboardData;
+        const isWorldSized = sizing === 'world';
+
+        // Laid out in CSS pixels: world-sized billboards are drawn at WORLD_BILLBOARD_FONT_SIZE and
+        // scaled to their world size
+        const unit = isWorldSized ? WORLD_BILLBOARD_FONT_SIZE / fontSize : 1; // CSS pixels per fontSize unit
+        const font = `${italic ? 'italic ' : ''}${fontWeight} ${fontSize * unit}px ${fontFamily}`;
+        const lines = String(text).split(/\r?\n/);
+        const lineHeight = Math.ceil(fontSize * unit * 1.25);
+        const pad = padding * unit;
+
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        ctx.font = font;
+        const width = Math.max(1, Math.ceil(Math.max(...lines.map(line => ctx.measureText(line).width)) + 2 * pad));
+        const height = Math.ceil(lines.length * lineHeight + 2 * pad);
+        // At the device pixel ratio, so screen-sized text is as sharp as the page's
+        const pixelRatio = window.devicePixelRatio || 1;
+        canvas.width = Math.ceil(width * pixelRatio);
+        canvas.height = Math.ceil(height * pixelRatio);
+        ctx.scale(pixelRatio, pixelRatio); // resizing the canvas reset the context
+
+        // Background
+        ctx.fillStyle = cssColor(backgroundColor);
+        ctx.beginPath();
+        ctx.roundRect(0, 0, width, height, Math.min(cornerRadius * unit, width / 2, height / 2));
+        ctx.fill();
+
+        // Text
+        ctx.fillStyle = cssColor(textColor);
+        ctx.font = font;
+        ctx.textAlign = textAlign;
+        ctx.textBaseline = 'middle';
+        const x = textAlign === 'left' ? pad : textAlign === 'right' ? width - pad : width / 2;
+        lines.forEach((line, i) => ctx.fillText(line, x, pad + (i + 0.5) * lineHeight));
+
+        // Create ImageBitmap for reliable texture copying
+        const bitmap = await createImageBitmap(canvas);
+
+        // World-sized billboards shrink with distance, so they get mipmaps
+        const texture = device.createTexture({
+            size: [canvas.width, canvas.height],
+            format: 'rgba8unorm',
+            mipLevelCount: isWorldSized ? Math.floor(Math.log2(Math.max(canvas.width, canvas.height))) + 1 : 1,
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
+        });
+
+        device.queue.copyExternalImageToTexture(
+            { source: bitmap, flipY: true },
+            { texture, premultipliedAlpha: false },
+            [canvas.width, canvas.height]
+        );
+
+        bitmap.close();
+        if (isWorldSized) await generateMipmaps(this.gpu, texture);
+
+        // The corners, placed around the anchor in world units or CSS pixels (see BILLBOARD_VERTEX_WGSL)
+        const size = isWorldSized ? [width / unit, height / unit] : [width, height];
+        const vertices = [];
+        for (const [u, v] of [[0, 1], [1, 1], [0, 0], [1, 0]]) {
+            const cx = (u - anchor[0]) * size[0];
+            const cy = (v - anchor[1]) * size[1];
+            const offsets = isWorldSized ? [cx, cy, offset[0], offset[1]] : [0, 0, cx + offset[0], cy + offset[1]];
+            vertices.push(...position, u, v, ...offsets, ...WHITE);
+        }
+        const indices = [0, 1, 2, 1, 3, 2];
+
+        // The leader line runs from position to the anchor, under the billboard. It is laid out by the
+        // shader (see BILLBOARD_VERTEX_WGSL), as de-cluttering may move the anchor.
+        if (leaderLine) {
+            const halfWidth = leaderLine.width / 2;
+            for (const [along, across] of [[0, halfWidth], [0, -halfWidth], [1, halfWidth], [1, -halfWidth]]) {
+                vertices.push(...position, -1, -1, along, across, ...offset, ...leaderLine.color);
+            }
+            indices.unshift(4, 5, 6, 5, 7, 6);
+        }
+
+        const vertexBuffer = createBuffer(device, vertices, GPUBufferUsage.VERTEX);
+        const indexBuffer = createBuffer(device, new Uint16Array(indices), GPUBufferUsage.INDEX, Uint16Array);
+
+        const sampler = device.createSampler({
+            magFilter: 'linear',
+            minFilter: 'linear',
+            mipmapFilter: 'linear',
+            addressModeU: 'clamp-to-edge',
+            addressModeV: 'clamp-to-edge'
+        });
+
+        const extents = new Float32Array([-anchor[0] * size[0], -anchor[1] * size[1], (1 - anchor[0]) * size[0], (1 - anchor[1]) * size[1]]);
+        const placement = createPlacement(device, GPUBufferUsage.UNIFORM, position, extents, 1, isWorldSized, billboardData);
+
+        const bindGroup = device.createBindGroup({
+            layout: this.gpu.billboardBindGroupLayout,
+            entries: [
+                { binding: 0, resource: sampler },
+                { binding: 1, resource: texture.createView() },
+                { binding: 2, resource: { buffer: placement.buffer } }
+            ]
+        });
+
+        const pipeline = await this.getBillboardPipeline();
+
+        return {
+            id,
+            source: billboardData,
+            groupId: billboardData.groupId ?? null,
+            visible: true,
+            position, // Store position for sorting
+            placement,
+            vertexBuffer,
+            indexBuffer,
+            bindGroup,
+            texture,
+            sampler,
+            indexCount: indices.length,
+            pipeline
+        };
+    }
+
+    removeTextBillboard(billboardId) {
+        const index = this.textBillboards.findIndex(b => b.id === billboardId);
+        if (index >= 0) {
+            destroyBillboardResources(this.textBillboards[index]);
+            this.textBillboards.splice(index, 1);
+            this.requestRedraw();
+        }
+    }
+
+    clearAllTextBillboards() {
+        for (const billboard of this.textBillboards) {
+            destroyBillboardResources(billboard);
+        }
+        this.textBillboards.length = 0;
+        this.requestRedraw();
+    }
+
+    // ========================================================================
+    // Textures
+    // ========================================================================
+
+    // Decodes an image file (bytes with this MIME type, e.g. 'image/png') into the texture with this
+    // id, replacing an earlier upload with the same id. Meshes whose meshData.texture names the id
+    // sample it, whether they were added before or after the upload.
+    async uploadTexture(id, bytes, mimeType) {
+        await this.deviceReady;
+        const texture = await this.createTexture({ bytes, mimeType });
+        const old = this.textures.get(id);
+        this.textures.set(id, texture);
+        this.updateTextureBindings(id);
+        old?.texture.destroy();
+    }
+
+    // Creates the mipmapped GPU texture of an upload. source is kept to rebuild it after a device loss.
+    async createTexture(source) {
+        const device = this.device;
+        const bitmap = await createImageBitmap(new Blob([source.bytes], { type: source.mimeType }));
+        const size = [bitmap.width, bitmap.height];
+        const texture = device.createTexture({
+            size,
+            format: 'rgba8unorm',
+            mipLevelCount: Math.floor(Math.log2(Math.max(...size))) + 1,
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
+        });
+
+        // Flipped like the billboards, so uv (0, 0) is the bottom-left corner of the image
+        device.queue.copyExternalImageToTexture(
+            { source: bitmap, flipY: true },
+            { texture, premultipliedAlpha: false },
+            size
+        );
+        bitmap.close();
+        await generateMipmaps(this.gpu, texture);
+        return { source, texture, view: texture.createView() };
+    }
+
+    // Meshes using the texture sample white until another texture is uploaded with its id
+    removeTexture(id) {
+        const texture = this.textures.get(id);
+        if (!texture) return;
+        this.textures.delete(id);
+        this.updateTextureBindings(id);
+        texture.texture.destroy();
+    }
+
+    updateTextureBindings(id) {
+        for (const mesh of this.meshes) {
+            if (mesh.uvBuffer && mesh.source.texture.id === id) mesh.bindGroup = this.createMeshBindGroup(mesh);
+        }
+        this.requestRedraw();
+    }
+
+    // ========================================================================
+    // Labels
+    // ========================================================================
+
+    // Adds a batch of labels, drawn with one draw call, replacing any labels with the same id.
+    // positions holds x, y, z for each of the strings, which may contain line breaks. style may hold
+    // fontFamily, fontWeight, fontSize, color, outlineColor, outlineWidth (in the units of fontSize),
+    // sizing, anchor, offset, textAlign, occludedOpacity, collision and priority, as for text
+    // billboards; de-cluttering places the labels of a batch one by one. Labels are not picked.
+    async addLabels(id, positions, strings, style = {}, groupId = null) {
+        await this.deviceReady;
+        const labels = await this.createLabels({ id, positions, strings, style, groupId });
+        removeWhere(this.labels, l => l.id === id, destroyLabelResources);
+        labels.hidden = !this.isShown(labels);
+        this.labels.push(labels);
+        this.requestRedraw();
+    }
+
+    // Creates the glyph instances and style uniforms of a label batch. labelData is kept to rebuild them after a device loss.
+    async createLabels(labelData) {
+        const device = this.device;
+        const { id, positions, strings, style } = labelData;
+        const {
+            fontFamily = 'sans-serif', fontWeight = 'normal', fontSize = 12, color = [1, 1, 1, 1],
+            outlineColor = [0, 0, 0, 1], outlineWidth = 0, sizing = 'screen', anchor = [0.5, 0.5],
+            offset = [0, 0], textAlign = 'center'
+        } = style;
+        const atlas = this.getGlyphAtlas(fontFamily, fontWeight);
+
+        // Each glyph is placed around its label's anchor in em, as is the rectangle the label covers
+        const glyphs = [];
+        const extents = new Float32Array(4 * strings.length);
+        strings.forEach((text, i) => {
+            const position = [positions[3 * i], positions[3 * i + 1], positions[3 * i + 2]];
+            const lines = String(text).split(/\r?\n/).map(line => [...line].map(char => this.getGlyph(atlas, char)));
+            const widths = lines.map(line => line.reduce((sum, glyph) => sum + glyph.advance, 0));
+            const width = Math.max(...widths);
+            const height = lines.length * LABEL_LINE_HEIGHT;
+            extents.set([-anchor[0] * width, -anchor[1] * height, (1 - anchor[0]) * width, (1 - anchor[1]) * height], 4 * i);
+            lines.forEach((line, row) => {
+                const indent = textAlign === 'left' ? 0 : (width - widths[row]) / (textAlign === 'right' ? 1 : 2);
+                let x = indent - anchor[0] * width;
+                const y = height - (row + 0.5) * LABEL_LINE_HEIGHT - anchor[1] * height; // center of the line
+                for (const glyph of line) {
+                    if (glyph.quad) {
+                        const [qx, qy, qw, qh] = glyph.quad;
+                        glyphs.push(...position, x + qx, y + qy, qw, qh, ...glyph.uvRect, i);
+                    }
+                    x += glyph.advance;
+                }
+            });
+        });
+
+        const styleArray = new Float32Array(LABEL_STYLE_SIZE / Float32Array.BYTES_PER_ELEMENT);
+        styleArray.set(color, 0);
+        styleArray.set(outlineWidth > 0 ? outlineColor : color, 4); // without an outline the edges blend into the fill
+        styleArray.set(offset, 8);
+        styleArray[10] = fontSize;
+        // The outline reaches outlineWidth beyond the glyph edge, or as far as the distance field does
+        styleArray[11] = 0.5 - Math.min(outlineWidth / fontSize * SDF_FONT_SIZE, SDF_RADIUS) / (2 * SDF_RADIUS);
+        new Uint32Array(styleArray.buffer, 48, 1)[0] = sizing === 'world' ? 1 : 0;
+        const styleBuffer = createBuffer(device, styleArray, GPUBufferUsage.UNIFORM);
+        const placement = createPlacement(device, GPUBufferUsage.STORAGE, positions, extents, fontSize, sizing === 'world', style);
+
+        const bindGroup = device.createBindGroup({
+            label: `Labels ${id} BG`,
+            layout: this.gpu.labelBindGroupLayout,
+            entries: [
+                { binding: 0, resource: { buffer: styleBuffer } },
+                { binding: 1, resource: atlas.sampler },
+                { binding: 2, resource: atlas.view },
+                { binding: 3, resource: { buffer: placement.buffer } }
+            ]
+        });
+
+        // The label index of each glyph is an integer among the floats
+        const glyphArray = new Float32Array(glyphs);
+        const labelIndices = new Uint32Array(glyphArray.buffer);
+        for (let i = 11; i < glyphs.length; i += 12) labelIndices[i] = glyphs[i];
+
+        return {
+            id,
+            source: labelData,
+            groupId: labelData.groupId ?? null,
+            visible: true,
+            center: computeCenter(positions), // for sorting
+            placement,
+            glyphBuffer: glyphs.length > 0 ? createBuffer(device, glyphArray, GPUBufferUsage.VERTEX) : null,
+            glyphCount: glyphs.length / 12,
+            styleBuffer,
+            bindGroup,
+            pipeline: await this.getLabelPipeline()
+        };
+    }
+
+    // The glyph atlas of a font, created empty the first time a label uses the font. Glyphs are
+    // added by getGlyph, left to right in rows of cells one line high.
+    getGlyphAtlas(fontFamily, fontWeight) {
+        const font = `${fontWeight} ${SDF_FONT_SIZE}px ${fontFamily}`;
+        let atlas = this.glyphAtlases.get(font);
+        if (atlas) return atlas;
+
+        const texture = this.device.createTexture({
+            label: `Glyph Atlas (${font})`,
+            size: [GLYPH_ATLAS_SIZE, GLYPH_ATLAS_SIZE],
+            format: 'r8unorm',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
         });
+        const cellHeight = Math.ceil(SDF_FONT_SIZE * LABEL_LINE_HEIGHT) + 2 * SDF_RADIUS;
+        const canvas = document.createElement('canvas');
+        canvas.width = 2 * (SDF_FONT_SIZE + SDF_RADIUS); // wide enough for any common glyph
+        canvas.height = cellHeight;
+        atlas = {
+            font,
+            texture,
+            view: texture.createView(),
+            sampler: this.device.createSampler({ magFilter: 'linear', minFilter: 'linear' }),
+            glyphs: new Map(), // character -> { advance, quad, uvRect } (see getGlyph)
+            context: canvas.getContext('2d', { willReadFrequently: true }),
+            cellHeight,
+            x: 0, // where the next glyph goes
+            y: 0
+        };
+        this.glyphAtlases.set(font, atlas);
+        return atlas;
     }
 
-    // Sort transparent objects from back to front (descending depth)
-    transparentDrawables.sort((a, b) => b.depth - a.depth);
+    // The layout of a character in em: its advance, and for visible characters the quad around the
+    // pen position on the line's center and its rectangle in the atlas, where it is added the first time
+    getGlyph(atlas, char) {
+        let glyph = atlas.glyphs.get(char);
+        if (glyph) return glyph;
+
+        const { context, cellHeight } = atlas;
+        context.font = atlas.font;
+        const advance = context.measureText(char).width;
+        glyph = { advance: advance / SDF_FONT_SIZE, quad: null, uvRect: null };
+        if (char.trim() !== '') {
+            const width = Math.min(Math.ceil(advance) + 2 * SDF_RADIUS, context.canvas.width);
+            if (atlas.x + width > GLYPH_ATLAS_SIZE) {
+                atlas.x = 0;
+                atlas.y += cellHeight;
+            }
+            if (atlas.y + cellHeight > GLYPH_ATLAS_SIZE) {
+                throw new Error(`The glyph atlas of '${atlas.font}' is full`);
+            }
 
-    // Execute draw calls
-    for (const drawable of transparentDrawables) {
-        drawable.draw();
+            context.clearRect(0, 0, context.canvas.width, cellHeight);
+            context.fillStyle = 'white';
+            context.textAlign = 'left';
+            context.textBaseline = 'middle';
+            context.fillText(char, SDF_RADIUS, cellHeight / 2);
+            const sdf = glyphSdf(context.getImageData(0, 0, width, cellHeight).data, width, cellHeight);
+            this.device.queue.writeTexture(
+                { texture: atlas.texture, origin: [atlas.x, atlas.y] },
+                sdf,
+                { bytesPerRow: width },
+                [width, cellHeight]
+            );
+
+            glyph.quad = [-SDF_RADIUS / SDF_FONT_SIZE, -cellHeight / 2 / SDF_FONT_SIZE, width / SDF_FONT_SIZE, cellHeight / SDF_FONT_SIZE];
+            // Bottom-left and top-right corners; the atlas' rows run top to bottom
+            glyph.uvRect = [atlas.x, atlas.y + cellHeight, atlas.x + width, atlas.y].map(c => c / GLYPH_ATLAS_SIZE);
+            atlas.x += width;
+        }
+        atlas.glyphs.set(char, glyph);
+        return glyph;
     }
 
-    pass.end();
-    device.queue.submit([encoder.finish()]);
-}
-
-function getRenderPassDescriptor() {
-    // Ensure render targets are allocated
-    if (!colorAttachment || !renderPassDescriptor) {
-        if (canvas.width > 0 && canvas.height > 0) {
-            allocateRenderTargets(canvas.width, canvas.height);
-        } else {
-            // Return null to skip this frame if canvas isn't ready
-            return null;
+    clearAllLabels() {
+        for (const labels of this.labels) {
+            destroyLabelResources(labels);
         }
+        this.labels.length = 0;
+        this.requestRedraw();
     }
 
-    const colorView = context.getCurrentTexture().createView({ format: `${colorFormat}-srgb` });
-    if (sampleCount > 1) {
-        colorAttachment.resolveTarget = colorView;
-    } else {
-        colorAttachment.view = colorView;
-    }
-    return renderPassDescriptor;
-}
+    // ========================================================================
+    // Picking
+    // ========================================================================
 
-// ============================================================================
-// Resize Handling
-// ============================================================================
+    // Returns the object under a canvas point (CSS pixels from the canvas' top-left corner) as
+    // { objectId, kind, triangleIndex, worldPosition, depth }, or null when nothing is there.
+    // Only that pixel is rendered: the projection is narrowed so it fills a 1x1 target.
+    async pick(x, y) {
+        if (!this.device) return null;
+        this.pickingPromise ??= this.initPicking();
+        const picking = await this.pickingPromise;
+        const device = this.device;
+        if (!device) return null; // disposed while the pipelines were compiling
+
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const px = Math.floor(x * width / this.canvas.clientWidth);
+        const py = Math.floor(y * height / this.canvas.clientHeight);
+        if (!(px >= 0 && py >= 0 && px < width && py < height)) return null;
+
+        const candidates = [
+            ...this.meshes.map(obj => ({ obj, kind: 'mesh' })),
+            ...this.lines.map(obj => ({ obj, kind: 'lines' })),
+            ...this.textBillboards.map(obj => ({ obj, kind: 'billboard' }))
+        ].filter(({ obj }) => !obj.hidden && obj.source.pickable !== false);
+        if (candidates.length === 0) return null;
+
+        // Same view and clip planes as the screen, with the projection narrowed to the pixel
+        new Uint8Array(picking.frameArray.buffer).set(new Uint8Array(this.frameArrayBuffer));
+        writePickProjection(picking.frameArray, this.projectionMatrix, px, py, width, height);
+        // The narrowed projection scales clip space by the canvas size, so pixel offsets shrink with it
+        const viewportIndex = this.frameViewport.byteOffset / Float32Array.BYTES_PER_ELEMENT;
+        picking.frameArray[viewportIndex] = this.frameViewport[0] / width;
+        picking.frameArray[viewportIndex + 1] = this.frameViewport[1] / height;
+        device.queue.writeBuffer(picking.frameBuffer, 0, picking.frameArray);
+
+        // One 256-byte uniform slot per candidate, selected with a dynamic offset.
+        // Index 0 is left for "nothing", so candidates are numbered from 1.
+        const uniforms = new Uint32Array(candidates.length * 64);
+        candidates.forEach(({ obj }, i) => {
+            uniforms[i * 64] = i + 1;
+            uniforms[i * 64 + 1] = obj.indexFormat === 'uint32' ? 1 : 0;
+        });
+        const uniformBuffer = createBuffer(device, uniforms, GPUBufferUsage.UNIFORM, Uint32Array);
+        const uniformBindGroup = device.createBindGroup({
+            label: 'Pick Uniforms BG',
+            layout: picking.uniformBindGroupLayout,
+            entries: [{ binding: 0, resource: { buffer: uniformBuffer, size: 8 } }]
+        });
 
-function setupResizeObserver() {
-    const observer = new ResizeObserver((entries) => {
-        for (let entry of entries) {
-            if (entry.target !== canvas) continue;
-
-            let width, height;
-            if (entry.devicePixelContentBoxSize) {
-                const size = entry.devicePixelContentBoxSize[0];
-                width = size.inlineSize;
-                height = size.blockSize;
-            } else if (entry.contentBoxSize) {
-                const s = Array.isArray(entry.contentBoxSize) ? entry.contentBoxSize[0] : entry.contentBoxSize;
-                width = s.inlineSize;
-                height = s.blockSize;
+        const encoder = device.createCommandEncoder();
+        const pass = encoder.beginRenderPass(picking.renderPassDescriptor);
+        pass.setBindGroup(0, picking.frameBindGroup);
+        candidates.forEach(({ obj, kind }, i) => {
+            pass.setBindGroup(1, uniformBindGroup, [i * 256]);
+            if (kind === 'billboard') {
+                pass.setPipeline(picking.billboardPipeline);
+                pass.setBindGroup(2, obj.bindGroup);
+                pass.setVertexBuffer(0, obj.vertexBuffer);
+                pass.setIndexBuffer(obj.indexBuffer, 'uint16');
+                pass.drawIndexed(obj.indexCount);
             } else {
-                width = entry.contentRect.width;
-                height = entry.contentRect.height;
+                pass.setPipeline(kind === 'mesh' ? picking.meshPipelines[this.cullModeOf(obj)] : picking.linePipeline);
+                pass.setBindGroup(2, obj.model.bindGroup);
+                pass.setBindGroup(3, this.getPickGeometryBindGroup(picking, obj, kind));
+                pass.draw(obj.indexCount); // non-indexed: the shader reads the index buffer itself
             }
+        });
+        pass.end();
+
+        const readback = device.createBuffer({ size: 512, usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ });
+        encoder.copyTextureToBuffer({ texture: picking.idTexture }, { buffer: readback, bytesPerRow: 256 }, [1, 1]);
+        encoder.copyTextureToBuffer({ texture: picking.positionTexture }, { buffer: readback, offset: 256, bytesPerRow: 256 }, [1, 1]);
+        device.queue.submit([encoder.finish()]);
+        uniformBuffer.destroy();
+
+        await readback.mapAsync(GPUMapMode.READ);
+        const mapped = readback.getMappedRange();
+        const [objectIndex, triangle] = new Uint32Array(mapped, 0, 2);
+        const [wx, wy, wz, depth] = new Float32Array(mapped, 256, 4);
+        readback.unmap();
+        readback.destroy();
+
+        const hit = candidates[objectIndex - 1];
+        if (!hit) return null;
+        return {
+            objectId: hit.obj.id,
+            kind: hit.kind,
+            triangleIndex: triangle === 0xFFFFFFFF ? -1 : triangle,
+            worldPosition: [wx, wy, wz],
+            depth
+        };
+    }
 
-            if (width === 0 || height === 0) return;
-
-            canvas.width = width;
-            canvas.height = height;
-
-            // Notify C# to recompute projection matrix
-            dotNetRef?.invokeMethodAsync('OnCanvasResized', width, height);
-
-            if (device) {
-                allocateRenderTargets(width, height);
-            }
-        }
-    });
+    async initPicking() {
+        const device = this.device;
+        const storageEntry = binding => ({ binding, visibility: GPUShaderStage.VERTEX, buffer: { type: 'read-only-storage' } });
 
-    observer.observe(canvas);
-}
+        const uniformBindGroupLayout = device.createBindGroupLayout({
+            label: 'Pick Uniforms BGL',
+            entries: [{ binding: 0, visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT, buffer: { hasDynamicOffset: true } }]
+        });
+        const meshGeometryBindGroupLayout = device.createBindGroupLayout({
+            label: 'Mesh Pick Geometry BGL',
+            entries: [0, 1].map(storageEntry) // indices, positions
+        });
+        const lineGeometryBindGroupLayout = device.createBindGroupLayout({
+            label: 'Line Pick Geometry BGL',
+            entries: [0, 1, 2, 3, 4, 5].map(storageEntry) // indices, positions, end positions, thickness, uvs, neighbors
+        });
 
-function allocateRenderTargets(width, height) {
-    const size = { width, height };
+        const frameArray = new Float32Array(FRAME_BUFFER_SIZE / Float32Array.BYTES_PER_ELEMENT);
+        const frameBuffer = device.createBuffer({
+            size: FRAME_BUFFER_SIZE,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        const frameBindGroup = device.createBindGroup({
+            label: 'Pick Frame BG',
+            layout: this.gpu.frameBindGroupLayout,
+            entries: [{ binding: 0, resource: { buffer: frameBuffer } }]
+        });
 
-    if (msaaColorTexture) msaaColorTexture.destroy();
-    if (sampleCount > 1) {
-        msaaColorTexture = device.createTexture({
-            size,
-            sampleCount,
-            format: `${colorFormat}-srgb`,
-            usage: GPUTextureUsage.RENDER_ATTACHMENT
+        const createPipeline = (label, code, bindGroupLayouts, buffers, cullMode) => {
+            const module = getShaderModule(this.gpu, `${label} Shader`, code);
+            return device.createRenderPipelineAsync({
+                label: `${label} Pipeline`,
+                layout: device.createPipelineLayout({ bindGroupLayouts: [this.gpu.frameBindGroupLayout, uniformBindGroupLayout, ...bindGroupLayouts] }),
+                vertex: { module, entryPoint: 'vertexMain', buffers },
+                fragment: { module, entryPoint: 'fragmentMain', targets: [{ format: 'rgba32uint' }, { format: 'rgba32float' }] },
+                // Everything writes depth here, so the nearest object wins even if it is drawn transparent
+                depthStencil: { format: 'depth24plus', depthWriteEnabled: true, depthCompare: 'less-equal' },
+                primitive: { topology: 'triangle-list', cullMode }
+            });
+        };
+        const meshPickLayouts = [this.gpu.modelBindGroupLayout, meshGeometryBindGroupLayout];
+        const [cullBack, cullFront, cullNone, linePipeline, billboardPipeline] = await Promise.all([
+            createPipeline('Mesh Pick', MESH_PICK_SHADER, meshPickLayouts, [], 'back'),
+            createPipeline('Mesh Pick (Front Culled)', MESH_PICK_SHADER, meshPickLayouts, [], 'front'),
+            createPipeline('Mesh Pick (Not Culled)', MESH_PICK_SHADER, meshPickLayouts, [], 'none'),
+            createPipeline('Line Pick', LINE_PICK_SHADER, [this.gpu.modelBindGroupLayout, lineGeometryBindGroupLayout], [], 'none'),
+            createPipeline('Billboard Pick', BILLBOARD_PICK_SHADER, [this.gpu.billboardBindGroupLayout], BILLBOARD_VERTEX_BUFFERS, 'none')
+        ]);
+
+        const createTarget = format => device.createTexture({
+            size: [1, 1],
+            format,
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC
         });
+        const idTexture = createTarget('rgba32uint');
+        const positionTexture = createTarget('rgba32float');
+        const depthTexture = device.createTexture({ size: [1, 1], format: 'depth24plus', usage: GPUTextureUsage.RENDER_ATTACHMENT });
+
+        return {
+            uniformBindGroupLayout,
+            meshGeometryBindGroupLayout,
+            lineGeometryBindGroupLayout,
+            frameArray,
+            frameBuffer,
+            frameBindGroup,
+            meshPipelines: { back: cullBack, front: cullFront, none: cullNone }, // by cull mode, so only visible faces are hit
+            linePipeline,
+            billboardPipeline,
+            idTexture,
+            positionTexture,
+            depthTexture,
+            renderPassDescriptor: {
+                colorAttachments: [
+                    { view: idTexture.createView(), clearValue: [0, 0, 0, 0], loadOp: 'clear', storeOp: 'store' },
+                    { view: positionTexture.createView(), clearValue: [0, 0, 0, 1], loadOp: 'clear', storeOp: 'store' }
+                ],
+                depthStencilAttachment: {
+                    view: depthTexture.createView(),
+                    depthClearValue: 1.0,
+                    depthLoadOp: 'clear',
+                    depthStoreOp: 'discard'
+                }
+            }
+        };
     }
 
-    if (depthTexture) depthTexture.destroy();
-    depthTexture = device.createTexture({
-        size,
-        sampleCount,
-        format: depthFormat,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT
-    });
+    // The storage bind group a mesh or line is picked with, created on first use
+    getPickGeometryBindGroup(picking, obj, kind) {
+        if (!obj.pickBindGroup) {
+            const buffers = kind === 'mesh'
+                ? [obj.indexBuffer, obj.vertexBuffer]
+                : [obj.indexBuffer, obj.posBuffer, obj.endPosBuffer, obj.thicknessBuffer, obj.uvBuffer, obj.neighborBuffer];
+            obj.pickBindGroup = this.device.createBindGroup({
+                label: `${obj.id} Pick Geometry BG`,
+                layout: kind === 'mesh' ? picking.meshGeometryBindGroupLayout : picking.lineGeometryBindGroupLayout,
+                entries: buffers.map((buffer, binding) => ({ binding, resource: { buffer } }))
+            });
+        }
+        return obj.pickBindGroup;
+    }
 
-    colorAttachment = {
-        view: sampleCount > 1 ? msaaColorTexture.createView() : undefined,
-        resolveTarget: undefined,
-        clearValue: clearColor,
-        loadOp: 'clear',
-        storeOp: sampleCount > 1 ? 'discard' : 'store'
-    };
+    // ========================================================================
+    // Image Capture
+    // ========================================================================
 
-    renderPassDescriptor = {
-        colorAttachments: [colorAttachment],
-        depthStencilAttachment: {
-            view: depthTexture.createView(),
-            depthClearValue: 1.0,
-            depthLoadOp: 'clear',
-            depthStoreOp: 'discard'
+    // Renders the current view offscreen and returns the encoded image bytes.
+    // Width and height default to the canvas size; the vertical field of view is kept
+    // and the horizontal one follows the capture's aspect ratio.
+    async captureImage(options = {}) {
+        await this.deviceReady;
+        const device = this.device;
+        const width = Math.round(options.width || this.canvas.width);
+        const height = Math.round(options.height || this.canvas.height);
+        const maxSize = device.limits.maxTextureDimension2D;
+        if (width < 1 || height < 1 || width > maxSize || height > maxSize) {
+            throw new Error(`Capture size ${width}x${height} must be between 1 and ${maxSize} pixels per side`);
         }
-    };
-}
+        const type = options.format === 'jpeg' ? 'image/jpeg' : 'image/png';
+        const transparent = options.transparentBackground && type === 'image/png'; // JPEG has no alpha
+
+        const colorTexture = device.createTexture({
+            label: 'Capture Color',
+            size: { width, height },
+            format: `${this.colorFormat}-srgb`,
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC
+        });
+        const targets = this.createRenderTargets(width, height, transparent ? { r: 0, g: 0, b: 0, a: 0 } : this.clearColor);
+        const bytesPerRow = Math.ceil(width * 4 / 256) * 256;
+        const readBuffer = device.createBuffer({
+            label: 'Capture Readback',
+            size: bytesPerRow * height,
+            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+        });
 
-// ============================================================================
-// Updates from C#
-// ============================================================================
+        // Stretch the projection to the capture's aspect ratio for this one frame
+        // (the ambient occlusion pass reads it while encoding). Pixel-sized billboards keep their
+        // size relative to the canvas height, so the capture looks like the canvas.
+        const xScale = this.projectionMatrix[0];
+        this.projectionMatrix[0] *= (this.canvas.width / this.canvas.height) / (width / height);
+        this.writeFrameUniforms(width * this.canvas.height / height, this.canvas.height);
+        const frame = this.encodeFrame(targets, colorTexture.createView());
+        this.projectionMatrix[0] = xScale;
+        const copyEncoder = device.createCommandEncoder();
+        copyEncoder.copyTextureToBuffer({ texture: colorTexture }, { buffer: readBuffer, bytesPerRow }, { width, height });
+        device.queue.submit([frame, copyEncoder.finish()]);
+        this.writeFrameUniforms(this.canvas.width, this.canvas.height);
+
+        const pixels = new Uint8ClampedArray(width * height * 4);
+        try {
+            await readBuffer.mapAsync(GPUMapMode.READ);
+            const mapped = new Uint8Array(readBuffer.getMappedRange());
+            for (let y = 0; y < height; y++) {
+                pixels.set(mapped.subarray(y * bytesPerRow, y * bytesPerRow + width * 4), y * width * 4);
+            }
+            readBuffer.unmap();
+        } finally {
+            readBuffer.destroy();
+            colorTexture.destroy();
+            destroyRenderTargets(targets);
+        }
+        if (this.colorFormat === 'bgra8unorm') {
+            for (let i = 0; i < pixels.length; i += 4) {
+                const blue = pixels[i];
+                pixels[i] = pixels[i + 2];
+                pixels[i + 2] = blue;
+            }
+        }
 
-export function writeViewMatrix(matrixArray) {
-    viewMatrix.set(matrixArray);
-}
+        const canvas = new OffscreenCanvas(width, height);
+        canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+        const blob = await canvas.convertToBlob({ type });
+        return new Uint8Array(await blob.arrayBuffer());
+    }
 
-export function writeProjectionMatrix(matrixArray) {
-    projectionMatrix.set(matrixArray);
-}
+    // ========================================================================
+    // Device Loss
+    // ========================================================================
 
-export async function updateDisplayOptions(options) {
-    let gridChanged = false;
-    let needsGridPipelineRecreation = false;
-    if (zIsUp !== options.zIsUp) {
-        zIsUp = options.zIsUp;
-        gridChanged = true;
+    async onDeviceLost(device, info) {
+        if (this.device !== device) return; // disposed, or already moved to a new device
+        cancelAnimationFrame(this.animationFrameId);
+        this.animationFrameId = 0;
+        this.device = null;
+        this.dotNetRef?.invokeMethodAsync('OnWebGpuDeviceLost', info.reason ?? 'unknown', info.message);
+
+        this.deviceReady = this.restoreDevice();
+        try {
+            await this.deviceReady;
+        } catch (error) {
+            this.dotNetRef?.invokeMethodAsync('OnWebGpuError', error.message);
+        }
     }
-    if (typeof options.sampleCount === 'number') sampleCount = options.sampleCount;
 
-    // Handle coordinate axes visibility
-    if (typeof options.coordinateThickness === 'number' && coordinateThickness !== options.coordinateThickness) {
-        coordinateThickness = options.coordinateThickness;
-        if (device) {
-            if (coordinateAxes) {
-                coordinateAxes.posBuffer?.destroy();
-                coordinateAxes.colorBuffer?.destroy();
-                coordinateAxes.thicknessBuffer?.destroy();
-                coordinateAxes.uvBuffer?.destroy();
-                coordinateAxes.endPosBuffer?.destroy();
-                coordinateAxes.fadeBuffer?.destroy();
-                coordinateAxes.indexBuffer?.destroy();
-                coordinateAxes = null;
-            }
-            if (coordinateThickness > 0.0) {
-                await initCoordinateAxes();
-            }
+    // Requests a new device and recreates every GPU resource from the CPU-side data this viewer
+    // keeps (options, uniforms, and the source of each object), so C# does not re-add the scene.
+    async restoreDevice() {
+        // These would otherwise be reused, but belong to the lost device
+        this.renderTargets = null;
+        this.gridUniformBuffer = null;
+        this.coordinateAxes = null;
+        this.pickingPromise = null;
+
+        await this.initWebGPU();
+        for (const [id, lost] of this.textures) {
+            this.textures.set(id, await this.createTexture(lost.source));
         }
+        await this.restoreObjects(this.meshes, data => this.createMesh(data), destroyMeshBuffers);
+        await this.restoreObjects(this.lines, data => this.createLines(data), destroyLineBuffers);
+        await this.restoreObjects(this.textBillboards, data => this.createTextBillboard(data), destroyBillboardResources);
+        await this.restoreObjects(this.labels, data => this.createLabels(data), destroyLabelResources);
+        if (!this.dotNetRef) {
+            this.disposeWebGPU_Canvas(); // disposed while rebuilding
+            return;
+        }
+
+        this.startRenderLoop();
+        this.dotNetRef.invokeMethodAsync('OnWebGpuDeviceRestored');
     }
 
-    // Update lighting uniforms
-    if (options.lightDir) lightDirection.set(options.lightDir);
-    if (typeof options.ambient === 'number') lightAmbient[0] = options.ambient;
-    if (typeof options.specularPower === 'number') lightSpecularPower[0] = options.specularPower;
-    if (device) {
-        device.queue.writeBuffer(lightUniformBuffer, 0, lightUniformArray);
-    }
-
-    // Update grid uniforms
-    if (options.baseColor) {
-        const newIsTransparent = options.baseColor[3] < 1.0;
-        if (newIsTransparent !== gridIsTransparent) {
-            gridIsTransparent = newIsTransparent;
-            needsGridPipelineRecreation = true;
-        }
-        gridBaseColor.set(options.baseColor);
-    }
-    if (options.lineColor) gridLineColor.set(options.lineColor);
-    if (typeof options.lineWidthX === 'number' && typeof options.lineWidthY === 'number') {
-        gridLineWidth.set([options.lineWidthX, options.lineWidthY]);
-    }
-
-    if (typeof options.gridSize === 'number' && options.gridSize !== gridSize) {
-        gridSize = options.gridSize;
-        axisExtent = gridSize;  // Update axis extent to match grid size
-        gridChanged = true;
-        // Recreate coordinate axes with new extent if they exist
-        if (coordinateAxes) {
-            coordinateAxes.posBuffer?.destroy();
-            coordinateAxes.colorBuffer?.destroy();
-            coordinateAxes.thicknessBuffer?.destroy();
-            coordinateAxes.uvBuffer?.destroy();
-            coordinateAxes.endPosBuffer?.destroy();
-            coordinateAxes.fadeBuffer?.destroy();
-            coordinateAxes.indexBuffer?.destroy();
-            coordinateAxes = null;
-            if (coordinateThickness > 0.0) {
-                await initCoordinateAxes();
-            }
+    // Replaces each object in list with a rebuilt copy
+    async restoreObjects(list, create, destroy) {
+        for (const lost of [...list]) {
+            this.replaceObject(list, lost, await create(lost.source), destroy);
         }
     }
-    if (typeof options.gridSpacing === 'number' && options.gridSpacing !== gridSpacing) {
-        gridSpacing = options.gridSpacing;
-        gridChanged = true;
-    }
 
-    if (device) {
-        if (needsGridPipelineRecreation) {
-            await initGrid(); // This recreates pipeline and geometry
-        } else if (gridChanged) {
-            createGridGeometry();
-            updateGridUniforms();
-        } else if (gridUniformBuffer) {
-            device.queue.writeBuffer(gridUniformBuffer, 0, gridUniformArray);
-        }
+    // ========================================================================
+    // Frame Timing Callback
+    // ========================================================================
+
+    // Reports the average time of the latest frames once a second. Nothing is sent while no
+    // frames are drawn (on-demand mode when idle), so C# keeps the cost of the last real frames.
+    startFrameTimer() {
+        let reportedIndex = 0;
+        this.frameIntervalId = setInterval(() => {
+            if (this.frameMsIndex === reportedIndex) return;
+            reportedIndex = this.frameMsIndex;
+            const count = Math.min(this.frameMsIndex, this.frameMs.length);
+            let total = 0;
+            for (let i = 0; i < count; i++) total += this.frameMs[i];
+            this.dotNetRef?.invokeMethodAsync('OnFrameMsUpdate', total / count);
+        }, 1000);
     }
 
+    // ========================================================================
+    // Cleanup
+    // ========================================================================
 
-    // Update clear color
-    if (options.clearColor) {
-        clearColor = options.clearColor;
-        if (colorAttachment) colorAttachment.clearValue = clearColor;
+    disposeWebGPU_Canvas() {
+        if (this.frameIntervalId) {
+            clearInterval(this.frameIntervalId);
+            this.frameIntervalId = 0;
+        }
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = 0;
+        }
+        this.frameCallback = null; // no more redraws
+        this.uploads.clear();
+        this.resizeObserver?.disconnect();
+        this.resizeObserver = null;
+
+        // Clean up this viewer's GPU resources; the shared device stays alive for other viewers
+        this.clearAllMeshes();
+        this.clearAllLines();
+        this.clearAllTextBillboards();
+        this.clearAllLabels();
+        for (const atlas of this.glyphAtlases.values()) atlas.texture.destroy();
+        this.glyphAtlases.clear();
+        this.destroyCoordinateAxes();
+
+        this.gridVertexBuffer?.destroy();
+        this.gridIndexBuffer?.destroy();
+        this.gridUniformBuffer?.destroy();
+        this.frameUniformBuffer?.destroy();
+        this.lightUniformBuffer?.destroy();
+        this.identityModel?.buffer.destroy();
+        this.zeroNormalBuffer?.destroy();
+        this.whiteColorBuffer?.destroy();
+        this.whiteTexture?.destroy();
+        for (const texture of this.textures.values()) texture.texture.destroy();
+        this.textures.clear();
+        destroyRenderTargets(this.renderTargets);
+        this.renderTargets = null;
+        this.highlightUniformBuffer?.destroy();
+        this.capUniformBuffer?.destroy();
+        this.edgeUniformBuffer?.destroy();
+        this.shadingUniformBuffer?.destroy();
+        this.shadowFrameBuffer?.destroy();
+        this.aoUniformBuffer?.destroy();
+        this.shadowMap?.texture.destroy();
+        this.shadowMap = null;
+        this.shadingResources?.placeholderShadowMap.destroy();
+        this.shadingResources?.placeholderAo.destroy();
+        this.pickingPromise?.then(destroyPickResources, () => { });
+        this.pickingPromise = null;
+        if (this.device) this.context?.unconfigure();
+
+        this.device = null;
+        this.dotNetRef = null;
     }
 }
 
 // ============================================================================
-// Scene Management (Mesh, Lines, Billboards)
+// Utility Functions
 // ============================================================================
 
-export async function addMesh(meshData) {
-    const { id, vertices, indices, colors, singleColor } = meshData;
+function transformPoint(point, matrix) {
+    const x = point[0], y = point[1], z = point[2];
+    const w = matrix[3] * x + matrix[7] * y + matrix[11] * z + matrix[15] || 1.0;
+    return [
+        (matrix[0] * x + matrix[4] * y + matrix[8] * z + matrix[12]) / w,
+        (matrix[1] * x + matrix[5] * y + matrix[9] * z + matrix[13]) / w,
+        (matrix[2] * x + matrix[6] * y + matrix[10] * z + matrix[14]) / w
+    ];
+}
 
-    const vertexBuffer = createBuffer(vertices, GPUBufferUsage.VERTEX);
-    const indexBuffer = createBuffer(indices, GPUBufferUsage.INDEX, Uint16Array);
+// Moves a view-space direction (or point) into world space with the inverse of a rigid view matrix
+function viewToWorld(view, v, isPoint) {
+    const x = isPoint ? v[0] - view[12] : v[0];
+    const y = isPoint ? v[1] - view[13] : v[1];
+    const z = isPoint ? v[2] - view[14] : v[2];
+    // The transpose of the view rotation (column-major, so row i of it is column i of the view)
+    return [
+        view[0] * x + view[1] * y + view[2] * z,
+        view[4] * x + view[5] * y + view[6] * z,
+        view[8] * x + view[9] * y + view[10] * z
+    ];
+}
 
-    // Calculate bounding box and center for sorting
-    let min = [Infinity, Infinity, Infinity];
-    let max = [-Infinity, -Infinity, -Infinity];
-    for (let i = 0; i < vertices.length; i += 3) {
-        min[0] = Math.min(min[0], vertices[i]);
-        min[1] = Math.min(min[1], vertices[i + 1]);
-        min[2] = Math.min(min[2], vertices[i + 2]);
-        max[0] = Math.max(max[0], vertices[i]);
-        max[1] = Math.max(max[1], vertices[i + 1]);
-        max[2] = Math.max(max[2], vertices[i + 2]);
-    }
-    const center = [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2];
+// Inverse transpose of the upper 3x3 of a column-major 4x4 (cofactor matrix / determinant),
+// returned as a column-major 4x4 so it can sit in a mat4x4f uniform.
+function normalMatrixOf(m) {
+    const a00 = m[0], a10 = m[1], a20 = m[2];
+    const a01 = m[4], a11 = m[5], a21 = m[6];
+    const a02 = m[8], a12 = m[9], a22 = m[10];
+    const c00 = a11 * a22 - a12 * a21;
+    const c01 = a12 * a20 - a10 * a22;
+    const c02 = a10 * a21 - a11 * a20;
+    const c10 = a02 * a21 - a01 * a22;
+    const c11 = a00 * a22 - a02 * a20;
+    const c12 = a01 * a20 - a00 * a21;
+    const c20 = a01 * a12 - a02 * a11;
+    const c21 = a02 * a10 - a00 * a12;
+    const c22 = a00 * a11 - a01 * a10;
+    const det = a00 * c00 + a01 * c01 + a02 * c02;
+    const s = det !== 0 ? 1 / det : 0;
+    return [
+        c00 * s, c10 * s, c20 * s, 0,
+        c01 * s, c11 * s, c21 * s, 0,
+        c02 * s, c12 * s, c22 * s, 0,
+        0, 0, 0, 1
+    ];
+}
 
-    let colorBuffer = null;
-    let bindGroup = null;
-    let meshBindGroupLayout = null;
-    let isTransparent = false;
-    let shaderCode = null;
-    let pipelineLayout = null;
+// Narrows a projection so device pixel (px, py) of a width x height canvas fills all of clip
+// space (like gluPickMatrix). Writes the result into the first 16 floats of out.
+function writePickProjection(out, projection, px, py, width, height) {
+    const cx = 2 * (px + 0.5) / width - 1;
+    const cy = 1 - 2 * (py + 0.5) / height;
+    for (let c = 0; c < 16; c += 4) {
+        const w = projection[c + 3];
+        out[c] = width * (projection[c] - cx * w);
+        out[c + 1] = height * (projection[c + 1] - cy * w);
+        out[c + 2] = projection[c + 2];
+        out[c + 3] = w;
+    }
+}
 
-    if (singleColor) {
-        shaderCode = MESH_SHADER;
-        isTransparent = colors.length >= 4 && colors[3] < 1.0;
+function setLineVertexBuffers(pass, line) {
+    pass.setVertexBuffer(0, line.posBuffer);
+    pass.setVertexBuffer(1, line.colorBuffer);
+    pass.setVertexBuffer(2, line.thicknessBuffer);
+    pass.setVertexBuffer(3, line.uvBuffer);
+    pass.setVertexBuffer(4, line.endPosBuffer);
+    pass.setVertexBuffer(5, line.fadeBuffer);
+    pass.setVertexBuffer(6, line.neighborBuffer);
+}
 
-        const singleColorUniformBuffer = createBuffer(colors, GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST);
+// Turns a binary upload into the object the JSON entry points receive. Each header section
+// { offset, count, type } becomes a typed array that views bytes in place when it is 4-byte aligned.
+function unpackGeometry(header, bytes) {
+    const { sections, ...data } = header;
+    for (const [name, { offset, count, type }] of Object.entries(sections)) {
+        const ArrayType = type === 'uint32' ? Uint32Array : Float32Array;
+        const start = bytes.byteOffset + offset;
+        data[name] = start % 4 === 0
+            ? new ArrayType(bytes.buffer, start, count)
+            : new ArrayType(bytes.slice(offset, offset + count * 4).buffer);
+    }
+    return data;
+}
 
-        meshBindGroupLayout = device.createBindGroupLayout({
-            label: `Mesh ${id} BGL`,
-            entries: [
-                { binding: 0, visibility: GPUShaderStage.FRAGMENT, buffer: {} }, // Light uniforms
-                { binding: 1, visibility: GPUShaderStage.FRAGMENT, buffer: {} }  // Mesh color
-            ]
-        });
+// Returns the edges of a triangle mesh as [start xyz, end xyz] per edge. Corners at the same position
+// are treated as one vertex, since vertices are split along creases and for per-triangle colors.
+// With a featureAngle (degrees) only edges whose faces meet at a sharper angle are kept, plus
+// boundary and non-manifold edges; without one every edge is kept once.
+function computeEdges(vertices, indices, featureAngle = null) {
+    const weldedIds = new Map(); // "x,y,z" -> welded vertex
+    const welded = new Uint32Array(vertices.length / 3);
+    for (let i = 0; i < welded.length; i++) {
+        const key = `${vertices[3 * i]},${vertices[3 * i + 1]},${vertices[3 * i + 2]}`;
+        let id = weldedIds.get(key);
+        if (id === undefined) {
+            id = weldedIds.size;
+            weldedIds.set(key, id);
+        }
+        welded[i] = id;
+    }
 
-        bindGroup = device.createBindGroup({
-            label: `Mesh ${id} BG`,
-            layout: meshBindGroupLayout,
-            entries: [
-                { binding: 0, resource: { buffer: lightUniformBuffer } },
-                { binding: 1, resource: { buffer: singleColorUniformBuffer } }
-            ]
-        });
-        pipelineLayout = device.createPipelineLayout({ bindGroupLayouts: [frameBindGroupLayout, meshBindGroupLayout] });
-    } else {
-        shaderCode = MESH_SHADER_VERTEX_COLOR;
-        colorBuffer = createBuffer(colors, GPUBufferUsage.VERTEX);
-        // Check if any vertex has transparency to correctly flag the mesh
-        isTransparent = false;
-        for (let i = 3; i < colors.length; i += 4) {
-            if (colors[i] < 1.0) {
-                isTransparent = true;
-                break;
+    const minCos = featureAngle === null ? -2 : Math.cos(featureAngle * Math.PI / 180);
+    const edges = new Map(); // welded pair -> { a, b, normal, faceCount, sharp }
+    for (let t = 0; t + 2 < indices.length; t += 3) {
+        const normal = featureAngle === null ? null : faceNormal(vertices, indices[t], indices[t + 1], indices[t + 2]);
+        for (let k = 0; k < 3; k++) {
+            const a = indices[t + k];
+            const b = indices[t + (k + 1) % 3];
+            const wa = welded[a];
+            const wb = welded[b];
+            if (wa === wb) continue;
+            const key = wa < wb ? wa * weldedIds.size + wb : wb * weldedIds.size + wa;
+            const edge = edges.get(key);
+            if (!edge) {
+                edges.set(key, { a, b, normal, faceCount: 1, sharp: false });
+                continue;
             }
+            edge.faceCount++;
+            if (normal && edge.normal && dot3(normal, edge.normal) < minCos) edge.sharp = true;
         }
-        // For vertex-colored meshes, the bind group layout is just the light BGL
-        meshBindGroupLayout = lightBindGroupLayout;
-        pipelineLayout = device.createPipelineLayout({ bindGroupLayouts: [frameBindGroupLayout, lightBindGroupLayout] });
     }
 
-    const shaderModule = device.createShaderModule({ code: shaderCode });
-
-    const vertexBufferLayout = [
-        { arrayStride: 12, attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] }
-    ];
-
-    if (!singleColor) {
-        vertexBufferLayout.push({
-            arrayStride: 16,
-            attributes: [{ shaderLocation: 1, offset: 0, format: 'float32x4' }]
-        });
+    const result = [];
+    for (const edge of edges.values()) {
+        if (featureAngle !== null && !edge.sharp && edge.faceCount === 2) continue;
+        for (const index of [edge.a, edge.b]) {
+            result.push(vertices[3 * index], vertices[3 * index + 1], vertices[3 * index + 2]);
+        }
     }
+    return new Float32Array(result);
+}
 
+// Unit normal of a triangle, or null for a degenerate one
+function faceNormal(vertices, i0, i1, i2) {
+    const ux = vertices[3 * i1] - vertices[3 * i0], uy = vertices[3 * i1 + 1] - vertices[3 * i0 + 1], uz = vertices[3 * i1 + 2] - vertices[3 * i0 + 2];
+    const vx = vertices[3 * i2] - vertices[3 * i0], vy = vertices[3 * i2 + 1] - vertices[3 * i0 + 1], vz = vertices[3 * i2 + 2] - vertices[3 * i0 + 2];
+    const n = [uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx];
+    const length = Math.hypot(n[0], n[1], n[2]);
+    return length > 0 ? n.map(c => c / length) : null;
+}
 
-
-    const pipeline = await device.createRenderPipelineAsync({
-        label: `Mesh ${id} Pipeline`,
-        layout: pipelineLayout,
-        vertex: { module: shaderModule, entryPoint: 'vertexMain', buffers: vertexBufferLayout },
-        fragment: {
-            module: shaderModule,
-            entryPoint: 'fragmentMain',
-            targets: [{
-                format: `${colorFormat}-srgb`,
-                blend: {
-                    color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' },
-                    alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
-                }
-            }]
-        },
-        depthStencil: {
-            format: depthFormat,
-            depthWriteEnabled: !isTransparent,
-            depthCompare: 'less-equal'
-        },
-        multisample: { count: sampleCount },
-        primitive: { topology: 'triangle-list', cullMode: 'back' }
-    });
-
-    meshes.push({
-        id,
-        center, // Store center for sorting
-        vertexBuffer,
-        colorBuffer,
-        indexBuffer,
-        bindGroup,
-        singleColor,
-        isTransparent,
-        indexCount: indices.length,
-        pipeline
-    });
+function dot3(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
 }
 
-export function removeMesh(index) {
-    const mesh = meshes[index];
-    mesh.vertexBuffer?.destroy();
-    mesh.colorBuffer?.destroy();
-    mesh.indexBuffer?.destroy();
-    meshes.splice(index, 1);
+// Uniforms of MESH_PBR_SHADER's Material: base color, emissive color + environment strength, metallic, roughness
+function materialUniforms(baseColor, material) {
+    const data = new Float32Array(12);
+    data.set(baseColor.length >= 4 ? baseColor.slice(0, 4) : [...baseColor, 1], 0);
+    data.set(material.emissive ?? [0, 0, 0], 4);
+    data[7] = material.environment ?? 1;
+    data[8] = material.metallic ?? 0;
+    data[9] = material.roughness ?? 0.5;
+    return data;
 }
 
-export function clearAllMeshes() {
-    for (const mesh of meshes) {
-        mesh.vertexBuffer?.destroy();
-        mesh.colorBuffer?.destroy();
-        mesh.indexBuffer?.destroy();
+// True when any RGBA color in the flat array is not fully opaque
+function hasTransparency(colors) {
+    for (let i = 3; i < colors.length; i += 4) {
+        if (colors[i] < 1.0) return true;
     }
-    meshes.length = 0;
+    return false;
 }
 
-export async function addLines(lineData) {
-    const { id, vertices, thickness, colors, fades } = lineData;
-
-    // Calculate center for sorting
+function computeCenter(vertices) {
     let min = [Infinity, Infinity, Infinity];
     let max = [-Infinity, -Infinity, -Infinity];
     for (let i = 0; i < vertices.length; i += 3) {
@@ -1115,270 +4862,237 @@ export async function addLines(lineData) {
         max[1] = Math.max(max[1], vertices[i + 1]);
         max[2] = Math.max(max[2], vertices[i + 2]);
     }
-    const center = [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2];
-
-    // Geometry buffers are created from pre-computed data from C#
-    const posBuffer = createBuffer(vertices, GPUBufferUsage.VERTEX);
-    const colorBuffer = createBuffer(colors, GPUBufferUsage.VERTEX);
-    const thicknessBuffer = createBuffer(thickness, GPUBufferUsage.VERTEX);
-    const uvBuffer = createBuffer(lineData.uvs, GPUBufferUsage.VERTEX);
-    const endPosBuffer = createBuffer(lineData.endPositions, GPUBufferUsage.VERTEX);
-    const fadeBuffer = createBuffer(fades, GPUBufferUsage.VERTEX);
-    const indexBuffer = createBuffer(lineData.indices, GPUBufferUsage.INDEX, Uint16Array);
-
-    const shaderModule = device.createShaderModule({ label: `Line ${id} Shader`, code: BILLBOARD_LINE_SHADER });
-
-    const vertexBufferLayout = [
-        { arrayStride: 12, attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] },
-        { arrayStride: 16, attributes: [{ shaderLocation: 1, offset: 0, format: 'float32x4' }] },
-        { arrayStride: 4, attributes: [{ shaderLocation: 2, offset: 0, format: 'float32' }] },
-        { arrayStride: 8, attributes: [{ shaderLocation: 3, offset: 0, format: 'float32x2' }] },
-        { arrayStride: 12, attributes: [{ shaderLocation: 4, offset: 0, format: 'float32x3' }] },
-        { arrayStride: 4, attributes: [{ shaderLocation: 5, offset: 0, format: 'float32' }] }
-    ];
-
-    const pipeline = await device.createRenderPipelineAsync({
-        label: `Line ${id} Pipeline`,
-        layout: device.createPipelineLayout({ bindGroupLayouts: [frameBindGroupLayout] }),
-        vertex: { module: shaderModule, entryPoint: 'vertexMain', buffers: vertexBufferLayout },
-        fragment: {
-            module: shaderModule,
-            entryPoint: 'fragmentMain',
-            targets: [{
-                format: `${colorFormat}-srgb`,
-                blend: {
-                    color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' },
-                    alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
-                }
-            }]
-        },
-        depthStencil: {
-            format: depthFormat,
-            depthWriteEnabled: false, // Transparent objects test depth but don't write to it
-            depthCompare: 'less-equal'
-        },
-        multisample: { count: sampleCount },
-        primitive: { topology: 'triangle-list', cullMode: 'none' }
-    });
-
-    lines.push({
-        id,
-        center, // Store center for sorting
-        posBuffer,
-        colorBuffer,
-        thicknessBuffer,
-        uvBuffer,
-        endPosBuffer,
-        fadeBuffer,
-        indexBuffer,
-        indexCount: lineData.indices.length,
-        pipeline
-    });
+    return [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2];
 }
 
-export function removeLines(index) {
-    const line = lines[index];
-    line.posBuffer?.destroy();
-    line.colorBuffer?.destroy();
-    line.thicknessBuffer?.destroy();
-    line.uvBuffer?.destroy();
-    line.endPosBuffer?.destroy();
-    line.fadeBuffer?.destroy();
-    line.indexBuffer?.destroy();
-    lines.splice(index, 1);
+// Distance from center to the farthest vertex
+function computeRadius(vertices, center) {
+    let radiusSq = 0;
+    for (let i = 0; i < vertices.length; i += 3) {
+        const dx = vertices[i] - center[0];
+        const dy = vertices[i + 1] - center[1];
+        const dz = vertices[i + 2] - center[2];
+        radiusSq = Math.max(radiusSq, dx * dx + dy * dy + dz * dz);
+    }
+    return Math.sqrt(radiusSq);
 }
 
-export function clearAllLines() {
-    for (const line of lines) {
-        line.posBuffer?.destroy();
-        line.colorBuffer?.destroy();
-        line.thicknessBuffer?.destroy();
-        line.uvBuffer?.destroy();
-        line.endPosBuffer?.destroy();
-        line.fadeBuffer?.destroy();
-        line.indexBuffer?.destroy();
-    }
-    lines.length = 0;
+// World-space sphere { center, radius } around the bounding spheres of the meshes
+function sceneBounds(meshes) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (const mesh of meshes) {
+        const m = mesh.model.modelMatrix;
+        const scale = Math.max(Math.hypot(m[0], m[1], m[2]), Math.hypot(m[4], m[5], m[6]), Math.hypot(m[8], m[9], m[10]));
+        const radius = mesh.localRadius * scale;
+        for (let i = 0; i < 3; i++) {
+            min[i] = Math.min(min[i], mesh.center[i] - radius);
+            max[i] = Math.max(max[i], mesh.center[i] + radius);
+        }
+    }
+    const center = [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2];
+    return { center, radius: Math.max(Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) / 2, 1e-6) };
 }
 
-export async function addTextBillboard(billboardData) {
-    const { id, text, position, backgroundColor, textColor } = billboardData;
-
-    // Remove existing billboard with same ID
-    removeTextBillboard(id);
-
-    // Create a canvas to render the text
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    ctx.font = 'bold 24px sans-serif';
-    const textMetrics = ctx.measureText(text);
-    canvas.width = Math.ceil(textMetrics.width) + 20;
-    canvas.height = 30;
-
-    // Background
-    ctx.fillStyle = `rgba(${Math.floor(backgroundColor[0] * 255)}, ${Math.floor(backgroundColor[1] * 255)}, ${Math.floor(backgroundColor[2] * 255)}, ${backgroundColor[3]})`;
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-    // Text
-    ctx.fillStyle = `rgba(${Math.floor(textColor[0] * 255)}, ${Math.floor(textColor[1] * 255)}, ${Math.floor(textColor[2] * 255)}, ${textColor[3]})`;
-    ctx.font = 'bold 24px sans-serif';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(text, canvas.width / 2, canvas.height / 2);
-
-    // Create ImageBitmap for reliable texture copying
-    const bitmap = await createImageBitmap(canvas);
-
-    const texture = device.createTexture({
-        size: [canvas.width, canvas.height],
-        format: 'rgba8unorm',
-        usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
-    });
-
-    device.queue.copyExternalImageToTexture(
-        { source: bitmap, flipY: true },
-        { texture, premultipliedAlpha: false },
-        [canvas.width, canvas.height]
-    );
-
-    bitmap.close();
-
-    // Create billboard geometry
-    const vertices = new Float32Array([
-        position[0], position[1], position[2], 0, 1,
-        position[0], position[1], position[2], 1, 1,
-        position[0], position[1], position[2], 0, 0,
-        position[0], position[1], position[2], 1, 0,
-    ]);
-
-    const vertexBuffer = createBuffer(vertices, GPUBufferUsage.VERTEX);
-    const indexBuffer = createBuffer(new Uint16Array([0, 1, 2, 1, 3, 2]), GPUBufferUsage.INDEX, Uint16Array);
-
-    const sampler = device.createSampler({
-        magFilter: 'linear',
-        minFilter: 'linear',
-        addressModeU: 'clamp-to-edge',
-        addressModeV: 'clamp-to-edge'
-    });
+// Orthographic view-projection (column-major) looking along a directional light's direction of
+// travel: x and y span the sphere (center, radius), depth runs 0..1 through it
+function directionalShadowMatrix(direction, center, radius) {
+    const length = Math.hypot(direction[0], direction[1], direction[2]);
+    const f = [direction[0] / length, direction[1] / length, direction[2] / length];
+    const up = Math.abs(f[1]) < 0.99 ? [0, 1, 0] : [1, 0, 0];
+    const side = [f[1] * up[2] - f[2] * up[1], f[2] * up[0] - f[0] * up[2], f[0] * up[1] - f[1] * up[0]];
+    const sideLength = Math.hypot(side[0], side[1], side[2]);
+    const x = side.map(v => v / sideLength);
+    const y = [x[1] * f[2] - x[2] * f[1], x[2] * f[0] - x[0] * f[2], x[0] * f[1] - x[1] * f[0]];
+    const m = new Float32Array(16);
+    for (let i = 0; i < 3; i++) {
+        m[4 * i] = x[i] / radius;
+        m[4 * i + 1] = y[i] / radius;
+        m[4 * i + 2] = f[i] / (2 * radius);
+    }
+    m[12] = -dot3(x, center) / radius;
+    m[13] = -dot3(y, center) / radius;
+    m[14] = 0.5 - dot3(f, center) / (2 * radius);
+    m[15] = 1;
+    return m;
+}
 
-    const bindGroupLayout = device.createBindGroupLayout({
-        entries: [
-            { binding: 0, visibility: GPUShaderStage.FRAGMENT, sampler: {} },
-            { binding: 1, visibility: GPUShaderStage.FRAGMENT, texture: {} }
-        ]
+// Draws a full-screen triangle with pipeline into the texture view
+function encodeFullScreenPass(encoder, label, view, pipeline, bindGroup) {
+    const pass = encoder.beginRenderPass({
+        label,
+        colorAttachments: [{ view, clearValue: [0, 0, 0, 0], loadOp: 'clear', storeOp: 'store' }]
     });
+    pass.setPipeline(pipeline);
+    pass.setBindGroup(0, bindGroup);
+    pass.draw(3);
+    pass.end();
+}
 
-    const bindGroup = device.createBindGroup({
-        layout: bindGroupLayout,
-        entries: [
-            { binding: 0, resource: sampler },
-            { binding: 1, resource: texture.createView() }
-        ]
+// Fills mip levels 1 and up of an rgba8unorm texture, each filtered from the level above it
+async function generateMipmaps(gpu, texture) {
+    const device = gpu.device;
+    const pipeline = await getRenderPipeline(gpu, 'mipmap:rgba8unorm', () => {
+        const module = getShaderModule(gpu, 'Mipmap Shader', MIPMAP_SHADER);
+        return {
+            label: 'Mipmap Pipeline',
+            layout: 'auto',
+            vertex: { module, entryPoint: 'vertexMain' },
+            fragment: { module, entryPoint: 'fragmentMain', targets: [{ format: 'rgba8unorm' }] }
+        };
     });
+    const sampler = device.createSampler({ magFilter: 'linear', minFilter: 'linear' });
+    const encoder = device.createCommandEncoder({ label: 'Mipmap Encoder' });
+    for (let level = 1; level < texture.mipLevelCount; level++) {
+        const bindGroup = device.createBindGroup({
+            layout: pipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: sampler },
+                { binding: 1, resource: texture.createView({ baseMipLevel: level - 1, mipLevelCount: 1 }) }
+            ]
+        });
+        const view = texture.createView({ baseMipLevel: level, mipLevelCount: 1 });
+        encodeFullScreenPass(encoder, `Mipmap Level ${level}`, view, pipeline, bindGroup);
+    }
+    device.queue.submit([encoder.finish()]);
+}
 
-    const shaderModule = device.createShaderModule({ code: BILLBOARD_SHADER });
-
-    const pipeline = await device.createRenderPipelineAsync({
-        layout: device.createPipelineLayout({ bindGroupLayouts: [frameBindGroupLayout, bindGroupLayout] }),
-        vertex: {
-            module: shaderModule,
-            entryPoint: 'vertexMain',
-            buffers: [{
-                arrayStride: 20,
-                attributes: [
-                    { shaderLocation: 0, offset: 0, format: 'float32x3' },
-                    { shaderLocation: 1, offset: 12, format: 'float32x2' }
-                ]
-            }]
-        },
-        fragment: {
-            module: shaderModule,
-            entryPoint: 'fragmentMain',
-            targets: [{
-                format: `${colorFormat}-srgb`,
-                blend: {
-                    color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' },
-                    alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
-                }
-            }]
-        },
-        depthStencil: {
-            format: depthFormat,
-            depthWriteEnabled: false, // Transparent objects test depth but don't write to it
-            depthCompare: 'less-equal'
-        },
-        multisample: { count: sampleCount }
-    });
+// The signed distance field of a rasterized glyph (the alpha of its rgba pixels) for the glyph atlas:
+// 0.5 on the outline, rising inside it and falling to 0 at SDF_RADIUS pixels outside. Antialiased
+// pixels count as partly inside, which keeps the outline between pixels.
+function glyphSdf(rgba, width, height) {
+    const far = 1e20;
+    const count = width * height;
+    const outside = new Float64Array(count); // squared distance to the glyph
+    const inside = new Float64Array(count); // squared distance to the background
+    for (let i = 0; i < count; i++) {
+        const a = rgba[4 * i + 3] / 255;
+        outside[i] = a === 1 ? 0 : a === 0 ? far : Math.max(0, 0.5 - a) ** 2;
+        inside[i] = a === 1 ? far : a === 0 ? 0 : Math.max(0, a - 0.5) ** 2;
+    }
+    distanceTransform(outside, width, height);
+    distanceTransform(inside, width, height);
 
-    textBillboards.push({
-        id,
-        position, // Store position for sorting
-        vertexBuffer,
-        indexBuffer,
-        bindGroup,
-        texture,
-        sampler,
-        indexCount: 6,
-        pipeline
-    });
+    const sdf = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+        const distance = Math.sqrt(outside[i]) - Math.sqrt(inside[i]);
+        sdf[i] = Math.round(255 * Math.min(1, Math.max(0, 0.5 - distance / (2 * SDF_RADIUS))));
+    }
+    return sdf;
 }
 
-export function removeTextBillboard(billboardId) {
-    const index = textBillboards.findIndex(b => b.id === billboardId);
-    if (index >= 0) {
-        const billboard = textBillboards[index];
-        billboard.vertexBuffer?.destroy();
-        billboard.indexBuffer?.destroy();
-        billboard.texture?.destroy();
-        textBillboards.splice(index, 1);
+// Squared Euclidean distance transform (Felzenszwalb and Huttenlocher), in place: every entry of
+// grid, 0 (or a small squared distance) at the features and huge elsewhere, becomes its squared
+// distance to the nearest feature. Columns are transformed first, then rows.
+function distanceTransform(grid, width, height) {
+    const n = Math.max(width, height);
+    const f = new Float64Array(n);
+    const d = new Float64Array(n);
+    const v = new Uint16Array(n);
+    const z = new Float64Array(n + 1);
+    for (let x = 0; x < width; x++) {
+        for (let y = 0; y < height; y++) f[y] = grid[y * width + x];
+        distanceTransform1d(f, d, v, z, height);
+        for (let y = 0; y < height; y++) grid[y * width + x] = d[y];
+    }
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) f[x] = grid[y * width + x];
+        distanceTransform1d(f, d, v, z, width);
+        for (let x = 0; x < width; x++) grid[y * width + x] = d[x];
     }
 }
 
-export function clearAllTextBillboards() {
-    for (const billboard of textBillboards) {
-        billboard.vertexBuffer?.destroy();
-        billboard.indexBuffer?.destroy();
-        billboard.texture?.destroy();
+// One line of distanceTransform: d[q] = min over r of f[r] + (q - r)^2, from the lower envelope of
+// the parabolas rooted at each r (v holds their roots, z the boundaries between them)
+function distanceTransform1d(f, d, v, z, n) {
+    v[0] = 0;
+    z[0] = -Infinity;
+    z[1] = Infinity;
+    for (let q = 1, k = 0; q < n; q++) {
+        let s = (f[q] + q * q - f[v[k]] - v[k] * v[k]) / (2 * (q - v[k]));
+        while (s <= z[k]) {
+            k--;
+            s = (f[q] + q * q - f[v[k]] - v[k] * v[k]) / (2 * (q - v[k]));
+        }
+        k++;
+        v[k] = q;
+        z[k] = s;
+        z[k + 1] = Infinity;
+    }
+    for (let q = 0, k = 0; q < n; q++) {
+        while (z[k + 1] < q) k++;
+        d[q] = (q - v[k]) ** 2 + f[v[k]];
     }
-    textBillboards.length = 0;
 }
 
-// ============================================================================
-// Frame Timing Callback
-// ============================================================================
+// De-cluttering state of a text billboard or a label batch (see placeLabels): the position of each
+// label, the rectangle it covers around its anchor (x0, y0, x1, y1 in units of scale CSS pixels, or
+// world units for world-sized labels), and the BillboardPlacement of each label read by the shaders.
+// options may hold offset, occludedOpacity (0, the default, hides labels behind other objects, 1 keeps
+// them on top), collision ('overlap', the default, 'hide' or 'offset') and priority (higher first).
+function createPlacement(device, usage, positions, extents, scale, worldSized, options) {
+    const { offset = [0, 0], occludedOpacity = 0, collision = 'overlap', priority = 0 } = options;
+    const array = new Float32Array(Math.max(4, extents.length)); // bindings can't be empty
+    for (let i = 0; i < array.length; i += 4) array.set([0, 0, 1, occludedOpacity], i);
+    return {
+        positions,
+        extents,
+        scale,
+        worldSized,
+        offset,
+        collision,
+        priority,
+        array,
+        buffer: createBuffer(device, array, usage | GPUBufferUsage.COPY_DST)
+    };
+}
+
+// Where 'offset' labels try to go, in CSS pixels: their own place, then next to it above, below,
+// right and left, then diagonally
+function labelShifts(width, height) {
+    const dx = width + LABEL_GAP, dy = height + LABEL_GAP;
+    return [[0, 0], [0, dy], [0, -dy], [dx, 0], [-dx, 0], [dx, dy], [-dx, dy], [dx, -dy], [-dx, -dy]];
+}
 
-let frameIntervalId = 0;
+// The part of rect [x0, y0, x1, y1] on a screen of this size, or null when there is none
+function clipRect(rect, width, height) {
+    const clipped = [Math.max(rect[0], 0), Math.max(rect[1], 0), Math.min(rect[2], width), Math.min(rect[3], height)];
+    return clipped[0] < clipped[2] && clipped[1] < clipped[3] ? clipped : null;
+}
 
-function startFrameTimer() {
-    frameIntervalId = setInterval(() => {
-        let avg = 0;
-        for (const v of frameMs) {
-            if (v === undefined) return;
-            avg += v;
+// Keys of the de-cluttering grid cells under rect
+function gridCells(rect) {
+    const keys = [];
+    for (let cy = Math.floor(rect[1] / LABEL_GRID_CELL); cy * LABEL_GRID_CELL < rect[3]; cy++) {
+        for (let cx = Math.floor(rect[0] / LABEL_GRID_CELL); cx * LABEL_GRID_CELL < rect[2]; cx++) {
+            keys.push(cy * 65536 + cx);
         }
-        const ms = avg / frameMs.length;
-        dotNetRef?.invokeMethodAsync('OnFrameMsUpdate', ms);
-    }, 1000);
+    }
+    return keys;
 }
 
-// ============================================================================
-// Utility Functions
-// ============================================================================
+function overlapsPlaced(grid, rect) {
+    return gridCells(rect).some(key => grid.get(key)?.some(r => r[0] < rect[2] && rect[0] < r[2] && r[1] < rect[3] && rect[1] < r[3]));
+}
 
-function transformPoint(point, matrix) {
-    const x = point[0], y = point[1], z = point[2];
-    const w = matrix[3] * x + matrix[7] * y + matrix[11] * z + matrix[15] || 1.0;
-    return [
-        (matrix[0] * x + matrix[4] * y + matrix[8] * z + matrix[12]) / w,
-        (matrix[1] * x + matrix[5] * y + matrix[9] * z + matrix[13]) / w,
-        (matrix[2] * x + matrix[6] * y + matrix[10] * z + matrix[14]) / w
-    ];
+function addPlaced(grid, rect) {
+    for (const key of gridCells(rect)) {
+        const rects = grid.get(key);
+        if (rects) rects.push(rect);
+        else grid.set(key, [rect]);
+    }
 }
 
-function createBuffer(data, usage, ArrayType = Float32Array) {
+// 'rgba(...)' for an RGBA color with 0-1 components
+function cssColor(rgba) {
+    return `rgba(${Math.floor(rgba[0] * 255)}, ${Math.floor(rgba[1] * 255)}, ${Math.floor(rgba[2] * 255)}, ${rgba[3]})`;
+}
+
+function createBuffer(device, data, usage, ArrayType = Float32Array) {
     const typedArray = data instanceof ArrayType ? data : new ArrayType(data);
     const buffer = device.createBuffer({
-        size: typedArray.byteLength,
+        // Mapped buffers must be a multiple of 4 bytes (e.g. an odd number of uint16 indices)
+        size: Math.ceil(typedArray.byteLength / 4) * 4,
         usage,
         mappedAtCreation: true
     });
@@ -1387,38 +5101,112 @@ function createBuffer(data, usage, ArrayType = Float32Array) {
     return buffer;
 }
 
-export function getBoundingClientRect(element) {
-    const rect = element.getBoundingClientRect();
-    return {
-        left: rect.left,
-        top: rect.top,
-        width: rect.width,
-        height: rect.height
-    };
+// Overwrites a buffer from its start; the data must not be larger than the buffer
+function writeToBuffer(device, buffer, data, ArrayType = Float32Array) {
+    let typedArray = data instanceof ArrayType ? data : new ArrayType(data);
+    if (typedArray.byteLength % 4 !== 0) {
+        // writeBuffer sizes must be a multiple of 4 bytes (e.g. an odd number of uint16 indices)
+        const padded = new ArrayType(typedArray.length + 1);
+        padded.set(typedArray);
+        typedArray = padded;
+    }
+    device.queue.writeBuffer(buffer, 0, typedArray);
 }
 
-// ============================================================================
-// Cleanup
-// ============================================================================
+// 16-bit indices when every index fits, otherwise 32-bit
+function indexFormatOf(indices) {
+    let maxIndex = 0;
+    for (let i = 0; i < indices.length; i++) {
+        if (indices[i] > maxIndex) maxIndex = indices[i];
+    }
+    return maxIndex > 0xFFFF ? 'uint32' : 'uint16';
+}
+
+// Creates an index buffer in the format chosen by indexFormatOf.
+// Returns the buffer together with the format to pass to setIndexBuffer.
+function createIndexBuffer(device, indices, extraUsage = 0) {
+    const indexFormat = indexFormatOf(indices);
+    const ArrayType = indexFormat === 'uint32' ? Uint32Array : Uint16Array;
+    const indexBuffer = createBuffer(device, indices, GPUBufferUsage.INDEX | extraUsage, ArrayType);
+    return { indexBuffer, indexFormat };
+}
+
+// A flat RGBA array with the same color count times
+function repeatColor(rgba, count) {
+    const colors = new Float32Array(4 * count);
+    for (let i = 0; i < colors.length; i += 4) colors.set(rgba, i);
+    return colors;
+}
+
+// Removes (and destroys) the items of list that match, keeping the array itself
+function removeWhere(list, predicate, destroy) {
+    for (let i = list.length - 1; i >= 0; i--) {
+        if (!predicate(list[i])) continue;
+        destroy(list[i]);
+        list.splice(i, 1);
+    }
+}
+
+function destroyMeshBuffers(mesh) {
+    mesh.model?.buffer.destroy();
+    mesh.vertexBuffer?.destroy();
+    mesh.colorBuffer?.destroy();
+    mesh.colorUniformBuffer?.destroy();
+    mesh.normalBuffer?.destroy();
+    mesh.uvBuffer?.destroy();
+    mesh.indexBuffer?.destroy();
+    mesh.edges?.buffer.destroy();
+}
+
+function destroyLineBuffers(line) {
+    line.model?.buffer.destroy();
+    line.posBuffer?.destroy();
+    line.colorBuffer?.destroy();
+    line.thicknessBuffer?.destroy();
+    line.uvBuffer?.destroy();
+    line.endPosBuffer?.destroy();
+    line.fadeBuffer?.destroy();
+    line.neighborBuffer?.destroy();
+    line.indexBuffer?.destroy();
+}
 
-export function disposeWebGPU_Canvas() {
-    if (frameIntervalId) {
-        clearInterval(frameIntervalId);
-        frameIntervalId = 0;
+function destroyRenderTargets(targets) {
+    if (!targets) return;
+    targets.msaaColorTexture?.destroy();
+    targets.depthTexture.destroy();
+    targets.highlightMaskTexture.destroy();
+    const ao = targets.ambientOcclusion;
+    if (ao) {
+        ao.normalDepthTexture.destroy();
+        ao.depthTexture.destroy();
+        ao.rawTexture.destroy();
+        ao.texture.destroy();
     }
+    const transparency = targets.transparency;
+    if (transparency) {
+        transparency.accumulationTexture.destroy();
+        transparency.revealageTexture.destroy();
+        transparency.msaaAccumulationTexture?.destroy();
+        transparency.msaaRevealageTexture?.destroy();
+    }
+}
 
-    // Clean up all GPU resources
-    clearAllMeshes();
-    clearAllLines();
-    clearAllTextBillboards();
+function destroyPickResources(picking) {
+    picking.frameBuffer.destroy();
+    picking.idTexture.destroy();
+    picking.positionTexture.destroy();
+    picking.depthTexture.destroy();
+}
 
-    gridVertexBuffer?.destroy();
-    gridIndexBuffer?.destroy();
-    gridUniformBuffer?.destroy();
-    frameUniformBuffer?.destroy();
-    msaaColorTexture?.destroy();
-    depthTexture?.destroy();
+function destroyBillboardResources(billboard) {
+    billboard.placement?.buffer.destroy();
+    billboard.vertexBuffer?.destroy();
+    billboard.indexBuffer?.destroy();
+    billboard.texture?.destroy();
+}
 
-    device = null;
-    dotNetRef = null;
+function destroyLabelResources(labels) {
+    labels.placement?.buffer.destroy();
+    labels.glyphBuffer?.destroy();
+    labels.styleBuffer?.destroy();
 }